@@ -30,4 +30,18 @@ export default [
       ],
     },
   },
+  {
+    // The race server and the scripts run in Node, not the browser
+    files: ['server/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // The tests run in Jest, which provides describe, test, expect and jest
+    files: ['src/Tests/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.jest },
+    },
+  },
 ]
@@ -0,0 +1,66 @@
+import { readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { join, relative } from "node:path";
+import { createServer } from "vite";
+
+// Lint quiz packs: npm run lint:packs -- [--strict] [pack files]
+// Checks every bundled pack when no files are given - first against the pack schema, then with the lint rules.
+// Exits with 1 when a pack has errors, or any findings at all with --strict, so it can fail a build
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PACKS_DIR = join(ROOT, "src/Assets/Packs");
+
+// The checks are app code (.jsx with the app's imports) so they are loaded through Vite, as the game loads them
+const loadChecks = async () => {
+  const vite = await createServer({
+    root: ROOT,
+    appType: "custom",
+    logLevel: "error",
+    // Nothing runs in a browser, so there are no dependencies to pre-bundle
+    optimizeDeps: { noDiscovery: true, include: [] },
+    server: { middlewareMode: true, hmr: false },
+  });
+  try {
+    return await vite.ssrLoadModule("/src/Utilities/PackLinter.jsx");
+  } finally {
+    await vite.close();
+  }
+};
+
+const bundledPackFiles = async () =>
+  (await readdir(PACKS_DIR))
+    .filter((file) => file.endsWith(".json") && !file.endsWith(".schema.json"))
+    .map((file) => join(PACKS_DIR, file));
+
+// The findings for one pack file - a file that cannot be read as JSON is an error of its own
+const checkFile = async (file, { LINT_SEVERITIES, checkPack }) => {
+  let pack;
+  try {
+    pack = JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    return [{ rule: "pack-file", severity: LINT_SEVERITIES.ERROR, message: `Could not read the pack: ${err.message}` }];
+  }
+  return checkPack(pack);
+};
+
+const main = async (args) => {
+  const strict = args.includes("--strict");
+  const named = args.filter((arg) => !arg.startsWith("--"));
+  const files = named.length > 0 ? named : await bundledPackFiles();
+  const checks = await loadChecks();
+  let failed = false;
+  for (const file of files) {
+    const findings = await checkFile(file, checks);
+    const summary = findings.length === 0 ? "no problems" : `${findings.length} problem(s)`;
+    console.log(`${relative(process.cwd(), file)}: ${summary}`);
+    findings.forEach((finding) => console.log("  " + checks.formatFinding(finding).replace(/\n/g, "\n  ")));
+    failed = failed || checks.failsLint(findings, strict);
+  }
+  return failed ? 1 : 0;
+};
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("Could not lint the packs:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,12 @@
+import { DEFAULT_PORT } from "./protocol.js";
+import { startRaceServer } from "./race-server.js";
+
+// Run the race server: npm run race-server (PORT sets the port)
+const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+
+startRaceServer({ port })
+  .then((server) => console.log(`Race server listening on ws://localhost:${server.port}`))
+  .catch((err) => {
+    console.error("Could not start the race server:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,28 @@
+// Messages between the race server and the game - shared by both so they stay in step
+// Every message is JSON with a "type"
+
+// Where the server listens unless told otherwise
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_SERVER_URL = `ws://localhost:${DEFAULT_PORT}`;
+
+// Game -> server
+export const CLIENT_MESSAGES = {
+  CREATE: "create", // { name, packId, size, length } - start a room and join it as the host
+  JOIN: "join", // { code, name, packId, size } - join a room with its code
+  START: "start", // host only - start the race
+  ANSWER: "answer", // { question, correct } - question is the number of the question, from 1
+  LEAVE: "leave",
+};
+
+// Server -> game
+export const SERVER_MESSAGES = {
+  JOINED: "joined", // { playerId, room } - sent to the player who created or joined
+  ROOM: "room", // { room } - someone joined, left or answered
+  STARTED: "started", // { room } - the race is on, room.seed gives the question order
+  RULING: "ruling", // { question, winner } - who answered first (winner is null if nobody was right)
+  FINISHED: "finished", // { room } - everyone has answered every question
+  ERROR: "error", // { message }
+};
+
+// Players in a room
+export const MAX_RACE_PLAYERS = 8;
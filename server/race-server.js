@@ -0,0 +1,179 @@
+import { WebSocketServer } from "ws";
+import { CLIENT_MESSAGES, DEFAULT_PORT, SERVER_MESSAGES } from "./protocol.js";
+import {
+  ROOM_STATUS,
+  answerQuestion,
+  createJoinCode,
+  createRaceSeed,
+  createRoom,
+  describeRoom,
+  joinRoom,
+  leaveRoom,
+  startRace,
+} from "./rooms.js";
+
+// The race server - hosts rooms and passes answers between the players in them
+// Resolves with { port, close } once it is listening. port 0 picks a free port
+export const startRaceServer = ({ port = DEFAULT_PORT, host = "localhost", random = Math.random } = {}) =>
+  new Promise((resolve, reject) => {
+    const wss = new WebSocketServer({ port, host });
+    // code -> room, and each connection's player id and room code
+    const rooms = new Map();
+    const clients = new Map();
+    let nextId = 1;
+
+    const send = (socket, message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    // Send a message to everyone in a room
+    const broadcast = (code, message) => {
+      clients.forEach((client, socket) => {
+        if (client.code === code) {
+          send(socket, message);
+        }
+      });
+    };
+
+    // A code no room is using
+    const uniqueCode = () => {
+      let code = createJoinCode(random);
+      while (rooms.has(code)) {
+        code = createJoinCode(random);
+      }
+      return code;
+    };
+
+    // Take a player out of their room, telling the others
+    const leave = (client) => {
+      if (!client.code || !rooms.has(client.code)) {
+        return;
+      }
+      const code = client.code;
+      const { room } = leaveRoom(rooms.get(code), client.id);
+      client.code = null;
+      if (room === null) {
+        rooms.delete(code);
+        return;
+      }
+      rooms.set(code, room);
+      broadcast(code, {
+        type: room.status === ROOM_STATUS.FINISHED ? SERVER_MESSAGES.FINISHED : SERVER_MESSAGES.ROOM,
+        room: describeRoom(room),
+      });
+    };
+
+    const handlers = {
+      [CLIENT_MESSAGES.CREATE]: (client, socket, message) => {
+        leave(client);
+        const room = createRoom({
+          code: uniqueCode(),
+          seed: createRaceSeed(random),
+          hostId: client.id,
+          name: message.name,
+          packId: message.packId,
+          size: message.size,
+          length: Math.max(1, parseInt(message.length, 10) || 1),
+        });
+        rooms.set(room.code, room);
+        client.code = room.code;
+        send(socket, { type: SERVER_MESSAGES.JOINED, playerId: client.id, room: describeRoom(room) });
+      },
+      [CLIENT_MESSAGES.JOIN]: (client, socket, message) => {
+        const code = String(message.code || "")
+          .trim()
+          .toUpperCase();
+        if (!rooms.has(code)) {
+          return { error: `There is no room with the code "${code}"` };
+        }
+        if (client.code === code) {
+          return { error: "You are already in that room" };
+        }
+        const { room, error } = joinRoom(rooms.get(code), { ...message, id: client.id });
+        if (error) {
+          return { error };
+        }
+        leave(client);
+        rooms.set(code, room);
+        client.code = code;
+        send(socket, { type: SERVER_MESSAGES.JOINED, playerId: client.id, room: describeRoom(room) });
+        broadcast(code, { type: SERVER_MESSAGES.ROOM, room: describeRoom(room) });
+        return {};
+      },
+      [CLIENT_MESSAGES.START]: (client) => {
+        const { room, error } = startRace(rooms.get(client.code), client.id);
+        if (error) {
+          return { error };
+        }
+        rooms.set(client.code, room);
+        broadcast(client.code, { type: SERVER_MESSAGES.STARTED, room: describeRoom(room) });
+        return {};
+      },
+      [CLIENT_MESSAGES.ANSWER]: (client, socket, message) => {
+        const { room, ruling, error } = answerQuestion(rooms.get(client.code), client.id, message);
+        if (error) {
+          return { error };
+        }
+        rooms.set(client.code, room);
+        if (ruling) {
+          broadcast(client.code, { type: SERVER_MESSAGES.RULING, ...ruling });
+        }
+        broadcast(client.code, {
+          type: room.status === ROOM_STATUS.FINISHED ? SERVER_MESSAGES.FINISHED : SERVER_MESSAGES.ROOM,
+          room: describeRoom(room),
+        });
+        return {};
+      },
+      [CLIENT_MESSAGES.LEAVE]: (client) => leave(client),
+    };
+
+    // Messages that only make sense from a player in a room
+    const needsRoom = [CLIENT_MESSAGES.START, CLIENT_MESSAGES.ANSWER];
+
+    wss.on("connection", (socket) => {
+      const client = { id: String(nextId++), code: null };
+      clients.set(socket, client);
+
+      socket.on("message", (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          send(socket, { type: SERVER_MESSAGES.ERROR, message: "Messages must be JSON" });
+          return;
+        }
+        const handler = message && handlers[message.type];
+        if (!handler) {
+          send(socket, { type: SERVER_MESSAGES.ERROR, message: "Unknown message type" });
+          return;
+        }
+        if (needsRoom.includes(message.type) && !rooms.has(client.code)) {
+          send(socket, { type: SERVER_MESSAGES.ERROR, message: "Join a room first" });
+          return;
+        }
+        const result = handler(client, socket, message);
+        if (result && result.error) {
+          send(socket, { type: SERVER_MESSAGES.ERROR, message: result.error });
+        }
+      });
+
+      socket.on("close", () => {
+        leave(client);
+        clients.delete(socket);
+      });
+    });
+
+    wss.on("error", reject);
+    wss.on("listening", () => {
+      resolve({
+        port: wss.address().port,
+        close: () =>
+          new Promise((done) => {
+            wss.clients.forEach((socket) => socket.terminate());
+            wss.close(() => done());
+          }),
+      });
+    });
+  });
@@ -0,0 +1,143 @@
+import { MAX_RACE_PLAYERS } from "./protocol.js";
+
+// Race rooms - plain objects changed only through these functions so the rules can be tested
+// without a server. Each function returns the new room, or an error the player can read
+
+// Letters that cannot be mistaken for each other when read out (no I, L, O or 0)
+const CODE_LETTERS = "ABCDEFGHJKMNPQRSTUVWXYZ";
+export const CODE_LENGTH = 4;
+
+// The room statuses
+export const ROOM_STATUS = {
+  LOBBY: "lobby", // waiting for players
+  RACING: "racing",
+  FINISHED: "finished",
+};
+
+// A join code such as "KWHT"
+export const createJoinCode = (random = Math.random) =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_LETTERS[Math.floor(random() * CODE_LETTERS.length)]).join("");
+
+// A six-digit seed - everyone in the room deals their questions from it
+export const createRaceSeed = (random = Math.random) => String(Math.floor(random() * 900000) + 100000);
+
+const createRacer = (id, name) => ({ id, name, answered: 0, correct: 0, points: 0 });
+
+const cleanName = (name, fallback) => (typeof name === "string" && name.trim() ? name.trim().slice(0, 30) : fallback);
+
+// A new room with its host in it
+// packId and size (number of questions in play) must match for everyone so the seed deals the same questions
+// length is the number of questions in the race
+export const createRoom = ({ code, seed, hostId, name, packId, size, length }) => ({
+  code,
+  seed,
+  packId,
+  size,
+  length,
+  hostId,
+  status: ROOM_STATUS.LOBBY,
+  players: [createRacer(hostId, cleanName(name, "Player 1"))],
+  // answers[question] lists who answered that question, in the order the server got them
+  answers: {},
+  // winners[question] is the id of the first player to answer it right
+  winners: {},
+});
+
+export const joinRoom = (room, { id, name, packId, size }) => {
+  if (room.status !== ROOM_STATUS.LOBBY) {
+    return { room, error: "That race has already started" };
+  }
+  if (room.players.length >= MAX_RACE_PLAYERS) {
+    return { room, error: `That room is full - at most ${MAX_RACE_PLAYERS} players` };
+  }
+  if (packId !== room.packId || size !== room.size) {
+    return { room, error: "That room is playing a different pack or categories" };
+  }
+  const player = createRacer(id, cleanName(name, `Player ${room.players.length + 1}`));
+  return { room: { ...room, players: [...room.players, player] } };
+};
+
+// Only the host can start, and only with someone to race against
+export const startRace = (room, playerId) => {
+  if (playerId !== room.hostId) {
+    return { room, error: "Only the host can start the race" };
+  }
+  if (room.status !== ROOM_STATUS.LOBBY) {
+    return { room, error: "The race has already started" };
+  }
+  if (room.players.length < 2) {
+    return { room, error: "Wait for someone to join first" };
+  }
+  return { room: { ...room, status: ROOM_STATUS.RACING } };
+};
+
+const everyoneAnswered = (room, question) => (room.answers[question] || []).length >= room.players.length;
+
+// The race is over once every player has answered every question
+const finishIfDone = (room) =>
+  room.players.every((player) => player.answered >= room.length) ? { ...room, status: ROOM_STATUS.FINISHED } : room;
+
+// A player answered a question - the first right answer wins the point
+// Returns the ruling when this answer decides the question: { question, winner } (winner null when nobody was right)
+export const answerQuestion = (room, playerId, { question, correct }) => {
+  if (room.status !== ROOM_STATUS.RACING) {
+    return { room, error: "The race is not running" };
+  }
+  if (!Number.isInteger(question) || question < 1 || question > room.length) {
+    return { room, error: "There is no question " + question };
+  }
+  const answeredBy = room.answers[question] || [];
+  if (answeredBy.includes(playerId)) {
+    return { room, error: "You have already answered question " + question };
+  }
+
+  const first = Boolean(correct) && !(question in room.winners);
+  const players = room.players.map((player) =>
+    player.id === playerId
+      ? {
+          ...player,
+          answered: player.answered + 1,
+          correct: player.correct + (correct ? 1 : 0),
+          points: player.points + (first ? 1 : 0),
+        }
+      : player
+  );
+  let next = {
+    ...room,
+    players,
+    answers: { ...room.answers, [question]: [...answeredBy, playerId] },
+    winners: first ? { ...room.winners, [question]: playerId } : room.winners,
+  };
+
+  let ruling = null;
+  if (first) {
+    ruling = { question, winner: playerId };
+  } else if (!(question in next.winners) && everyoneAnswered(next, question)) {
+    ruling = { question, winner: null };
+  }
+  next = finishIfDone(next);
+  return { room: next, ruling };
+};
+
+// A player left or lost their connection - the host passes to the next player
+export const leaveRoom = (room, playerId) => {
+  const players = room.players.filter((player) => player.id !== playerId);
+  if (players.length === 0) {
+    return { room: null };
+  }
+  const hostId = room.hostId === playerId ? players[0].id : room.hostId;
+  const next = { ...room, players, hostId };
+  return { room: room.status === ROOM_STATUS.RACING ? finishIfDone(next) : next };
+};
+
+// What the players are told about the room
+export const describeRoom = (room) => ({
+  code: room.code,
+  seed: room.status === ROOM_STATUS.LOBBY ? null : room.seed,
+  packId: room.packId,
+  size: room.size,
+  length: room.length,
+  hostId: room.hostId,
+  status: room.status,
+  players: room.players,
+});
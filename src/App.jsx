@@ -1,67 +1,286 @@
-import { useState } from "react";
+import { useEffect, useReducer, useRef, useState } from "react";
 import "./App.css";
 import { quizData, sortedListAnswers } from "./Assets/quiz";
-import Random from "./Utilities/Random";
-import Select from "react-select";
-import { selectCustomStyles } from "./Utilities/SelectReactSetting";
+import { createSeed, createSeededRandom, readSeedFromUrl, writeSeedToUrl } from "./Utilities/Random";
+import { createDeck, drawBestCard, drawCard } from "./Utilities/Deck";
+import { ANSWER_MODES, GAME_ACTIONS, GAME_PHASES, createInitialGameState, gameReducer } from "./Utilities/GameState";
+import { filterByCategories } from "./Utilities/Categories";
+import { formatResponse, gradeAnswer } from "./Utilities/Grading";
+import { buildChoices } from "./Utilities/Distractors";
+import { getTimeLimit, speedBonus, useCountdown } from "./Utilities/Timer";
+import { defaultPack } from "./Assets/Packs";
+import { clearHistory, createEntry, loadHistory, recordAnswer } from "./Utilities/History";
+import { clearSchedule, loadSchedule, pickStudyQuestion, recordReview } from "./Utilities/Leitner";
+import { rateDifficulties } from "./Utilities/Difficulty";
+import { HIDDEN, buildAudienceView, useAudienceHost } from "./Utilities/AudienceSync";
+import { RACE_STATUS, raceSettings, useRaceClient } from "./Utilities/RaceClient";
+import { localiseItem, localiseItems, useTranslation } from "./Utilities/I18n";
+import LanguageSwitcher from "./Components/LanguageSwitcher";
+import ThemeSwitcher from "./Components/ThemeSwitcher";
+import { KEYBOARD_ACTIONS, chooseOption, keyboardOptions, useKeyboardShortcuts } from "./Utilities/Keyboard";
+import { ROUTES, navigate, useRoute } from "./Utilities/Router";
+import NavBar from "./Components/NavBar";
+import HomeScreen from "./Components/Screens/HomeScreen";
+import PlayScreen from "./Components/Screens/PlayScreen";
+import ResultsScreen from "./Components/Screens/ResultsScreen";
+import StatsScreen from "./Components/Screens/StatsScreen";
+import SettingsScreen from "./Components/Screens/SettingsScreen";
 
 function App() {
-  //set up the state for the current question and answer
-  const [gameData, setGameData] = useState({ Q: "Start", A: "Start" });
-  // State to hold the users current question and answer
-  const [answer, setAnswer] = useState("");
-  //state for win or lose message
-  const [winlose, setWinlose] = useState("");
-
-  //get all data for length
-  const allData = quizData;
-  //get a random index for the quiz question
-  const getRandomIndex = Random(allData.length);
-  //sorted answers to display in the dropdown
-  const answerData = sortedListAnswers();
-
-  //variables to pass data in the game
-  let answerLet;
-  let gameDataForConsoleLogOnly = { Q: "Start", A: "Start" };
+  //the whole game (question, answer, score, rounds) lives in one reducer
+  const [game, dispatch] = useReducer(gameReducer, undefined, () => createInitialGameState());
+  const { question: gameData, selection, phase } = game;
+  //the chosen language for the screen and the question
+  const { language } = useTranslation();
+  //the question as it is shown and marked - in the chosen language where the pack has a translation
+  const shown = localiseItem(gameData, language);
+  //the screen on show - home, play, results, stats or settings - from the address bar
+  const route = useRoute();
+
+  //the loaded quiz pack - null means the pack the game started with
+  const [pack, setPack] = useState(null);
+  //categories to play - empty means all of them
+  const [categories, setCategories] = useState([]);
+  //every question in the pack
+  const packData = pack ? pack.questions : quizData;
+  //id of the pack for the play history
+  const packId = pack ? pack.id : defaultPack.id;
+  //every answer the player has given, saved between visits
+  const [history, setHistory] = useState(() => loadHistory());
+  //which Leitner box each question is in and when it is next due, saved between visits
+  const [schedule, setSchedule] = useState(() => loadSchedule());
+  //get all data for length - only the questions in the chosen categories
+  const allData = filterByCategories(packData, categories);
+  //the seed comes from the address bar so a game can be shared and replayed
+  const [seed, setSeed] = useState(() => readSeedFromUrl() || createSeed());
+  //shuffled deck of question indexes - every question comes up once before a reshuffle
+  const [deck, setDeck] = useState(() => createDeck(allData.length, seed));
+
+  //quiz-night host mode and what the host has revealed on the audience screen
+  const [hostMode, setHostMode] = useState(false);
+  const [reveal, setReveal] = useState(HIDDEN);
+  useAudienceHost(hostMode, buildAudienceView({ ...game, question: shown }, reveal));
+
+  //online race against other machines - when it starts everyone plays one round from the room's seed
+  //the player's own settings are kept aside while racing
+  const settingsBeforeRace = useRef(null);
+  const race = useRaceClient({
+    onStart: (room) => {
+      if (!settingsBeforeRace.current) {
+        settingsBeforeRace.current = game.settings;
+      }
+      onChangeSeed(room.seed);
+      navigate(ROUTES.PLAY);
+      dispatch({ type: GAME_ACTIONS.SET_SETTINGS, settings: raceSettings(room) });
+    },
+  });
+  const racing = race.status === RACE_STATUS.RACING;
+  const inRaceRoom = race.status === RACE_STATUS.LOBBY || racing;
+
+  //leaving the room (or losing the connection) ends the race game and puts the player's settings back
+  useEffect(() => {
+    if (race.status === RACE_STATUS.OFFLINE && settingsBeforeRace.current) {
+      dispatch({ type: GAME_ACTIONS.RESET });
+      dispatch({ type: GAME_ACTIONS.SET_SETTINGS, settings: settingsBeforeRace.current });
+      settingsBeforeRace.current = null;
+    }
+  }, [race.status]);
+
+  //keep the address bar in step with the seed
+  useEffect(() => {
+    writeSeedToUrl(seed);
+  }, [seed]);
+
+  //how hard each question is - the author's rating adjusted by how often it is answered right
+  const difficulties = rateDifficulties(allData, packId, history);
+
+  //each answer once, sorted for the language, to display in the dropdown
+  const answerData = sortedListAnswers(localiseItems(allData, language), language);
+  //four options for multiple-choice mode - seeded per question so everyone with the seed sees the same options
+  const choiceRandom = createSeededRandom(seed + ":" + (gameData.id || gameData.Q));
+  const choices =
+    game.settings.answerMode === ANSWER_MODES.MULTIPLE_CHOICE && phase !== GAME_PHASES.IDLE
+      ? buildChoices(shown, localiseItems(packData, language), choiceRandom)
+      : null;
+
+  // Ask the question at this index - -1 means there are no questions to ask (an empty deck), so nothing happens
+  const askQuestion = (index) => {
+    if (index < 0) {
+      return;
+    }
+    // The host reveals each new question and its answer when they are ready - the scoreboard stays as it was
+    setReveal({ ...HIDDEN, scoreboard: reveal.scoreboard });
+    dispatch({ type: GAME_ACTIONS.NEW_QUESTION, question: allData[index], askedAt: Date.now() });
+  };
 
   const onClickHandlerNewGame = () => {
-    //reset the answer
-    setAnswer("");
-    //reset the winlose message
-    setWinlose("");
-
-    // This will ensure a new question is selected each time
-    let rand = Random(allData.length); // Get a new random index
-    // Set the new question and answer using the random index
-    setGameData({ Q: allData[rand].Q, A: allData[rand].A });
-    // Store the question and answer in a temporary variable
-    // This is useful for debugging or further processing
-    gameDataForConsoleLogOnly = { Q: allData[rand].Q, A: allData[rand].A };
-    // Log for debugging
-    console.log("rand", rand);
-    console.log("gameData Q= ", gameData.Q + " A= " + gameData.A);
-    console.log("gameDataLet Q= ", gameDataForConsoleLogOnly.Q + " A= " + gameDataForConsoleLogOnly.A);
+    // A race is one round from the room's seed - once it is over the player waits for the others
+    if (inRaceRoom && phase === GAME_PHASES.SESSION_OVER) {
+      return;
+    }
+    // Study mode asks whatever the schedule says is due instead of the next card
+    if (game.settings.studyMode) {
+      const random = createSeededRandom(seed + ":study:" + history.length);
+      askQuestion(pickStudyQuestion(allData, packId, schedule, Date.now(), random, gameData.id || gameData.Q));
+      return;
+    }
+    // Take the next question off the deck - in adaptive mode the one nearest the player's level
+    const { index, deck: nextDeck } = game.settings.adaptive
+      ? drawBestCard(deck, (i) => Math.abs(difficulties[i] - game.level))
+      : drawCard(deck);
+    setDeck(nextDeck);
+    // Set the new question and answer using the index from the deck
+    askQuestion(index);
+  };
+
+  // A new seed starts the sequence again from the beginning
+  const onChangeSeed = (nextSeed) => {
+    setSeed(nextSeed);
+    setDeck(createDeck(allData.length, nextSeed));
+    dispatch({ type: GAME_ACTIONS.RESET });
+  };
+
+  // A new pack gets its own deck and a fresh session with every category in play
+  const onLoadPack = (nextPack) => {
+    setPack(nextPack);
+    setCategories([]);
+    setDeck(createDeck(nextPack.questions.length, seed));
+    dispatch({ type: GAME_ACTIONS.RESET });
+  };
+
+  // Changing the categories deals a new deck from the questions left in play
+  const onChangeCategories = (nextCategories) => {
+    setCategories(nextCategories);
+    setDeck(createDeck(filterByCategories(packData, nextCategories).length, seed));
+    dispatch({ type: GAME_ACTIONS.RESET });
+  };
+
+  // Restarting replays the same sequence of questions - not in a race, where the server has the answers already
+  const onClickHandlerRestart = () => {
+    if (inRaceRoom) {
+      return;
+    }
+    setDeck(createDeck(allData.length, seed));
+    dispatch({ type: GAME_ACTIONS.RESET });
   };
 
-  // When the user selects an answer from the dropdown
-  const handleAnswerChange = (e) => {
-    setAnswer(e.value); // Update the answer state
-    answerLet = e.value; // Store the answer in a variable
-    setWinlose("- you " + winLoseCalc(answerLet)); // Set win/lose message
-    // Log for debugging
-    console.log("answer = ", answerLet + "  gameplay = " + gameData.A);
+  // Save an answer to the play history
+  const saveToHistory = (answerText, correct) => {
+    const now = Date.now();
+    const entry = createEntry({
+      packId,
+      item: gameData,
+      answer: answerText,
+      correct,
+      timeTaken: now - game.askedAt,
+      timestamp: now,
+    });
+    setHistory(recordAnswer(entry));
+    setSchedule(recordReview(entry));
   };
 
-  // Function to check if the answer is correct
-  const winLoseCalc = (answerLet) => {
-    if (answerLet !== "undefined") {
-      if (answerLet === gameData.A) {
-        return "win"; // Correct answer
-      } else {
-        return "lose"; // Wrong answer
+  // Clearing the history starts the study schedule again too
+  const onClearHistory = () => {
+    setHistory(clearHistory());
+    setSchedule(clearSchedule());
+  };
+
+  // When the time runs out the question counts as missed
+  const handleTimeUp = () => {
+    dispatch({ type: GAME_ACTIONS.TIME_UP });
+    saveToHistory(null, false);
+    if (racing) {
+      race.answer(game.questionInRound, false);
+    }
+  };
+
+  //seconds allowed for this question (0 for no limit) and seconds left while it is being asked
+  const timeLimit = getTimeLimit(gameData, game.settings);
+  const secondsLeft = useCountdown(timeLimit, game.askedAt, phase === GAME_PHASES.ASKING, handleTimeUp);
+
+  // When the user picks or types an answer - a string, or a list for multi-select questions
+  const handleSelect = (response) => {
+    dispatch({ type: GAME_ACTIONS.SELECT, selection: response });
+  };
+
+  // Something is picked - a typed answer of only spaces does not count
+  const hasSelection = Array.isArray(selection) ? selection.length > 0 : Boolean(selection && selection.trim());
+
+  // When the user confirms their answer it is graded and locked
+  const handleConfirm = () => {
+    if (phase !== GAME_PHASES.ASKING || !hasSelection) {
+      return;
+    }
+    // Each type of question is graded its own way
+    const graded = gradeAnswer(shown, selection, { fromChoices: Boolean(choices) });
+    // Quick correct answers can earn extra points
+    const speed = game.settings.speedScoring && graded.correct ? speedBonus(graded.points, secondsLeft, timeLimit) : 0;
+    const points = graded.points + speed;
+    const bonus = graded.bonus + speed;
+    dispatch({ type: GAME_ACTIONS.ANSWER, answer: formatResponse(selection), correct: graded.correct, points, bonus });
+    saveToHistory(formatResponse(selection), graded.correct);
+    // In an online race the server rules on who answered first
+    if (racing) {
+      race.answer(game.questionInRound, graded.correct);
+    }
+  };
+
+  // Keyboard play - the keys do what the buttons on screen would, and only while the game is on screen
+  useKeyboardShortcuts(({ action, number }) => {
+    if (route !== ROUTES.PLAY) {
+      return;
+    }
+    if (phase !== GAME_PHASES.ASKING) {
+      // N or Enter asks the next question
+      if (action !== KEYBOARD_ACTIONS.CHOOSE) {
+        onClickHandlerNewGame();
       }
+    } else if (action === KEYBOARD_ACTIONS.CHOOSE) {
+      const option = keyboardOptions(shown, choices)[number - 1];
+      if (option) {
+        handleSelect(chooseOption(shown, selection, option));
+      }
+    } else if (action === KEYBOARD_ACTIONS.CONFIRM) {
+      handleConfirm();
+    }
+  });
+
+  //focus follows the game: the question when it is asked, then the button for the next one once it is marked
+  const questionRef = useRef(null);
+  const newQuestionRef = useRef(null);
+  useEffect(() => {
+    if (route !== ROUTES.PLAY) {
+      return;
     }
+    if (phase === GAME_PHASES.ASKING) {
+      questionRef.current.focus();
+    } else if (phase !== GAME_PHASES.IDLE) {
+      newQuestionRef.current.focus();
+    }
+  }, [phase, gameData, route]);
+
+  //moving to another screen puts focus at the top of it, so screen readers start reading the new screen
+  const mainRef = useRef(null);
+  const lastRoute = useRef(route);
+  useEffect(() => {
+    if (route !== lastRoute.current) {
+      lastRoute.current = route;
+      mainRef.current.focus();
+    }
+  }, [route]);
+
+  // Round settings can only be changed between sessions, and not while in an online race room
+  const settingsLocked = (phase !== GAME_PHASES.IDLE && phase !== GAME_PHASES.SESSION_OVER) || inRaceRoom;
+
+  // The host controls and the race room are on the home screen, and on the play screen while they are in use
+  const host = {
+    enabled: hostMode,
+    game: { ...game, question: shown },
+    reveal,
+    onToggleHost: setHostMode,
+    onReveal: setReveal,
   };
+  const raceInfo = { packId, size: allData.length, length: game.settings.roundLength };
 
   return (
     // Main container with padding
@@ -71,27 +290,69 @@ function App() {
         <div className="col-12 col-md-10 col-lg-12">
           <div className="card shadow">
             <div className="card-body">
-              {/* Button to get a new random question */}
-              <button className="btn btn-primary mb-4 w-100 display-4" onClick={onClickHandlerNewGame}>
-                Choose a Random Question
-              </button>
-              {/* Show the question and result */}
-              <div className="mb-4 text-center">
-                <h2 className="display-4">{gameData.Q}</h2>
-                <h4 className="fs-3 mt-3">{answer ? "You selected " + answer + winlose : ""}</h4>
-              </div>
-              {/* Dropdown for selecting an answer */}
-              <div>
-                <Select
-                  styles={selectCustomStyles}
-                  options={answerData}
-                  className="selectDropDownStyle"
-                  value={answerData.find((opt) => opt.value === answer) || null}
-                  onChange={handleAnswerChange}
-                  placeholder={answer !== "" ? answer : "Select an Answer"}
-                  controlShouldRenderValue={false}
-                />
-              </div>
+              <header className="app-header mb-4">
+                {/* Links to every screen */}
+                <NavBar route={route} />
+                {/* Light, dark or high-contrast colours, and English or te reo Māori */}
+                <div className="display-settings">
+                  <ThemeSwitcher />
+                  <LanguageSwitcher />
+                </div>
+              </header>
+              <main ref={mainRef} tabIndex={-1}>
+                {route === ROUTES.HOME && (
+                  <HomeScreen
+                    pack={pack}
+                    items={packData}
+                    categories={categories}
+                    locked={settingsLocked}
+                    onLoadPack={onLoadPack}
+                    onChangeCategories={onChangeCategories}
+                    host={host}
+                    race={race}
+                    raceInfo={raceInfo}
+                  />
+                )}
+                {route === ROUTES.PLAY && (
+                  <PlayScreen
+                    game={game}
+                    item={shown}
+                    packId={packId}
+                    items={allData}
+                    history={history}
+                    schedule={schedule}
+                    answerOptions={answerData}
+                    choices={choices}
+                    secondsLeft={secondsLeft}
+                    timeLimit={timeLimit}
+                    hasSelection={hasSelection}
+                    onNewQuestion={onClickHandlerNewGame}
+                    onSelect={handleSelect}
+                    onConfirm={handleConfirm}
+                    onRestart={onClickHandlerRestart}
+                    inRace={inRaceRoom}
+                    host={host}
+                    race={race}
+                    raceInfo={raceInfo}
+                    questionRef={questionRef}
+                    newQuestionRef={newQuestionRef}
+                  />
+                )}
+                {route === ROUTES.RESULTS && <ResultsScreen game={game} />}
+                {route === ROUTES.STATS && <StatsScreen history={history} onClear={onClearHistory} />}
+                {route === ROUTES.SETTINGS && (
+                  <SettingsScreen
+                    settings={game.settings}
+                    seed={seed}
+                    pack={pack || defaultPack}
+                    packId={packId}
+                    locked={settingsLocked}
+                    onChangeSettings={(settings) => dispatch({ type: GAME_ACTIONS.SET_SETTINGS, settings })}
+                    onChangeSeed={onChangeSeed}
+                    onUsePack={onLoadPack}
+                  />
+                )}
+              </main>
             </div>
           </div>
         </div>
@@ -0,0 +1,6 @@
+import en from "./en.json";
+import mi from "./mi.json";
+
+// Text for the game's screens in each language it speaks
+// English has every string - a string missing from another language is shown in English
+export const locales = { en, mi };
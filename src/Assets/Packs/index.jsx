@@ -0,0 +1,6 @@
+import kiwiQuiz from "./kiwi-quiz.json";
+
+// Quiz packs that ship with the game - the first one is loaded at start up
+export const bundledPacks = [kiwiQuiz];
+
+export const defaultPack = bundledPacks[0];
@@ -0,0 +1,26 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { QUESTION_TYPES, getQuestionType } from "../Utilities/Grading";
+import { useTranslation } from "../Utilities/I18n";
+
+// Tells screen readers what has just happened - a new question, or how the answer went
+// The same news is already on screen, so the region itself is hidden
+const Announcer = ({ game, item }) => {
+  const { t } = useTranslation();
+  // True or false answers are kept in English - read them out in the chosen language
+  const answer = getQuestionType(item) === QUESTION_TYPES.TRUE_FALSE ? t("answer." + item.A.toLowerCase()) : item.A;
+
+  let announcement = "";
+  if (game.result) {
+    announcement = t("announce." + game.result, { answer, count: game.pointsAwarded });
+  } else if (game.phase === GAME_PHASES.ASKING) {
+    announcement = t("announce.question", { number: game.questionInRound, total: game.settings.roundLength });
+  }
+
+  return (
+    <div className="visually-hidden" aria-live="polite" aria-atomic="true" data-testid="announcer">
+      {announcement}
+    </div>
+  );
+};
+
+export default Announcer;
@@ -0,0 +1,19 @@
+import { QUESTION_TYPES, getQuestionType } from "../Utilities/Grading";
+import { useTranslation } from "../Utilities/I18n";
+
+// Shown once the answer is locked, under the player's answer
+const AnswerReveal = ({ item, result }) => {
+  const { t } = useTranslation();
+  if (!result) {
+    return null;
+  }
+  // True or false answers are kept in English - show them in the chosen language
+  const answer = getQuestionType(item) === QUESTION_TYPES.TRUE_FALSE ? t("answer." + item.A.toLowerCase()) : item.A;
+  return (
+    <p className={"answer-reveal " + (result === "win" ? "answer-right" : "answer-wrong")}>
+      {t("answer.correct")} <strong>{answer}</strong>
+    </p>
+  );
+};
+
+export default AnswerReveal;
@@ -0,0 +1,30 @@
+import { QUESTION_TYPES, getQuestionType } from "../../Utilities/Grading";
+import ChoiceAnswer from "./ChoiceAnswer";
+import TextAnswer from "./TextAnswer";
+import TrueFalseAnswer from "./TrueFalseAnswer";
+import MultiSelectAnswer from "./MultiSelectAnswer";
+import MultipleChoiceAnswer from "./MultipleChoiceAnswer";
+
+// Picks the input that matches the type of the question
+// onSelect gets a string, or a list of strings for multi-select questions - onConfirm locks it in
+// choices are the multiple-choice options - when given, choice and text questions use them
+// locked is true once the answer has been confirmed
+const AnswerInput = ({ item, options, selection, locked, choices, onSelect, onConfirm }) => {
+  const type = getQuestionType(item);
+  const props = { item, selection, locked, onSelect };
+  if (choices && (type === QUESTION_TYPES.CHOICE || type === QUESTION_TYPES.TEXT)) {
+    return <MultipleChoiceAnswer {...props} choices={choices} />;
+  }
+  switch (type) {
+    case QUESTION_TYPES.TEXT:
+      return <TextAnswer {...props} onConfirm={onConfirm} />;
+    case QUESTION_TYPES.TRUE_FALSE:
+      return <TrueFalseAnswer {...props} />;
+    case QUESTION_TYPES.MULTI:
+      return <MultiSelectAnswer {...props} />;
+    default:
+      return <ChoiceAnswer {...props} options={options} />;
+  }
+};
+
+export default AnswerInput;
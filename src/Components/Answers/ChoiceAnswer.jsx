@@ -0,0 +1,28 @@
+import Select from "react-select";
+import { selectCustomStyles } from "../../Utilities/SelectReactSetting";
+import { useTranslation } from "../../Utilities/I18n";
+import { groupAnswerOptions, searchAnswerOption } from "../../Utilities/AnswerOptions";
+
+// Dropdown of every answer in the pack, grouped into places, years, people and so on
+// Typing filters the list - macrons and punctuation do not have to be typed
+const ChoiceAnswer = ({ options, selection, locked, onSelect }) => {
+  const { t } = useTranslation();
+  const grouped = groupAnswerOptions(options).map((entry) =>
+    entry.options ? { ...entry, label: t("answer.group." + entry.kind) } : entry
+  );
+  return (
+    <Select
+      styles={selectCustomStyles}
+      options={grouped}
+      className="selectDropDownStyle"
+      value={options.find((opt) => opt.value === selection) || null}
+      onChange={(e) => onSelect(e.value)}
+      filterOption={searchAnswerOption}
+      placeholder={selection ? selection : t("answer.select")}
+      controlShouldRenderValue={false}
+      isDisabled={locked}
+    />
+  );
+};
+
+export default ChoiceAnswer;
@@ -0,0 +1,37 @@
+import { useTranslation } from "../../Utilities/I18n";
+import { isSameAnswer } from "../../Utilities/AnswerMatching";
+import { optionKey } from "../../Utilities/Keyboard";
+
+// Tick every correct option
+// After the answer is confirmed the right options are marked
+const MultiSelectAnswer = ({ item, selection, locked, onSelect }) => {
+  const { t } = useTranslation();
+  const picked = selection || [];
+
+  const isAnswer = (option) => item.answers.some((answer) => isSameAnswer(answer, option));
+
+  // Keep the options in the order they are shown
+  const handleToggle = (option) => {
+    const next = picked.includes(option) ? picked.filter((p) => p !== option) : [...picked, option];
+    onSelect(item.options.filter((o) => next.includes(o)));
+  };
+
+  return (
+    <fieldset className="multi-select-answer" disabled={locked}>
+      <legend>{t("answer.chooseAll")}</legend>
+      {item.options.map((option, index) => (
+        <label key={option} className={locked && isAnswer(option) ? "choice-correct" : undefined}>
+          <input
+            type="checkbox"
+            checked={picked.includes(option)}
+            onChange={() => handleToggle(option)}
+            aria-keyshortcuts={optionKey(index)}
+          />
+          {option}
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default MultiSelectAnswer;
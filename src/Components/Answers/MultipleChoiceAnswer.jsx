@@ -0,0 +1,28 @@
+import { useTranslation } from "../../Utilities/I18n";
+import { isSameAnswer } from "../../Utilities/AnswerMatching";
+import { optionKey } from "../../Utilities/Keyboard";
+
+// One button for each option - the answer and its distractors
+// After the answer is confirmed the right one is marked
+const MultipleChoiceAnswer = ({ item, choices, selection, locked, onSelect }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="multiple-choice-answer" role="group" aria-label={t("answer.chooseOne")}>
+      {choices.map((choice, index) => (
+        <button
+          key={choice}
+          type="button"
+          className={"btn btn-primary" + (locked && isSameAnswer(choice, item.A) ? " choice-correct" : "")}
+          aria-pressed={selection === choice}
+          aria-keyshortcuts={optionKey(index)}
+          disabled={locked}
+          onClick={() => onSelect(choice)}
+        >
+          {choice}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MultipleChoiceAnswer;
@@ -0,0 +1,27 @@
+import { useTranslation } from "../../Utilities/I18n";
+
+// Type the answer in - pressing Enter confirms it
+const TextAnswer = ({ selection, locked, onSelect, onConfirm }) => {
+  const { t } = useTranslation();
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm();
+  };
+
+  return (
+    <form className="text-answer" onSubmit={handleSubmit}>
+      <label>
+        {t("answer.typed")}{" "}
+        <input
+          type="text"
+          value={selection || ""}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={locked}
+          autoComplete="off"
+        />
+      </label>
+    </form>
+  );
+};
+
+export default TextAnswer;
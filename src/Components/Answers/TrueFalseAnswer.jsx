@@ -0,0 +1,28 @@
+import { useTranslation } from "../../Utilities/I18n";
+import { isSameAnswer } from "../../Utilities/AnswerMatching";
+import { optionKey } from "../../Utilities/Keyboard";
+
+// Two buttons - True and False
+// After the answer is confirmed the right one is marked
+const TrueFalseAnswer = ({ item, selection, locked, onSelect }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="true-false-answer" role="group" aria-label={t("answer.trueOrFalse")}>
+      {["True", "False"].map((choice, index) => (
+        <button
+          key={choice}
+          type="button"
+          className={"btn btn-primary" + (locked && isSameAnswer(choice, item.A) ? " choice-correct" : "")}
+          aria-pressed={selection === choice}
+          aria-keyshortcuts={optionKey(index)}
+          disabled={locked}
+          onClick={() => onSelect(choice)}
+        >
+          {t("answer." + choice.toLowerCase())}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default TrueFalseAnswer;
@@ -0,0 +1,55 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { useAudienceView } from "../Utilities/AudienceSync";
+import { useTranslation } from "../Utilities/I18n";
+
+// The audience screen for quiz nights - shows only what the host has revealed
+const AudienceView = () => {
+  const { t } = useTranslation();
+  const view = useAudienceView();
+
+  if (!view || view.phase === GAME_PHASES.IDLE) {
+    return (
+      <main className="audience-view">
+        <h1 className="display-4">{t("audience.title")}</h1>
+        <p className="audience-waiting">{t("audience.waiting")}</p>
+        {view && view.scores && <AudienceScores scores={view.scores} />}
+      </main>
+    );
+  }
+
+  return (
+    <main className="audience-view">
+      <p className="audience-progress">
+        {t("audience.progress", { round: view.round, question: view.questionInRound })}
+        {view.turn && t("audience.turn", { name: view.turn })}
+      </p>
+      <h1 className="display-4">{view.question || t("audience.getReady")}</h1>
+      {view.answer && (
+        <p className="audience-answer" aria-live="polite">
+          {t("audience.answer")} <strong>{view.answer}</strong>
+        </p>
+      )}
+      {view.scores && <AudienceScores scores={view.scores} />}
+    </main>
+  );
+};
+
+// The scoreboard, once the host shows it - a single player's score has no name
+const AudienceScores = ({ scores }) => {
+  const { t } = useTranslation();
+
+  return (
+    <table className="audience-scores">
+      <tbody>
+        {scores.map((entry, index) => (
+          <tr key={index}>
+            <th scope="row">{entry.name || t("audience.score")}</th>
+            <td>{entry.score}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default AudienceView;
@@ -0,0 +1,30 @@
+import { listCategories } from "../Utilities/Categories";
+import { useTranslation } from "../Utilities/I18n";
+
+// Tick the categories to play before the session starts
+// Nothing ticked means every category is in play
+const CategoryPicker = ({ items, selected, disabled, onChange }) => {
+  const { t } = useTranslation();
+  const categories = listCategories(items);
+
+  const handleToggle = (name) => {
+    onChange(selected.includes(name) ? selected.filter((c) => c !== name) : [...selected, name]);
+  };
+
+  return (
+    <fieldset className="category-picker mb-4" disabled={disabled}>
+      <legend>
+        {t("categories.legend")}{" "}
+        {selected.length === 0 ? t("categories.all") : t("categories.chosen", { count: selected.length })}
+      </legend>
+      {categories.map(({ name, count }) => (
+        <label key={name}>
+          <input type="checkbox" checked={selected.includes(name)} onChange={() => handleToggle(name)} />
+          {name} ({count})
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default CategoryPicker;
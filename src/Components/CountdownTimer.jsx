@@ -0,0 +1,18 @@
+import { useTranslation } from "../Utilities/I18n";
+
+// Seconds left for the question, as text and a bar that empties
+const CountdownTimer = ({ secondsLeft, timeLimit }) => {
+  const { t } = useTranslation();
+  if (secondsLeft === null) {
+    return null;
+  }
+  const seconds = Math.ceil(secondsLeft);
+  return (
+    <div className="countdown-timer mb-4" role="timer" aria-label={t("timer.label")}>
+      <span className={seconds <= 5 ? "countdown-low" : undefined}>{t("timer.left", { seconds })}</span>
+      <progress max={timeLimit} value={secondsLeft} />
+    </div>
+  );
+};
+
+export default CountdownTimer;
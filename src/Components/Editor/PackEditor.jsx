@@ -0,0 +1,292 @@
+import { useState } from "react";
+import { validatePack } from "../../Utilities/PackValidator";
+import {
+  addQuestion,
+  deleteQuestion,
+  errorsForQuestion,
+  moveQuestion,
+  packErrors,
+  packToText,
+  searchQuestions,
+  updateQuestion,
+} from "../../Utilities/PackEditing";
+import { downloadText } from "../../Utilities/Download";
+import { readFileText } from "../../Utilities/ReadFile";
+import {
+  DELIMITERS,
+  exportQuestions,
+  exportWarnings,
+  importQuestions,
+  mergeImported,
+} from "../../Utilities/Spreadsheet";
+import { useTranslation } from "../../Utilities/I18n";
+import QuestionForm from "./QuestionForm";
+import QuestionPreview from "./QuestionPreview";
+
+// Edit a copy of a quiz pack - list, search, add, change, reorder and delete questions
+// The copy is checked on every change; it can be played or exported once it has no problems
+// disabled stops the copy being played while a session is running
+const PackEditor = ({ pack, disabled, onUse }) => {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(pack);
+  //index of the question being edited, or null
+  const [selected, setSelected] = useState(null);
+  const [search, setSearch] = useState("");
+  // What happened to the last spreadsheet imported - { fileName, added, updated, errors, unreadable }
+  const [imported, setImported] = useState(null);
+  // Questions the last spreadsheet exported could not hold in full - { fileName, warnings }
+  const [exported, setExported] = useState(null);
+
+  const { errors } = validatePack(draft);
+  const questions = draft.questions;
+  const setQuestions = (next) => setDraft({ ...draft, questions: next });
+
+  const handleAdd = () => {
+    setQuestions(addQuestion(questions));
+    setSearch("");
+    setSelected(questions.length);
+  };
+
+  const handleMove = (index, offset) => {
+    const next = moveQuestion(questions, index, offset);
+    setQuestions(next);
+    // Keep editing the same question wherever it went
+    if (selected === index && next !== questions) {
+      setSelected(index + offset);
+    } else if (selected === index + offset) {
+      setSelected(index);
+    }
+  };
+
+  const handleDelete = (index) => {
+    setQuestions(deleteQuestion(questions, index));
+    if (selected === index) {
+      setSelected(null);
+    } else if (selected !== null && selected > index) {
+      setSelected(selected - 1);
+    }
+  };
+
+  // Add the good rows of a CSV or TSV file to the pack, reporting the rest by row
+  // A row with the id of a question in the pack updates it, so an exported sheet can be edited and brought back
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    let text;
+    try {
+      text = await readFileText(file);
+    } catch {
+      setImported({ fileName: file.name, added: 0, errors: [], unreadable: true });
+      e.target.value = "";
+      return;
+    }
+    const result = importQuestions(text, { fileName: file.name, existing: questions });
+    const merged = mergeImported(questions, result.questions);
+    if (result.questions.length > 0) {
+      setQuestions(merged.questions);
+    }
+    setImported({ fileName: file.name, added: merged.added, updated: merged.updated, errors: result.errors });
+    // Let the same file be picked again after it has been fixed
+    e.target.value = "";
+  };
+
+  const handleSpreadsheetExport = (delimiter, extension, type) => {
+    const fileName = `${draft.id}.${extension}`;
+    downloadText(fileName, exportQuestions(questions, delimiter), type);
+    setExported({ fileName, warnings: exportWarnings(questions) });
+  };
+
+  const handlePackField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  return (
+    <details className="pack-editor mt-4" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>{t("editor.title")}</summary>
+      {open && (
+        <div className="pack-editor-body">
+          <fieldset className="pack-details">
+            <legend>{t("editor.details")}</legend>
+            <label>
+              {t("editor.packTitle")} <input type="text" value={draft.title} onChange={handlePackField("title")} />
+            </label>
+            <label>
+              {t("editor.packId")} <input type="text" value={draft.id} onChange={handlePackField("id")} />
+            </label>
+            <label>
+              {t("editor.description")}{" "}
+              <input type="text" value={draft.description || ""} onChange={handlePackField("description")} />
+            </label>
+          </fieldset>
+          <EditorErrors errors={packErrors(errors)} />
+
+          <div className="editor-toolbar">
+            <label>
+              {t("editor.search")} <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} />
+            </label>
+            <button className="btn btn-outline-primary" onClick={handleAdd}>
+              {t("editor.add")}
+            </button>
+          </div>
+          <div className="editor-spreadsheet">
+            <label>
+              {t("editor.import")} <input type="file" accept=".csv,.tsv,.txt" onChange={handleImport} />
+            </label>
+            <button
+              className="btn btn-sm btn-outline-primary"
+              onClick={() => handleSpreadsheetExport(DELIMITERS.CSV, "csv", "text/csv")}
+            >
+              {t("editor.exportCsv")}
+            </button>
+            <button
+              className="btn btn-sm btn-outline-primary"
+              onClick={() => handleSpreadsheetExport(DELIMITERS.TSV, "tsv", "text/tab-separated-values")}
+            >
+              {t("editor.exportTsv")}
+            </button>
+          </div>
+          {imported && <ImportReport {...imported} />}
+          {exported && exported.warnings.length > 0 && <ExportReport {...exported} />}
+          <ol className="editor-list" aria-label={t("editor.list")}>
+            {searchQuestions(questions, search).map(({ question, index }) => {
+              const problems = errorsForQuestion(errors, index).length;
+              const number = index + 1;
+              return (
+                <li key={index} className={index === selected ? "editor-item editor-selected" : "editor-item"}>
+                  <span className="editor-item-text">
+                    {number}. {question.Q || t("editor.blankQuestion")} - <em>{question.A}</em>
+                    {problems > 0 && (
+                      <span className="editor-problems"> {t("editor.problemCount", { count: problems })}</span>
+                    )}
+                  </span>
+                  <button
+                    className="btn btn-sm btn-outline-primary"
+                    aria-label={t("editor.editLabel", { number })}
+                    onClick={() => setSelected(index)}
+                  >
+                    {t("editor.edit")}
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    aria-label={t("editor.upLabel", { number })}
+                    disabled={index === 0}
+                    onClick={() => handleMove(index, -1)}
+                  >
+                    {t("editor.up")}
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    aria-label={t("editor.downLabel", { number })}
+                    disabled={index === questions.length - 1}
+                    onClick={() => handleMove(index, 1)}
+                  >
+                    {t("editor.down")}
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline-danger"
+                    aria-label={t("editor.deleteLabel", { number })}
+                    onClick={() => handleDelete(index)}
+                  >
+                    {t("editor.delete")}
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+
+          {selected !== null && questions[selected] && (
+            <div className="editor-question">
+              <QuestionForm
+                key={selected}
+                question={questions[selected]}
+                onChange={(question) => setQuestions(updateQuestion(questions, selected, question))}
+              />
+              <EditorErrors errors={errorsForQuestion(errors, selected)} showAllClear />
+              <QuestionPreview key={"preview-" + selected} item={questions[selected]} items={questions} />
+            </div>
+          )}
+
+          <div className="editor-actions">
+            <p aria-live="polite">
+              {errors.length === 0
+                ? t("editor.allClear", { count: questions.length })
+                : t("editor.toFix", { count: errors.length })}
+            </p>
+            <button
+              className="btn btn-primary"
+              disabled={errors.length > 0}
+              onClick={() => downloadText(`${draft.id}.json`, packToText(draft))}
+            >
+              {t("editor.export")}
+            </button>
+            <button className="btn btn-success" disabled={errors.length > 0 || disabled} onClick={() => onUse(draft)}>
+              {t("editor.play")}
+            </button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+};
+
+// Problems found by validation, updated as the author types
+const EditorErrors = ({ errors, showAllClear = false }) => {
+  const { t } = useTranslation();
+  if (errors.length === 0) {
+    return showAllClear ? <p className="editor-ok">{t("editor.questionOk")}</p> : null;
+  }
+  return (
+    <ul className="pack-errors editor-errors" aria-live="polite">
+      {errors.map((error) => (
+        <li key={error.path + error.message}>{error.message}</li>
+      ))}
+    </ul>
+  );
+};
+
+// How a spreadsheet import went - rows that could not be added are listed by row number
+// unreadable is for a file that could not be read at all
+const ImportReport = ({ fileName, added, updated, errors, unreadable }) => {
+  const { t } = useTranslation();
+  if (unreadable) {
+    return (
+      <ul className="pack-errors" role="alert">
+        <li>{t("packs.readError", { fileName })}</li>
+      </ul>
+    );
+  }
+  return (
+    <div className="import-report" aria-live="polite">
+      <p>
+        {t("editor.imported", { fileName, count: added })}
+        {updated > 0 && t("editor.updated", { count: updated })}
+        {errors.length > 0 && t("editor.skipped", { count: errors.length })}.
+      </p>
+      {errors.length > 0 && (
+        <ul className="pack-errors">
+          {errors.map((error) => (
+            <li key={error.row + error.message}>{error.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// The questions an exported spreadsheet left something out of, by row
+const ExportReport = ({ fileName, warnings }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="import-report" aria-live="polite">
+      <p>{t("editor.exportWarnings", { fileName, count: warnings.length })}</p>
+      <ul className="pack-errors">
+        {warnings.map((warning) => (
+          <li key={warning.row}>{warning.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PackEditor;
@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { QUESTION_TYPES } from "../../Utilities/Grading";
+import { ANSWER_KINDS } from "../../Utilities/AnswerKinds";
+import { DIFFICULTY_LABELS } from "../../Utilities/Difficulty";
+import { useTranslation } from "../../Utilities/I18n";
+import { formToQuestion, questionToForm } from "../../Utilities/PackEditing";
+
+// How each type of question is described in the form - keys into the UI text
+const TYPE_LABELS = {
+  [QUESTION_TYPES.CHOICE]: "form.type.choice",
+  [QUESTION_TYPES.TEXT]: "form.type.text",
+  [QUESTION_TYPES.TRUE_FALSE]: "form.type.trueFalse",
+  [QUESTION_TYPES.MULTI]: "form.type.multi",
+};
+
+// Edit one question - the form keeps the text as typed and sends the question on every change
+// so it can be checked as the author types
+const QuestionForm = ({ question, onChange }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(() => questionToForm(question));
+
+  const handleChange = (field) => (e) => {
+    const next = { ...form, [field]: e.target.value };
+    setForm(next);
+    onChange(formToQuestion(next, question));
+  };
+
+  return (
+    <fieldset className="question-form">
+      <legend>{t("form.legend")}</legend>
+      <label>
+        {t("form.id")} <input type="text" value={form.id} onChange={handleChange("id")} />
+      </label>
+      <label>
+        {t("form.question")} <textarea rows="2" value={form.Q} onChange={handleChange("Q")} />
+      </label>
+      <label>
+        {t("form.answer")} <input type="text" value={form.A} onChange={handleChange("A")} />
+      </label>
+      <label>
+        {t("form.aliases")}
+        <textarea rows="2" value={form.aliases} onChange={handleChange("aliases")} />
+      </label>
+      <label>
+        {t("form.type")}{" "}
+        <select value={form.type} onChange={handleChange("type")}>
+          {Object.entries(TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>
+              {t(label)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {form.type === QUESTION_TYPES.MULTI && (
+        <>
+          <label>
+            {t("form.options")} <textarea rows="4" value={form.options} onChange={handleChange("options")} />
+          </label>
+          <label>
+            {t("form.answers")} <textarea rows="3" value={form.answers} onChange={handleChange("answers")} />
+          </label>
+        </>
+      )}
+      <label>
+        {t("form.category")} <input type="text" value={form.category} onChange={handleChange("category")} />
+      </label>
+      <label>
+        {t("form.tags")} <input type="text" value={form.tags} onChange={handleChange("tags")} />
+      </label>
+      <label>
+        {t("form.difficulty")}{" "}
+        <select value={form.difficulty} onChange={handleChange("difficulty")}>
+          <option value="">{t("form.notRated")}</option>
+          {Object.keys(DIFFICULTY_LABELS).map((value) => (
+            <option key={value} value={value}>
+              {value} - {t("difficulty." + value)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("form.timeLimit")}{" "}
+        <input type="number" min="0" value={form.timeLimit} onChange={handleChange("timeLimit")} />
+      </label>
+      <label>
+        {t("form.kind")}{" "}
+        <select value={form.kind} onChange={handleChange("kind")}>
+          <option value="">{t("form.kindFromAnswer")}</option>
+          {Object.values(ANSWER_KINDS).map((kind) => (
+            <option key={kind} value={kind}>
+              {kind}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("form.distractors")} <textarea rows="3" value={form.distractors} onChange={handleChange("distractors")} />
+      </label>
+      <label>
+        {t("form.explanation")} <textarea rows="3" value={form.explanation} onChange={handleChange("explanation")} />
+      </label>
+      <label>
+        {t("form.sources")} <textarea rows="2" value={form.sources} onChange={handleChange("sources")} />
+      </label>
+      {Array.isArray(question.parts) && (
+        <p className="question-form-note">{t("form.parts", { count: question.parts.length })}</p>
+      )}
+    </fieldset>
+  );
+};
+
+export default QuestionForm;
@@ -0,0 +1,49 @@
+import { useState } from "react";
+import { sortedListAnswers } from "../../Assets/quiz";
+import { gradeAnswer } from "../../Utilities/Grading";
+import AnswerInput from "../Answers/AnswerInput";
+import AnswerReveal from "../AnswerReveal";
+import LearnMore from "../LearnMore";
+import QuestionTags from "../QuestionTags";
+import { PointsHint } from "../PointsInfo";
+import { useTranslation } from "../../Utilities/I18n";
+
+// The question as a player will see it - try an answer to check the marking
+// items are all the questions in the pack, for the answer dropdown
+const QuestionPreview = ({ item, items }) => {
+  const { t } = useTranslation();
+  const [selection, setSelection] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const handleSelect = (response) => {
+    setSelection(response);
+    setResult(null);
+  };
+
+  const handleCheck = () => setResult(gradeAnswer(item, selection).correct ? "win" : "lose");
+
+  return (
+    <section className="question-preview" aria-label={t("preview.title")}>
+      <h3>{t("preview.title")}</h3>
+      <p className="preview-question display-6">{item.Q || t("editor.blankQuestion")}</p>
+      <QuestionTags item={item} />
+      <PointsHint item={item} />
+      <AnswerInput
+        item={item}
+        options={sortedListAnswers(items)}
+        selection={selection}
+        locked={false}
+        choices={null}
+        onSelect={handleSelect}
+        onConfirm={handleCheck}
+      />
+      <button className="btn btn-outline-success mt-2" onClick={handleCheck} disabled={selection === null}>
+        {t("preview.check")}
+      </button>
+      <AnswerReveal item={item} result={result} />
+      <LearnMore item={item} result={result} />
+    </section>
+  );
+};
+
+export default QuestionPreview;
@@ -0,0 +1,50 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { audienceUrl } from "../Utilities/AudienceSync";
+import { useTranslation } from "../Utilities/I18n";
+
+// Name of the audience window, so opening it again reuses the same window
+const AUDIENCE_WINDOW = "kiwiQuizAudience";
+
+// Quiz-night controls for the host - open the audience screen and choose what it shows
+// The host sees the answer here all the time, the audience only once it is revealed
+const HostControls = ({ enabled, game, reveal, onToggleHost, onReveal }) => {
+  const { t } = useTranslation();
+  const playing = game.phase !== GAME_PHASES.IDLE;
+
+  // A button that switches one part of the audience screen on and off
+  const toggle = (name, label, disabled = false) => (
+    <button
+      className="btn btn-outline-primary"
+      aria-pressed={reveal[name]}
+      disabled={disabled}
+      onClick={() => onReveal({ ...reveal, [name]: !reveal[name] })}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <fieldset className="host-controls mb-4">
+      <label>
+        <input type="checkbox" checked={enabled} onChange={(e) => onToggleHost(e.target.checked)} /> {t("host.enable")}
+      </label>
+      {enabled && (
+        <>
+          <button className="btn btn-outline-secondary" onClick={() => window.open(audienceUrl(), AUDIENCE_WINDOW)}>
+            {t("host.openAudience")}
+          </button>
+          {toggle("question", t("host.showQuestion"), !playing)}
+          {toggle("answer", t("host.revealAnswer"), !playing)}
+          {toggle("scoreboard", t("host.showScoreboard"))}
+          {playing && (
+            <p className="host-answer">
+              {t("host.answer")} <strong>{game.question.A}</strong>
+            </p>
+          )}
+        </>
+      )}
+    </fieldset>
+  );
+};
+
+export default HostControls;
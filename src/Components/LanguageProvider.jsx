@@ -0,0 +1,21 @@
+import { useEffect, useState } from "react";
+import { LanguageContext, loadLanguage, saveLanguage } from "../Utilities/I18n";
+
+// Holds the chosen language for everything inside it and remembers it for next time
+// store is where the choice is saved - the browser's storage unless a test passes its own
+const LanguageProvider = ({ children, store }) => {
+  const [language, setLanguage] = useState(() => loadLanguage(store));
+
+  // Screen readers and spell checkers follow the page's language
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const chooseLanguage = (next) => setLanguage(saveLanguage(next, store));
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage: chooseLanguage }}>{children}</LanguageContext.Provider>
+  );
+};
+
+export default LanguageProvider;
@@ -0,0 +1,21 @@
+import { LANGUAGES, translate, useTranslation } from "../Utilities/I18n";
+
+// Pick the language for the game - each language is listed by its own name
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useTranslation();
+
+  return (
+    <label className="language-switcher">
+      {t("language.label")}{" "}
+      <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+        {Object.values(LANGUAGES).map((code) => (
+          <option key={code} value={code} lang={code}>
+            {translate(code, "language.name")}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,37 @@
+import { useTranslation } from "../Utilities/I18n";
+
+// More about the answer and where it comes from, once the answer is revealed
+// Closed to start with so it does not push the next question button around
+const LearnMore = ({ item, result }) => {
+  const { t } = useTranslation();
+  const sources = Array.isArray(item.sources) ? item.sources : [];
+  if (!result || (!item.explanation && sources.length === 0)) {
+    return null;
+  }
+  return (
+    <details className="learn-more text-start mt-3">
+      <summary>{t("learnMore.title")}</summary>
+      {item.explanation && <p className="mt-2">{item.explanation}</p>}
+      {sources.length > 0 && (
+        <>
+          <h3 className="fs-6">{t("learnMore.sources")}</h3>
+          <ul>
+            {sources.map((source) => (
+              <li key={source.title}>
+                {source.url ? (
+                  <a href={source.url} target="_blank" rel="noreferrer">
+                    {source.title}
+                  </a>
+                ) : (
+                  source.title
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </details>
+  );
+};
+
+export default LearnMore;
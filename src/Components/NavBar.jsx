@@ -0,0 +1,23 @@
+import { ROUTES, routeHref } from "../Utilities/Router";
+import { useTranslation } from "../Utilities/I18n";
+
+// Links to every screen, with the one on show marked as the current page
+const NavBar = ({ route }) => {
+  const { t } = useTranslation();
+
+  return (
+    <nav className="nav-bar" aria-label={t("nav.label")}>
+      <ul>
+        {Object.values(ROUTES).map((name) => (
+          <li key={name}>
+            <a href={routeHref(name)} aria-current={name === route ? "page" : undefined}>
+              {t("nav." + name)}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
+
+export default NavBar;
@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { bundledPacks, defaultPack } from "../Assets/Packs";
+import { parsePack } from "../Utilities/PackValidator";
+import { readFileText } from "../Utilities/ReadFile";
+import { useTranslation } from "../Utilities/I18n";
+
+// Choose one of the bundled quiz packs or load a pack file from disk
+// Problems with a file are listed instead of loading it
+const PackPicker = ({ pack, disabled, onLoad }) => {
+  const { t } = useTranslation();
+  //errors from the last file that failed to load
+  const [errors, setErrors] = useState([]);
+  //the pack on screen - null means the pack the game started with
+  const current = pack || defaultPack;
+  const isBundled = bundledPacks.some((p) => p.id === current.id);
+
+  const handleBundledChange = (e) => {
+    const chosen = bundledPacks.find((p) => p.id === e.target.value);
+    if (chosen) {
+      setErrors([]);
+      onLoad(chosen);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    let text;
+    try {
+      text = await readFileText(file);
+    } catch {
+      setErrors([t("packs.readError", { fileName: file.name })]);
+      e.target.value = "";
+      return;
+    }
+    const { pack: loaded, errors: problems } = parsePack(text);
+    setErrors(problems.map((problem) => `${file.name}: ${problem.message}`));
+    if (loaded) {
+      onLoad(loaded);
+    }
+    // Let the same file be picked again after it has been fixed
+    e.target.value = "";
+  };
+
+  return (
+    <fieldset className="pack-picker mb-4" disabled={disabled}>
+      <label>
+        {t("packs.label")}{" "}
+        <select value={isBundled ? current.id : ""} onChange={handleBundledChange}>
+          {!isBundled && <option value="">{t("packs.fromFile", { title: current.title })}</option>}
+          {bundledPacks.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.title}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("packs.loadFile")} <input type="file" accept=".json,application/json" onChange={handleFileChange} />
+      </label>
+      {errors.length > 0 && (
+        <ul className="pack-errors" role="alert">
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </fieldset>
+  );
+};
+
+export default PackPicker;
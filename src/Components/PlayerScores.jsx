@@ -0,0 +1,26 @@
+import { useTranslation } from "../Utilities/I18n";
+
+// Each player's score and streak in a hot-seat game, with the player whose turn it is marked
+const PlayerScores = ({ game }) => {
+  const { t } = useTranslation();
+  const { players, turn } = game;
+  if (players.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="player-scores mb-4" aria-label={t("players.scores")}>
+      {players.map((player, index) => (
+        <li
+          key={index}
+          className={index === turn ? "player-score current-player" : "player-score"}
+          aria-current={index === turn ? "true" : undefined}
+        >
+          <strong>{player.name}</strong> {t("players.score", { score: player.score, streak: player.streak })}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PlayerScores;
@@ -0,0 +1,40 @@
+import { MAX_PLAYERS, resizePlayerNames } from "../Utilities/Players";
+import { useTranslation } from "../Utilities/I18n";
+
+// Number of players and their names for a hot-seat game
+// Only editable before a session starts or after it is over
+const PlayerSetup = ({ names, disabled, onChange }) => {
+  const { t } = useTranslation();
+  // Keep the count between one player and the most allowed
+  const handleCount = (e) => {
+    const count = Math.min(MAX_PLAYERS, Math.max(1, parseInt(e.target.value, 10) || 1));
+    onChange(resizePlayerNames(names, count));
+  };
+
+  const handleName = (index) => (e) => {
+    onChange(names.map((name, i) => (i === index ? e.target.value : name)));
+  };
+
+  return (
+    <fieldset className="player-setup mb-4" disabled={disabled}>
+      <label>
+        {t("players.count")}{" "}
+        <input
+          type="number"
+          className="player-count"
+          min="1"
+          max={MAX_PLAYERS}
+          value={Math.max(1, names.length)}
+          onChange={handleCount}
+        />
+      </label>
+      {names.map((name, index) => (
+        <label key={index}>
+          {t("players.name", { number: index + 1 })} <input type="text" value={name} onChange={handleName(index)} />
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default PlayerSetup;
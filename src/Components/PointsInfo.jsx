@@ -0,0 +1,29 @@
+import { bonusPoints, maxPoints } from "../Utilities/Grading";
+import { useTranslation } from "../Utilities/I18n";
+
+// What the question is worth, shown with the question
+// Only shown for answers in parts - a plain answer is always worth one point
+export const PointsHint = ({ item }) => {
+  const { t } = useTranslation();
+  if (!Array.isArray(item.parts) || item.parts.length === 0) {
+    return null;
+  }
+  const bonus = bonusPoints(item);
+  return (
+    <p className="points-hint">
+      {t("points.worth", { points: t("points.count", { count: maxPoints(item) }) })}
+      {bonus > 0 && t("points.worthBonus", { points: t("points.count", { count: bonus }) })}
+    </p>
+  );
+};
+
+// Points the player got for their answer, shown after they answer
+export const PointsAwarded = ({ item, points, bonus }) => {
+  const { t } = useTranslation();
+  return (
+    <p className="points-awarded">
+      {t("points.awarded", { points: t("points.count", { count: points }), max: maxPoints(item) })}
+      {bonus > 0 && t("points.awardedBonus", { points: t("points.count", { count: bonus }) })}
+    </p>
+  );
+};
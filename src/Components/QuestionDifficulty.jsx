@@ -0,0 +1,14 @@
+import { MAX_DIFFICULTY } from "../Utilities/Difficulty";
+import { useTranslation } from "../Utilities/I18n";
+
+// How hard the current question is, shown with the question
+const QuestionDifficulty = ({ difficulty }) => {
+  const { t } = useTranslation();
+  return (
+    <p className={`question-difficulty difficulty-${difficulty}`}>
+      {t("difficulty.label", { name: t("difficulty." + difficulty), difficulty, max: MAX_DIFFICULTY })}
+    </p>
+  );
+};
+
+export default QuestionDifficulty;
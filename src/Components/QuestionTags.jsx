@@ -0,0 +1,20 @@
+import { getCategory } from "../Utilities/Categories";
+
+// Category and tags shown under the question
+const QuestionTags = ({ item }) => {
+  if (!item.category && !item.tags) {
+    return null;
+  }
+  return (
+    <div className="question-tags">
+      <span className="question-category">{getCategory(item)}</span>
+      {(item.tags || []).map((tag) => (
+        <span key={tag} className="question-tag">
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default QuestionTags;
@@ -0,0 +1,153 @@
+import { useState } from "react";
+import { DEFAULT_SERVER_URL } from "../../server/protocol.js";
+import { RACE_STATUS, playerName } from "../Utilities/RaceClient";
+import { useTranslation } from "../Utilities/I18n";
+
+// Online race against players on other machines - connect to a race server, make or join a room and race
+// pack is { packId, size, length } for the questions in play
+const RacePanel = ({ race, pack }) => {
+  const { t } = useTranslation();
+  const [enabled, setEnabled] = useState(false);
+  const [url, setUrl] = useState(DEFAULT_SERVER_URL);
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const inRoom = race.room !== null;
+
+  if (!enabled && !inRoom) {
+    return (
+      <fieldset className="race-panel mb-4">
+        <label>
+          <input type="checkbox" checked={false} onChange={(e) => setEnabled(e.target.checked)} /> {t("race.enable")}
+        </label>
+      </fieldset>
+    );
+  }
+
+  return (
+    <fieldset className="race-panel mb-4">
+      <legend>{t("race.legend")}</legend>
+      {race.error && (
+        <p className="race-error" role="alert">
+          {/* The server's messages have no key and show as they were sent */}
+          {t(race.error)}
+        </p>
+      )}
+      {!inRoom ? (
+        <RaceConnect
+          url={url}
+          name={name}
+          code={code}
+          connecting={race.status === RACE_STATUS.CONNECTING}
+          onUrl={setUrl}
+          onName={setName}
+          onCode={setCode}
+          onCreate={() => race.createRoom(url, { name, ...pack })}
+          onJoin={() => race.joinRoom(url, { code, name, ...pack })}
+          onClose={() => setEnabled(false)}
+        />
+      ) : (
+        <RaceRoom race={race} />
+      )}
+    </fieldset>
+  );
+};
+
+// Server address, name and join code - before joining a room
+const RaceConnect = ({ url, name, code, connecting, onUrl, onName, onCode, onCreate, onJoin, onClose }) => {
+  const { t } = useTranslation();
+  return (
+    <>
+      <label>
+        {t("race.server")} <input type="text" value={url} onChange={(e) => onUrl(e.target.value)} />
+      </label>
+      <label>
+        {t("race.name")} <input type="text" value={name} onChange={(e) => onName(e.target.value)} />
+      </label>
+      <button className="btn btn-outline-primary" onClick={onCreate} disabled={connecting}>
+        {t("race.create")}
+      </button>
+      <label>
+        {t("race.code")}{" "}
+        <input type="text" className="race-code" value={code} onChange={(e) => onCode(e.target.value.toUpperCase())} />
+      </label>
+      <button className="btn btn-outline-primary" onClick={onJoin} disabled={connecting || !code.trim()}>
+        {t("race.join")}
+      </button>
+      <button className="btn btn-outline-secondary" onClick={onClose}>
+        {t("race.cancel")}
+      </button>
+    </>
+  );
+};
+
+// Who is in the room, how far through the race they are and who answered first
+const RaceRoom = ({ race }) => {
+  const { t } = useTranslation();
+  const { room, playerId, status, rulings } = race;
+  const isHost = room.hostId === playerId;
+  const ranked = [...room.players].sort((a, b) => b.points - a.points || b.correct - a.correct);
+
+  return (
+    <>
+      <p className="race-code-display">
+        {t("race.roomCode")} <strong>{room.code}</strong>
+        {status === RACE_STATUS.LOBBY && t("race.share")}
+      </p>
+      <table className="race-progress">
+        <thead>
+          <tr>
+            <th scope="col">{t("race.player")}</th>
+            <th scope="col">{t("race.answered")}</th>
+            <th scope="col">{t("race.firstRight")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(status === RACE_STATUS.LOBBY ? room.players : ranked).map((player) => (
+            <tr key={player.id} className={player.id === playerId ? "race-me" : undefined}>
+              <td>
+                {player.name}
+                {player.id === playerId && t("race.you")}
+                {player.id === room.hostId && t("race.host")}
+              </td>
+              <td>{t("race.answeredOf", { answered: player.answered, questions: room.length })}</td>
+              <td>{player.points}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rulings.length > 0 && (
+        <ul className="race-rulings" aria-live="polite">
+          {rulings
+            .slice(-3)
+            .reverse()
+            .map((ruling) => (
+              <li key={ruling.question}>
+                {t("race.ruling", { question: ruling.question })}{" "}
+                {ruling.winner === null
+                  ? t("race.nobody")
+                  : t("race.winner", { name: playerName(room, ruling.winner) })}
+              </li>
+            ))}
+        </ul>
+      )}
+      {status === RACE_STATUS.LOBBY &&
+        (isHost ? (
+          <button className="btn btn-primary" onClick={race.start} disabled={room.players.length < 2}>
+            {t("race.start")}
+          </button>
+        ) : (
+          <p>{t("race.waiting")}</p>
+        ))}
+      {status === RACE_STATUS.FINISHED && (
+        <p className="race-result">
+          {t("race.over")} <strong>{ranked[0].name}</strong>
+        </p>
+      )}
+      <button className="btn btn-outline-secondary" onClick={race.leave}>
+        {t("race.leave")}
+      </button>
+    </>
+  );
+};
+
+export default RacePanel;
@@ -0,0 +1,62 @@
+import { ANSWER_MODES } from "../Utilities/GameState";
+import { useTranslation } from "../Utilities/I18n";
+
+// Number inputs for the round length and number of rounds, how questions are answered and the timer
+// Only editable before a session starts or after it is over
+const RoundSettings = ({ settings, disabled, onChange }) => {
+  const { t } = useTranslation();
+  // Keep the value a whole number of at least the minimum
+  const handleChange =
+    (name, min = 1) =>
+    (e) => {
+      const value = Math.max(min, parseInt(e.target.value, 10) || min);
+      onChange({ [name]: value });
+    };
+
+  return (
+    <fieldset className="round-settings mb-4" disabled={disabled}>
+      <label>
+        {t("settings.roundLength")}{" "}
+        <input type="number" min="1" value={settings.roundLength} onChange={handleChange("roundLength")} />
+      </label>
+      <label>
+        {t("settings.rounds")}{" "}
+        <input type="number" min="1" value={settings.roundsPerSession} onChange={handleChange("roundsPerSession")} />
+      </label>
+      <label>
+        {t("settings.answerMode")}{" "}
+        <select value={settings.answerMode} onChange={(e) => onChange({ answerMode: e.target.value })}>
+          <option value={ANSWER_MODES.DROPDOWN}>{t("settings.dropdown")}</option>
+          <option value={ANSWER_MODES.MULTIPLE_CHOICE}>{t("settings.multipleChoice")}</option>
+        </select>
+      </label>
+      <label>
+        {t("settings.timeLimit")}{" "}
+        <input type="number" min="0" value={settings.timeLimit} onChange={handleChange("timeLimit", 0)} />
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.speedScoring}
+          disabled={!settings.timeLimit}
+          onChange={(e) => onChange({ speedScoring: e.target.checked })}
+        />{" "}
+        {t("settings.speedScoring")}
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.studyMode}
+          onChange={(e) => onChange({ studyMode: e.target.checked })}
+        />{" "}
+        {t("settings.studyMode")}
+      </label>
+      <label>
+        <input type="checkbox" checked={settings.adaptive} onChange={(e) => onChange({ adaptive: e.target.checked })} />{" "}
+        {t("settings.adaptive")}
+      </label>
+    </fieldset>
+  );
+};
+
+export default RoundSettings;
@@ -0,0 +1,32 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { useTranslation } from "../Utilities/I18n";
+
+// Shown at the end of a round and at the end of the session
+const RoundSummary = ({ game }) => {
+  const { t } = useTranslation();
+  const { phase, round, correctInRound, settings, score, correctCount, answeredCount, bestStreak } = game;
+
+  if (phase === GAME_PHASES.ROUND_OVER) {
+    return (
+      <div className="round-summary mb-4" role="status">
+        <h3>{t("summary.roundOver", { round })}</h3>
+        <p>{t("summary.roundScore", { correct: correctInRound, questions: settings.roundLength, next: round + 1 })}</p>
+      </div>
+    );
+  }
+
+  if (phase === GAME_PHASES.SESSION_OVER) {
+    return (
+      <div className="round-summary mb-4" role="status">
+        <h3>{t("summary.sessionOver")}</h3>
+        <p>
+          {t("summary.sessionScore", { score, correct: correctCount, answered: answeredCount, streak: bestStreak })}
+        </p>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default RoundSummary;
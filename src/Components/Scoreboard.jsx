@@ -0,0 +1,29 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { useTranslation } from "../Utilities/I18n";
+
+// Shows the running score, streaks and where the player is in the session
+const Scoreboard = ({ game }) => {
+  const { t } = useTranslation();
+  const { score, streak, bestStreak, level, round, questionInRound, settings, phase } = game;
+
+  return (
+    <div className="scoreboard mb-4" aria-label={t("scoreboard.label")}>
+      <span className="scoreboard-item">{t("scoreboard.score", { score })}</span>
+      <span className="scoreboard-item">{t("scoreboard.streak", { streak })}</span>
+      <span className="scoreboard-item">{t("scoreboard.bestStreak", { streak: bestStreak })}</span>
+      {settings.adaptive && (
+        <span className="scoreboard-item">{t("scoreboard.level", { level: t("difficulty." + level) })}</span>
+      )}
+      {phase !== GAME_PHASES.IDLE && (
+        <>
+          <span className="scoreboard-item">{t("scoreboard.round", { round, rounds: settings.roundsPerSession })}</span>
+          <span className="scoreboard-item">
+            {t("scoreboard.question", { question: questionInRound, questions: settings.roundLength })}
+          </span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Scoreboard;
@@ -0,0 +1,33 @@
+import PackPicker from "../PackPicker";
+import CategoryPicker from "../CategoryPicker";
+import HostControls from "../HostControls";
+import RacePanel from "../RacePanel";
+import { ROUTES, routeHref } from "../../Utilities/Router";
+import { useTranslation } from "../../Utilities/I18n";
+
+// Where the game starts - what to play and how to play it (on your own, as a quiz night or in an online race)
+// locked stops the pack and categories changing while a session is running
+const HomeScreen = ({ pack, items, categories, locked, onLoadPack, onChangeCategories, host, race, raceInfo }) => {
+  const { t } = useTranslation();
+
+  return (
+    <section className="home-screen">
+      <h2 className="display-6">{t("home.title")}</h2>
+      <p>{t("home.intro")}</p>
+      {/* Which set of questions to play */}
+      <PackPicker pack={pack} disabled={locked} onLoad={onLoadPack} />
+      {/* Limit the session to some categories */}
+      <CategoryPicker items={items} selected={categories} disabled={locked} onChange={onChangeCategories} />
+      <h3 className="fs-6">{t("home.modes")}</h3>
+      {/* Quiz-night controls for the audience screen */}
+      <HostControls {...host} />
+      {/* Race players on other machines through the race server */}
+      <RacePanel race={race} pack={raceInfo} />
+      <a className="btn btn-primary w-100 mt-4" href={routeHref(ROUTES.PLAY)}>
+        {t("home.play")}
+      </a>
+    </section>
+  );
+};
+
+export default HomeScreen;
@@ -0,0 +1,138 @@
+import { GAME_PHASES } from "../../Utilities/GameState";
+import { rateDifficulties } from "../../Utilities/Difficulty";
+import { ROUTES, routeHref } from "../../Utilities/Router";
+import { useTranslation } from "../../Utilities/I18n";
+import Scoreboard from "../Scoreboard";
+import PlayerScores from "../PlayerScores";
+import TurnBanner from "../TurnBanner";
+import StudyStatus from "../StudyStatus";
+import Announcer from "../Announcer";
+import CountdownTimer from "../CountdownTimer";
+import RoundSummary from "../RoundSummary";
+import Standings from "../Standings";
+import QuestionTags from "../QuestionTags";
+import QuestionDifficulty from "../QuestionDifficulty";
+import AnswerReveal from "../AnswerReveal";
+import LearnMore from "../LearnMore";
+import AnswerInput from "../Answers/AnswerInput";
+import HostControls from "../HostControls";
+import RacePanel from "../RacePanel";
+import { PointsAwarded, PointsHint } from "../PointsInfo";
+
+// The game itself - the question, the answer and the score
+// game is the game state and item the current question as shown (in the chosen language)
+// The refs let the game move focus to the question and to the new question button
+// inRace is true in an online race room - the race is a single round, so it cannot be restarted or played again
+// host and race are shown here too while host mode is on or the player is in a race room, so nobody has to leave the game
+const PlayScreen = ({
+  game,
+  item,
+  packId,
+  items,
+  history,
+  schedule,
+  answerOptions,
+  choices,
+  secondsLeft,
+  timeLimit,
+  hasSelection,
+  onNewQuestion,
+  onSelect,
+  onConfirm,
+  onRestart,
+  inRace,
+  host,
+  race,
+  raceInfo,
+  questionRef,
+  newQuestionRef,
+}) => {
+  const { t } = useTranslation();
+  const { question, selection, answer, result, phase } = game;
+  const questionKey = question.id || question.Q;
+
+  return (
+    <section className="play-screen">
+      {/* Score, streaks and progress through the session */}
+      <Scoreboard game={game} />
+      {/* Each player's score and whose turn it is */}
+      <PlayerScores game={game} />
+      <TurnBanner game={game} />
+      {/* The host reveals answers and the scoreboard without leaving the game */}
+      {host.enabled && <HostControls {...host} />}
+      {/* How far through the race everyone is */}
+      {race.room && <RacePanel race={race} pack={raceInfo} />}
+      {/* Questions left to study today */}
+      {game.settings.studyMode && <StudyStatus items={items} packId={packId} schedule={schedule} now={Date.now()} />}
+      {/* Button to get a new random question */}
+      {/* Disabled until the current question is answered, and after the last question of a race */}
+      <button
+        ref={newQuestionRef}
+        className="btn btn-primary mb-4 w-100 display-4"
+        onClick={onNewQuestion}
+        disabled={phase === GAME_PHASES.ASKING || (inRace && phase === GAME_PHASES.SESSION_OVER)}
+        aria-keyshortcuts="N"
+      >
+        {t("game.newQuestion")}
+      </button>
+      <p className="keyboard-help">{t("game.keys")}</p>
+      {/* Read out new questions and results for screen readers */}
+      <Announcer game={game} item={item} />
+      {/* Countdown for timed questions */}
+      {phase === GAME_PHASES.ASKING && <CountdownTimer secondsLeft={secondsLeft} timeLimit={timeLimit} />}
+      {/* End of round / end of session summary */}
+      <RoundSummary game={game} />
+      <Standings game={game} />
+      {phase === GAME_PHASES.SESSION_OVER && (
+        <p>
+          <a href={routeHref(ROUTES.RESULTS)}>{t("results.link")}</a>
+        </p>
+      )}
+      {/* Show the question and result */}
+      <div className="mb-4 text-center">
+        <h2 className="display-4" ref={questionRef} tabIndex={-1}>
+          {item.Q}
+        </h2>
+        <QuestionTags item={item} />
+        {phase !== GAME_PHASES.IDLE && (
+          <QuestionDifficulty difficulty={rateDifficulties([question], packId, history)[0]} />
+        )}
+        <PointsHint item={item} />
+        <h4 className="fs-3 mt-3">
+          {answer ? t("game.selected." + result, { answer }) : result === "timeout" ? t("game.timeUp") : ""}
+        </h4>
+        <AnswerReveal item={item} result={result} />
+        {answer && <PointsAwarded item={item} points={game.pointsAwarded} bonus={game.bonusAwarded} />}
+        {/* Explanation and sources once the answer is known */}
+        <LearnMore key={questionKey} item={item} result={result} />
+      </div>
+      {/* Dropdown, text box, true/false or tick boxes depending on the question */}
+      <div data-testid="answer-area">
+        <AnswerInput
+          key={questionKey}
+          item={item}
+          options={answerOptions}
+          selection={selection}
+          locked={phase !== GAME_PHASES.ASKING}
+          choices={choices}
+          onSelect={onSelect}
+          onConfirm={onConfirm}
+        />
+      </div>
+      {/* Lock in the selected answer */}
+      {phase === GAME_PHASES.ASKING && (
+        <button className="btn btn-success mt-4" onClick={onConfirm} disabled={!hasSelection} aria-keyshortcuts="Enter">
+          {t("game.confirm")}
+        </button>
+      )}
+      {/* Start again from the first round */}
+      {phase !== GAME_PHASES.IDLE && !inRace && (
+        <button className="btn btn-secondary mt-4" onClick={onRestart}>
+          {t("game.restart")}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default PlayScreen;
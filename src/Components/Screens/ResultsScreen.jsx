@@ -0,0 +1,36 @@
+import { GAME_PHASES } from "../../Utilities/GameState";
+import { ROUTES, routeHref } from "../../Utilities/Router";
+import { useTranslation } from "../../Utilities/I18n";
+import Standings from "../Standings";
+
+// How the session went - the score, how many were right and, in a hot-seat game, the final places
+const ResultsScreen = ({ game }) => {
+  const { t } = useTranslation();
+  const { phase, score, correctCount, answeredCount, bestStreak, round, settings } = game;
+
+  return (
+    <section className="results-screen">
+      <h2 className="display-6">{t("results.title")}</h2>
+      {answeredCount === 0 ? (
+        <p>{t("results.empty")}</p>
+      ) : (
+        <>
+          <p>{t("results.score", { score, correct: correctCount, answered: answeredCount, streak: bestStreak })}</p>
+          {phase !== GAME_PHASES.SESSION_OVER && (
+            <p>{t("results.inProgress", { round, rounds: settings.roundsPerSession })}</p>
+          )}
+          <Standings game={game} />
+        </>
+      )}
+      <p>
+        <a href={routeHref(ROUTES.PLAY)}>
+          {t(phase === GAME_PHASES.SESSION_OVER ? "results.playAgain" : "results.carryOn")}
+        </a>
+        {" | "}
+        <a href={routeHref(ROUTES.STATS)}>{t("results.stats")}</a>
+      </p>
+    </section>
+  );
+};
+
+export default ResultsScreen;
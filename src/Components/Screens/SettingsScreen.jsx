@@ -0,0 +1,27 @@
+import RoundSettings from "../RoundSettings";
+import PlayerSetup from "../PlayerSetup";
+import SeedControl from "../SeedControl";
+import PackEditor from "../Editor/PackEditor";
+import { useTranslation } from "../../Utilities/I18n";
+
+// How a session is played - rounds, timer, players and question order - and the pack editor
+// locked stops the settings changing while a session is running
+const SettingsScreen = ({ settings, seed, pack, packId, locked, onChangeSettings, onChangeSeed, onUsePack }) => {
+  const { t } = useTranslation();
+
+  return (
+    <section className="settings-screen">
+      <h2 className="display-6">{t("nav.settings")}</h2>
+      {/* Round length and number of rounds */}
+      <RoundSettings settings={settings} disabled={locked} onChange={onChangeSettings} />
+      {/* Names for a hot-seat game on one screen */}
+      <PlayerSetup names={settings.players} disabled={locked} onChange={(players) => onChangeSettings({ players })} />
+      {/* Seed for the question order */}
+      <SeedControl seed={seed} disabled={locked} onChange={onChangeSeed} />
+      {/* Change the questions and save them as a pack file */}
+      <PackEditor key={packId} pack={pack} disabled={locked} onUse={onUsePack} />
+    </section>
+  );
+};
+
+export default SettingsScreen;
@@ -0,0 +1,16 @@
+import { useTranslation } from "../../Utilities/I18n";
+import StatsView from "../StatsView";
+
+// Accuracy from every game played on this device
+const StatsScreen = ({ history, onClear }) => {
+  const { t } = useTranslation();
+
+  return (
+    <section className="stats-screen">
+      <h2 className="display-6">{t("nav.stats")}</h2>
+      <StatsView history={history} onClear={onClear} startOpen />
+    </section>
+  );
+};
+
+export default StatsScreen;
@@ -0,0 +1,28 @@
+import { useState } from "react";
+import { useTranslation } from "../Utilities/I18n";
+
+// Shows the seed for this game and lets the player type in another one
+// Two players with the same seed get the same questions in the same order
+const SeedControl = ({ seed, disabled, onChange }) => {
+  const { t } = useTranslation();
+  //what is in the box - may be empty while the player is typing
+  const [draft, setDraft] = useState(seed);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    const next = e.target.value.trim();
+    if (next !== "") {
+      onChange(next);
+    }
+  };
+
+  return (
+    <fieldset className="seed-control mb-4" disabled={disabled}>
+      <label>
+        {t("settings.seed")} <input type="text" value={draft} onChange={handleChange} size="10" />
+      </label>
+    </fieldset>
+  );
+};
+
+export default SeedControl;
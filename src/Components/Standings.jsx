@@ -0,0 +1,41 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { rankPlayers } from "../Utilities/Players";
+import { useTranslation } from "../Utilities/I18n";
+
+// Final places at the end of a hot-seat session
+const Standings = ({ game }) => {
+  const { t } = useTranslation();
+  if (game.players.length === 0 || game.phase !== GAME_PHASES.SESSION_OVER) {
+    return null;
+  }
+
+  return (
+    <div className="standings mb-4">
+      <h3>{t("standings.title")}</h3>
+      <table className="standings-table">
+        <thead>
+          <tr>
+            <th scope="col">{t("standings.place")}</th>
+            <th scope="col">{t("standings.player")}</th>
+            <th scope="col">{t("standings.score")}</th>
+            <th scope="col">{t("standings.correct")}</th>
+            <th scope="col">{t("standings.bestStreak")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rankPlayers(game.players).map((player, index) => (
+            <tr key={index}>
+              <td>{player.place}</td>
+              <td>{player.name}</td>
+              <td>{player.score}</td>
+              <td>{t("standings.correctOf", { correct: player.correctCount, answered: player.answeredCount })}</td>
+              <td>{player.bestStreak}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default Standings;
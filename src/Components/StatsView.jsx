@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { computeStats } from "../Utilities/History";
+import { useTranslation } from "../Utilities/I18n";
+
+// 0.756 -> "76%"
+const percent = (value) => (value === null ? "-" : Math.round(value * 100) + "%");
+
+// 3400 -> "3.4s"
+const seconds = (ms) => (ms / 1000).toFixed(1) + "s";
+
+// Overall accuracy, accuracy for each question and the most missed questions
+// The details only render when opened so the screen stays light - startOpen shows them straight away
+const StatsView = ({ history, onClear, startOpen = false }) => {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(startOpen);
+  const stats = computeStats(history);
+
+  return (
+    <details className="stats-view mt-4" open={startOpen} onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>{t("stats.title")}</summary>
+      {open && (
+        <div>
+          {stats.total === 0 ? (
+            <p>{t("stats.empty")}</p>
+          ) : (
+            <>
+              <p>
+                {t("stats.accuracy")} <strong>{percent(stats.accuracy)}</strong>{" "}
+                {t("stats.right", { correct: stats.correct, total: stats.total })}
+              </p>
+              {stats.mostMissed.length > 0 && (
+                <>
+                  <h3>{t("stats.mostMissed")}</h3>
+                  <ol className="most-missed">
+                    {stats.mostMissed.map((q) => (
+                      <li key={q.packId + "/" + q.questionId}>
+                        {t("stats.missed", { question: q.question, missed: q.missed, attempts: q.attempts })}
+                      </li>
+                    ))}
+                  </ol>
+                </>
+              )}
+              <h3>{t("stats.everyQuestion")}</h3>
+              <table className="stats-table">
+                <thead>
+                  <tr>
+                    <th scope="col">{t("stats.question")}</th>
+                    <th scope="col">{t("stats.answered")}</th>
+                    <th scope="col">{t("stats.accuracyColumn")}</th>
+                    <th scope="col">{t("stats.averageTime")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.perQuestion.map((q) => (
+                    <tr key={q.packId + "/" + q.questionId}>
+                      <td>{q.question}</td>
+                      <td>{q.attempts}</td>
+                      <td>{percent(q.accuracy)}</td>
+                      <td>{seconds(q.averageTime)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button className="btn btn-secondary mt-4" onClick={onClear}>
+                {t("stats.clear")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default StatsView;
@@ -0,0 +1,16 @@
+import { countDue } from "../Utilities/Leitner";
+import { useTranslation } from "../Utilities/I18n";
+
+// How much studying is left today in study mode
+const StudyStatus = ({ items, packId, schedule, now }) => {
+  const { t } = useTranslation();
+  const { due, new: fresh } = countDue(items, packId, schedule, now);
+
+  return (
+    <p className="study-status mb-4" role="status">
+      {t("study.due")} <strong>{due}</strong> {t("study.new", { count: fresh })}
+    </p>
+  );
+};
+
+export default StudyStatus;
@@ -0,0 +1,21 @@
+import { useEffect, useState } from "react";
+import { ThemeContext, loadTheme, saveTheme, themeProperties } from "../Utilities/Theme";
+
+// Holds the chosen theme for everything inside it and remembers it for next time
+// store is where the choice is saved - the browser's storage unless a test passes its own
+const ThemeProvider = ({ children, store }) => {
+  const [theme, setTheme] = useState(() => loadTheme(store));
+
+  // The page's styles read the theme's tokens from custom properties on <html>
+  useEffect(() => {
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    Object.entries(themeProperties(theme)).forEach(([property, value]) => root.style.setProperty(property, value));
+  }, [theme]);
+
+  const chooseTheme = (next) => setTheme(saveTheme(next, store));
+
+  return <ThemeContext.Provider value={{ theme, setTheme: chooseTheme }}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeProvider;
@@ -0,0 +1,30 @@
+import { THEMES, useTheme } from "../Utilities/Theme";
+import { useTranslation } from "../Utilities/I18n";
+
+// How each theme is named in the switcher - keys into the UI text
+const THEME_LABELS = {
+  [THEMES.LIGHT]: "theme.light",
+  [THEMES.DARK]: "theme.dark",
+  [THEMES.HIGH_CONTRAST]: "theme.highContrast",
+};
+
+// Pick light, dark or high-contrast colours for the game
+const ThemeSwitcher = () => {
+  const { theme, setTheme } = useTheme();
+  const { t } = useTranslation();
+
+  return (
+    <label className="theme-switcher">
+      {t("theme.label")}{" "}
+      <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+        {Object.entries(THEME_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {t(label)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ThemeSwitcher;
@@ -0,0 +1,28 @@
+import { GAME_PHASES } from "../Utilities/GameState";
+import { useTranslation } from "../Utilities/I18n";
+
+// Whose turn it is in a hot-seat game - read out to screen readers when it changes
+const TurnBanner = ({ game }) => {
+  const { t } = useTranslation();
+  const { players, turn, phase } = game;
+  if (players.length === 0 || phase === GAME_PHASES.SESSION_OVER) {
+    return null;
+  }
+
+  const current = players[turn].name;
+  const next = players[(turn + 1) % players.length].name;
+  let message = t("players.turn", { name: current });
+  if (phase === GAME_PHASES.IDLE) {
+    message = t("players.first", { name: current });
+  } else if (phase !== GAME_PHASES.ASKING) {
+    message = t("players.next", { name: next });
+  }
+
+  return (
+    <div className="turn-banner alert alert-info mb-4" aria-live="polite">
+      {message}
+    </div>
+  );
+};
+
+export default TurnBanner;
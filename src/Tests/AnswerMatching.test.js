@@ -0,0 +1,98 @@
+import "@testing-library/jest-dom";
+import {
+  acceptedAnswers,
+  containsAnswer,
+  isSameAnswer,
+  matchesAnswer,
+  normaliseAnswer,
+  uniqueAnswers,
+} from "../Utilities/AnswerMatching";
+import { QUESTION_TYPES, gradeAnswer } from "../Utilities/Grading";
+import { pickDistractors } from "../Utilities/Distractors";
+import { validatePack } from "../Utilities/PackValidator";
+import { bundledPacks } from "../Assets/Packs";
+
+const lake = { id: "largest-lake", Q: "What is the largest lake in New Zealand", A: "Lake Taupō", aliases: ["Taupō"] };
+
+describe("Normalising answers", () => {
+  test("macrons and other accents are folded", () => {
+    expect(normaliseAnswer("Māori")).toBe("maori");
+    expect(normaliseAnswer("Whakatāne")).toBe(normaliseAnswer("WHAKATANE"));
+  });
+
+  test("curly and straight quotes are the same", () => {
+    expect(isSameAnswer("New Zealand’s", "New Zealand's")).toBe(true);
+    expect(isSameAnswer("“God defend New Zealand”", '"God Defend New Zealand"')).toBe(true);
+  });
+
+  test("case, spacing and punctuation are ignored", () => {
+    expect(normaliseAnswer("  Te  Whanganui-a-Tara. ")).toBe("te whanganui a tara");
+    expect(isSameAnswer("Blue, red and white", "blue red and white!")).toBe(true);
+  });
+
+  test("thousands separators are ignored but other numbers are not joined", () => {
+    expect(isSameAnswer("3,754 metres", "3754 metres")).toBe(true);
+    expect(isSameAnswer("1, 2", "12")).toBe(false);
+  });
+
+  test("different words still differ", () => {
+    expect(isSameAnswer("Lake Taupō", "Lake Rotorua")).toBe(false);
+  });
+});
+
+describe("Matching a question's answers", () => {
+  test("the answer and every alias are accepted, however they are spelt", () => {
+    expect(acceptedAnswers(lake)).toEqual(["Lake Taupō", "Taupō"]);
+    ["Taupō", "Lake Taupo", "taupo", "LAKE TAUPŌ."].forEach((response) => {
+      expect(matchesAnswer(lake, response)).toBe(true);
+    });
+    expect(matchesAnswer(lake, "Rotorua")).toBe(false);
+  });
+
+  test("parts are found as whole words", () => {
+    expect(containsAnswer("abel tasman, dutch", "Abel Tasman")).toBe(true);
+    expect(containsAnswer("Abel Tasmania", "Abel Tasman")).toBe(false);
+  });
+
+  test("repeats are dropped, keeping the first spelling", () => {
+    expect(uniqueAnswers(["Taupō", "Lake Taupō", "taupo", "Lake Taupo"])).toEqual(["Taupō", "Lake Taupō"]);
+  });
+});
+
+describe("Every answer check uses the matcher", () => {
+  test("each type of question", () => {
+    expect(gradeAnswer({ ...lake, type: QUESTION_TYPES.TEXT }, "lake taupo").correct).toBe(true);
+    expect(gradeAnswer(lake, "Taupō").correct).toBe(true);
+    const trueFalse = { Q: "Kiwi can fly", A: "False", type: QUESTION_TYPES.TRUE_FALSE };
+    expect(gradeAnswer(trueFalse, "false").correct).toBe(true);
+    const multi = {
+      Q: "Which are in the South Island",
+      A: "Ōtautahi and Dunedin",
+      type: QUESTION_TYPES.MULTI,
+      options: ["Ōtautahi", "Dunedin", "Hamilton"],
+      answers: ["Ōtautahi", "Dunedin"],
+    };
+    expect(gradeAnswer(multi, ["Otautahi", "Dunedin"]).correct).toBe(true);
+  });
+
+  test("distractors never repeat the answer in another spelling", () => {
+    const items = [lake, { id: "other", Q: "Lake by Rotorua", A: "Lake Rotorua" }];
+    const options = pickDistractors({ ...lake, distractors: ["Lake Taupo", "taupo", "Lake Wānaka"] }, items, () => 0);
+    expect(options).toEqual(["Lake Wānaka", "Lake Rotorua"]);
+  });
+
+  test("the validator spots aliases that repeat the answer or each other", () => {
+    const check = (aliases) => {
+      const pack = { schemaVersion: 1, id: "p", title: "P", questions: [{ ...lake, aliases }] };
+      return validatePack(pack).errors.map((error) => error.message);
+    };
+    expect(check(["Lake Taupo"])).toEqual(['Question 1 ("largest-lake"): "aliases" repeats the answer']);
+    expect(check(["Taupō", "Taupo"])).toEqual([
+      'Question 1 ("largest-lake"): "aliases" has the same answer more than once',
+    ]);
+  });
+
+  test("the bundled packs are still valid", () => {
+    bundledPacks.forEach((pack) => expect(validatePack(pack).errors).toEqual([]));
+  });
+});
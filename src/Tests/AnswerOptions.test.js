@@ -0,0 +1,105 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ChoiceAnswer from "../Components/Answers/ChoiceAnswer";
+import { answerOptions, compareAnswers, groupAnswerOptions, searchAnswerOption } from "../Utilities/AnswerOptions";
+import { sortedListAnswers } from "../Assets/quiz";
+
+const items = [
+  { id: "largest-city", Q: "What is the largest city in New Zealand", A: "Auckland", kind: "place" },
+  { id: "sky-tower", Q: "In which city can you find the Sky Tower", A: "Auckland", kind: "place" },
+  { id: "anthems", Q: "What are the two national anthems", A: "“God defend New Zealand” and “God Save the King”" },
+  { id: "regions", Q: "How many regions are there in New Zealand", A: "16" },
+  { id: "captain-cook", Q: "When did Captain Cook come to the islands", A: "1769" },
+  { id: "christchurch", Q: "What is the Māori name for Christchurch", A: "Ōtautahi", kind: "place" },
+  { id: "largest-lake", Q: "What is the largest lake in New Zealand", A: "Lake Taupō", kind: "place" },
+  { id: "lake", Q: "Which lake is in the middle of the North Island", A: "lake taupo", kind: "place" },
+  { id: "first-european", Q: "Who was the first European to arrive", A: "Abel Tasman", kind: "person" },
+  { id: "vote", Q: "In 1893, New Zealand became the first country to do what", A: "Give women the right to vote" },
+];
+
+const values = (options) => options.map((option) => option.value);
+
+describe("Answer options", () => {
+  test("each answer is listed once, in its first spelling", () => {
+    const options = answerOptions(items);
+    expect(values(options).filter((value) => value === "Auckland")).toHaveLength(1);
+    expect(values(options)).toContain("Lake Taupō");
+    expect(values(options)).not.toContain("lake taupo");
+  });
+
+  test("sorting ignores quotes and macrons and compares numbers by value", () => {
+    expect(values(answerOptions(items))).toEqual([
+      "16",
+      "1769",
+      "Abel Tasman",
+      "Auckland",
+      "Give women the right to vote",
+      "“God defend New Zealand” and “God Save the King”",
+      "Lake Taupō",
+      "Ōtautahi",
+    ]);
+    expect(compareAnswers("(+ Bonus) Dutch", "Abel Tasman")).toBeGreaterThan(0);
+  });
+
+  test("options keep the kind of their answer", () => {
+    const kinds = Object.fromEntries(answerOptions(items).map((option) => [option.value, option.kind]));
+    expect(kinds).toMatchObject({ Auckland: "place", 1769: "year", 16: "number", "Abel Tasman": "person" });
+  });
+
+  test("answers to true/false and multi-select questions are left out", () => {
+    const mixed = [
+      ...items,
+      { id: "kiwi", Q: "True or false: the kiwi is a flightless bird", A: "True", type: "truefalse" },
+      { id: "south", Q: "Which of these are in the South Island", A: "Dunedin and Nelson", type: "multi" },
+      { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington", type: "text" },
+    ];
+    const listed = values(answerOptions(mixed));
+    expect(listed).not.toContain("True");
+    expect(listed).not.toContain("Dunedin and Nelson");
+    expect(listed).toContain("Wellington");
+    expect(values(sortedListAnswers())).not.toContain("False");
+  });
+
+  test("the answer source lists the bundled pack without repeats", () => {
+    const list = values(sortedListAnswers());
+    expect(new Set(list).size).toBe(list.length);
+  });
+});
+
+describe("Grouping options", () => {
+  test("groups come in a fixed order and empty groups are left out", () => {
+    const groups = groupAnswerOptions(answerOptions(items));
+    expect(groups.map((group) => group.kind)).toEqual(["place", "year", "person", "number", "other"]);
+    expect(values(groups[0].options)).toEqual(["Auckland", "Lake Taupō", "Ōtautahi"]);
+  });
+
+  test("a list of one kind is not grouped", () => {
+    const options = [
+      { value: "Reptile", label: "Reptile" },
+      { value: "Kiwi", label: "Kiwi" },
+    ];
+    expect(groupAnswerOptions(options)).toBe(options);
+  });
+});
+
+describe("Type-ahead search", () => {
+  test("macrons, case and punctuation do not have to be typed", () => {
+    const option = { label: "Ōtautahi", value: "Ōtautahi" };
+    expect(searchAnswerOption(option, "otau")).toBe(true);
+    expect(searchAnswerOption({ label: "“God defend New Zealand”" }, "god defend")).toBe(true);
+    expect(searchAnswerOption(option, "wellington")).toBe(false);
+    expect(searchAnswerOption(option, "")).toBe(true);
+  });
+
+  test("the dropdown shows group headings and filters as the player types", () => {
+    render(<ChoiceAnswer options={answerOptions(items)} selection={null} locked={false} onSelect={() => {}} />);
+    const input = screen.getByRole("combobox");
+    fireEvent.keyDown(input, { key: "ArrowDown" });
+    expect(screen.getByText("Places")).toBeInTheDocument();
+    expect(screen.getByText("Years")).toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: "taupo" } });
+    expect(screen.getByText("Lake Taupō")).toBeInTheDocument();
+    expect(screen.queryByText("Auckland")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,137 @@
+import "@testing-library/jest-dom";
+import { render, screen } from "@testing-library/react";
+import { bonusPoints, getAnswerParts, gradeAnswer, maxPoints } from "../Utilities/Grading";
+import { validatePack } from "../Utilities/PackValidator";
+import { quizData } from "../Assets/quiz";
+import { PointsAwarded, PointsHint } from "../Components/PointsInfo";
+
+// Answers in parts, like the ones in the Kiwi Quiz pack
+const tasman = {
+  id: "first-european",
+  Q: "Who was the first European to arrive in New Zealand",
+  A: "Abel Tasman, Dutch",
+  type: "text",
+  parts: [
+    { text: "Abel Tasman", points: 1 },
+    { text: "Dutch", points: 1, bonus: true },
+  ],
+};
+const anthems = {
+  id: "national-anthems",
+  Q: "What are the two national anthems of New Zealand",
+  A: "“God defend New Zealand” and “God Save the Queen”",
+  type: "text",
+  parts: [{ text: "God defend New Zealand" }, { text: "God Save the Queen" }],
+};
+const cities = {
+  id: "cities",
+  Q: "Which of these cities are in the South Island",
+  A: "Christchurch and Dunedin",
+  type: "multi",
+  options: ["Christchurch", "Hamilton", "Dunedin"],
+  answers: ["Christchurch", "Dunedin"],
+};
+
+describe("Answer parts", () => {
+  test("items without parts have one part worth a point", () => {
+    expect(getAnswerParts({ Q: "Capital?", A: "Wellington" })).toEqual([
+      { text: "Wellington", points: 1, bonus: false },
+    ]);
+  });
+
+  test("parts default to one point and no bonus", () => {
+    expect(getAnswerParts(anthems)[0]).toEqual({ text: "God defend New Zealand", points: 1, bonus: false });
+  });
+
+  test("bonus points are not part of the maximum", () => {
+    expect(maxPoints(tasman)).toBe(1);
+    expect(bonusPoints(tasman)).toBe(1);
+    expect(maxPoints(anthems)).toBe(2);
+  });
+
+  test("the main part alone is correct, the bonus adds a point", () => {
+    expect(gradeAnswer(tasman, "abel tasman")).toEqual({ correct: true, points: 1, maxPoints: 1, bonus: 0 });
+    expect(gradeAnswer(tasman, "Abel Tasman, he was Dutch")).toEqual({
+      correct: true,
+      points: 2,
+      maxPoints: 1,
+      bonus: 1,
+    });
+  });
+
+  test("the bonus alone is not correct but still scores", () => {
+    expect(gradeAnswer(tasman, "Dutch")).toMatchObject({ correct: false, points: 1 });
+  });
+
+  test("one of two parts gets partial credit", () => {
+    expect(gradeAnswer(anthems, "God Defend New Zealand")).toMatchObject({ correct: false, points: 1 });
+    expect(gradeAnswer(anthems, "God defend New Zealand and God save the Queen")).toMatchObject({
+      correct: true,
+      points: 2,
+    });
+  });
+
+  test("a multiple-choice pick is right or wrong as a whole", () => {
+    // Every wrong option in the pack names one of the two anthems
+    const anthemsInPack = quizData.find((item) => item.id === "national-anthems");
+    anthemsInPack.distractors.forEach((option) => {
+      expect(gradeAnswer(anthemsInPack, option, { fromChoices: true })).toMatchObject({ correct: false, points: 0 });
+    });
+    expect(gradeAnswer(anthemsInPack, anthemsInPack.A, { fromChoices: true })).toMatchObject({
+      correct: true,
+      points: 2,
+    });
+    expect(gradeAnswer(tasman, tasman.A, { fromChoices: true })).toMatchObject({ correct: true, points: 2, bonus: 1 });
+  });
+
+  test("parts must be whole words", () => {
+    expect(gradeAnswer(tasman, "Abel Tasmania").points).toBe(0);
+  });
+
+  test("multi-select scores each correct option and takes a point for each wrong one", () => {
+    expect(gradeAnswer(cities, ["Christchurch"])).toMatchObject({ correct: false, points: 1 });
+    expect(gradeAnswer(cities, ["Christchurch", "Hamilton"])).toMatchObject({ correct: false, points: 0 });
+    expect(gradeAnswer(cities, ["Christchurch", "Dunedin", "Hamilton"])).toMatchObject({ correct: false, points: 1 });
+  });
+
+  test("no answer in the starting pack shows scoring rules to the player", () => {
+    quizData.forEach((item) => {
+      expect(item.A).not.toMatch(/point|bonus/i);
+    });
+  });
+});
+
+describe("Pack validation of answer parts", () => {
+  const pack = (question) => ({ schemaVersion: 1, id: "p", title: "P", questions: [question] });
+
+  test("accepts answers in parts", () => {
+    expect(validatePack(pack(tasman)).errors).toEqual([]);
+  });
+
+  test("rejects parts without text or with negative points", () => {
+    const { errors } = validatePack(pack({ ...tasman, parts: [{ points: 1 }, { text: "Dutch", points: -1 }] }));
+    expect(errors.map((e) => e.path)).toEqual(["questions[0].parts[0]", "questions[0].parts[1].points"]);
+  });
+
+  test("needs at least one part that is not a bonus", () => {
+    const { errors } = validatePack(pack({ ...tasman, parts: [{ text: "Dutch", bonus: true }] }));
+    expect(errors[0].message).toMatch(/must not be a bonus/);
+  });
+});
+
+describe("Points info", () => {
+  test("shows what an answer in parts is worth", () => {
+    render(<PointsHint item={tasman} />);
+    expect(screen.getByText("Worth 1 point + 1 point bonus")).toBeInTheDocument();
+  });
+
+  test("says nothing for a plain answer", () => {
+    const { container } = render(<PointsHint item={{ Q: "Capital?", A: "Wellington" }} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("shows the points awarded", () => {
+    render(<PointsAwarded item={tasman} points={2} bonus={1} />);
+    expect(screen.getByText("+2 points (of 1), including 1 point bonus")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,160 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import {
+  CHANNEL_NAME,
+  HIDDEN,
+  MESSAGES,
+  buildAudienceView,
+  createAudienceChannel,
+  useAudienceHost,
+} from "../Utilities/AudienceSync";
+import { STORAGE_PREFIX } from "../Utilities/Storage";
+import { GAME_ACTIONS, createInitialGameState, gameReducer } from "../Utilities/GameState";
+import AudienceView from "../Components/AudienceView";
+import HostControls from "../Components/HostControls";
+import App from "../App";
+
+const question = { Q: "What is the capital of New Zealand", A: "Wellington" };
+
+// A game with the first question being asked
+const asking = (settings) =>
+  gameReducer(createInitialGameState(settings), { type: GAME_ACTIONS.NEW_QUESTION, question });
+
+// A stand-in for BroadcastChannel (jsdom does not have one) - every channel with the same name
+// gets the messages of the others, but not its own
+class FakeBroadcastChannel {
+  static open = [];
+
+  constructor(name) {
+    this.name = name;
+    this.listeners = [];
+    FakeBroadcastChannel.open.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.open
+      .filter((channel) => channel !== this && channel.name === this.name)
+      .forEach((channel) => channel.listeners.forEach((listener) => listener({ data })));
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter((l) => l !== listener);
+  }
+
+  close() {
+    FakeBroadcastChannel.open = FakeBroadcastChannel.open.filter((channel) => channel !== this);
+  }
+}
+
+describe("Audience view", () => {
+  test("nothing is shown until the host reveals it", () => {
+    const view = buildAudienceView(asking(), HIDDEN);
+    expect(view).toMatchObject({ question: null, answer: null, scores: null });
+  });
+
+  test("the question and answer are sent once revealed", () => {
+    const view = buildAudienceView(asking(), { question: true, answer: true, scoreboard: false });
+    expect(view).toMatchObject({ question: question.Q, answer: "Wellington" });
+  });
+
+  test("the scoreboard shows each player in a hot-seat game", () => {
+    const reveal = { ...HIDDEN, scoreboard: true };
+    expect(buildAudienceView(asking(), reveal).scores).toEqual([{ name: null, score: 0 }]);
+    const view = buildAudienceView(asking({ players: ["Aroha", "Ben"] }), reveal);
+    expect(view.scores).toEqual([
+      { name: "Aroha", score: 0 },
+      { name: "Ben", score: 0 },
+    ]);
+    expect(view.turn).toBe("Aroha");
+  });
+});
+
+describe("Syncing windows", () => {
+  afterEach(() => {
+    delete window.BroadcastChannel;
+    FakeBroadcastChannel.open = [];
+  });
+
+  test("without BroadcastChannel messages go through storage events", () => {
+    const channel = createAudienceChannel();
+    const listener = jest.fn();
+    channel.subscribe(listener);
+
+    channel.post({ type: MESSAGES.HELLO });
+    const saved = window.localStorage.getItem(STORAGE_PREFIX + CHANNEL_NAME);
+    expect(JSON.parse(saved).message).toEqual({ type: MESSAGES.HELLO });
+
+    // The other window gets a storage event
+    window.dispatchEvent(new StorageEvent("storage", { key: STORAGE_PREFIX + CHANNEL_NAME, newValue: saved }));
+    expect(listener).toHaveBeenCalledWith({ type: MESSAGES.HELLO });
+    channel.close();
+  });
+
+  test("the audience window shows what the host reveals", () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const Host = ({ reveal }) => {
+      useAudienceHost(true, buildAudienceView(asking(), reveal));
+      return null;
+    };
+
+    const { rerender } = render(<Host reveal={HIDDEN} />);
+    // A window opened after the host started gets the current view
+    render(<AudienceView />);
+    expect(screen.getByText(/get ready/i)).toBeInTheDocument();
+    expect(screen.queryByText(question.Q)).not.toBeInTheDocument();
+
+    act(() => rerender(<Host reveal={{ ...HIDDEN, question: true }} />));
+    expect(screen.getByRole("heading", { name: question.Q })).toBeInTheDocument();
+    expect(screen.queryByText(/wellington/i)).not.toBeInTheDocument();
+
+    act(() => rerender(<Host reveal={{ question: true, answer: true, scoreboard: true }} />));
+    expect(screen.getByText("Wellington")).toBeInTheDocument();
+    expect(screen.getByRole("rowheader", { name: "Score" })).toBeInTheDocument();
+  });
+
+  test("the audience waits until a host starts", () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    render(<AudienceView />);
+    expect(screen.getByText(/waiting for the host/i)).toBeInTheDocument();
+  });
+});
+
+describe("Host controls", () => {
+  test("host mode is off until switched on", () => {
+    const onToggleHost = jest.fn();
+    render(<HostControls enabled={false} game={asking()} reveal={HIDDEN} onToggleHost={onToggleHost} />);
+    expect(screen.queryByRole("button")).not.toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText(/host a quiz night/i));
+    expect(onToggleHost).toHaveBeenCalledWith(true);
+  });
+
+  test("the host sees the answer and chooses what to reveal", () => {
+    const onReveal = jest.fn();
+    render(<HostControls enabled game={asking()} reveal={HIDDEN} onReveal={onReveal} />);
+    expect(screen.getByText("Wellington")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /reveal answer/i }));
+    expect(onReveal).toHaveBeenCalledWith({ ...HIDDEN, answer: true });
+  });
+
+  test("the host reveals from the play screen while host mode is on", async () => {
+    window.location.hash = "#/home";
+    render(<App />);
+    fireEvent.click(screen.getByLabelText(/host a quiz night/i));
+    fireEvent.click(screen.getByRole("link", { name: "Play" }));
+    fireEvent.click(await screen.findByRole("button", { name: /choose a random question/i }));
+    fireEvent.click(screen.getByRole("button", { name: /reveal answer/i }));
+    expect(screen.getByRole("button", { name: /reveal answer/i })).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getByRole("button", { name: /show scoreboard/i })).toBeInTheDocument();
+  });
+
+  test("opens the audience screen in its own window", () => {
+    window.open = jest.fn();
+    render(<HostControls enabled game={asking()} reveal={HIDDEN} />);
+    fireEvent.click(screen.getByRole("button", { name: /open audience screen/i }));
+    expect(window.open).toHaveBeenCalledWith(expect.stringContaining("?audience"), expect.any(String));
+  });
+});
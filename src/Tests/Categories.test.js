@@ -0,0 +1,66 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { UNCATEGORISED, filterByCategories, getCategory, listCategories, listTags } from "../Utilities/Categories";
+import { quizData, sortedListAnswers } from "../Assets/quiz";
+import CategoryPicker from "../Components/CategoryPicker";
+
+const items = [
+  { Q: "Capital of New Zealand?", A: "Wellington", category: "Geography", tags: ["cities"] },
+  { Q: "Largest city?", A: "Auckland", category: "Geography", tags: ["cities"] },
+  { Q: "First European?", A: "Abel Tasman", category: "History", tags: ["explorers"] },
+  { Q: "No category?", A: "None" },
+];
+
+describe("Categories", () => {
+  test("items without a category are uncategorised", () => {
+    expect(getCategory(items[3])).toBe(UNCATEGORISED);
+  });
+
+  test("lists categories with counts in name order", () => {
+    expect(listCategories(items)).toEqual([
+      { name: "Geography", count: 2 },
+      { name: "History", count: 1 },
+      { name: UNCATEGORISED, count: 1 },
+    ]);
+  });
+
+  test("lists each tag once", () => {
+    expect(listTags(items)).toEqual(["cities", "explorers"]);
+  });
+
+  test("filters to the chosen categories", () => {
+    expect(filterByCategories(items, ["History"]).map((item) => item.A)).toEqual(["Abel Tasman"]);
+  });
+
+  test("no chosen categories keeps every item", () => {
+    expect(filterByCategories(items, [])).toBe(items);
+  });
+
+  test("every item in the starting pack has a category", () => {
+    quizData.forEach((item) => {
+      expect(item.category).toBeTruthy();
+    });
+  });
+
+  test("the answer list follows the category filter", () => {
+    const answers = sortedListAnswers(filterByCategories(items, ["Geography"])).map((option) => option.value);
+    expect(answers).toEqual(["Auckland", "Wellington"]);
+  });
+});
+
+describe("CategoryPicker", () => {
+  test("ticking a category adds it to the selection", () => {
+    const onChange = jest.fn();
+    render(<CategoryPicker items={items} selected={[]} onChange={onChange} />);
+    expect(screen.getByText(/categories \(all\)/i)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("checkbox", { name: /geography/i }));
+    expect(onChange).toHaveBeenCalledWith(["Geography"]);
+  });
+
+  test("unticking a category removes it", () => {
+    const onChange = jest.fn();
+    render(<CategoryPicker items={items} selected={["Geography", "History"]} onChange={onChange} />);
+    fireEvent.click(screen.getByRole("checkbox", { name: /history/i }));
+    expect(onChange).toHaveBeenCalledWith(["Geography"]);
+  });
+});
@@ -0,0 +1,85 @@
+import Random, { createSeededRandom, hashSeed } from "../Utilities/Random";
+import { createDeck, drawCard } from "../Utilities/Deck";
+
+// Deal n cards from a deck and return the indexes in order
+const deal = (deck, n) => {
+  const indexes = [];
+  let current = deck;
+  for (let i = 0; i < n; i++) {
+    const { index, deck: next } = drawCard(current);
+    indexes.push(index);
+    current = next;
+  }
+  return indexes;
+};
+
+describe("Seeded random numbers", () => {
+  test("the same seed gives the same sequence", () => {
+    const a = createSeededRandom("kiwi");
+    const b = createSeededRandom("kiwi");
+    for (let i = 0; i < 10; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  test("different seeds give different sequences", () => {
+    const a = createSeededRandom("kiwi");
+    const b = createSeededRandom("tui");
+    expect([a(), a(), a()]).not.toEqual([b(), b(), b()]);
+  });
+
+  test("numbers are between 0 and 1", () => {
+    const random = createSeededRandom(42);
+    for (let i = 0; i < 100; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test("text and number seeds hash the same way", () => {
+    expect(hashSeed(1234)).toBe(hashSeed("1234"));
+  });
+
+  test("Random can use a seeded generator", () => {
+    const first = Random(30, createSeededRandom("same"));
+    const second = Random(30, createSeededRandom("same"));
+    expect(first).toBe(second);
+  });
+});
+
+describe("Question deck", () => {
+  test("hands out every question once before reshuffling", () => {
+    const indexes = deal(createDeck(8, "seed"), 8);
+    expect([...indexes].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test("the same seed deals the same order", () => {
+    expect(deal(createDeck(20, "replay"), 40)).toEqual(deal(createDeck(20, "replay"), 40));
+  });
+
+  test("never deals the same question twice in a row, even across reshuffles", () => {
+    const indexes = deal(createDeck(3, "repeat"), 60);
+    for (let i = 1; i < indexes.length; i++) {
+      expect(indexes[i]).not.toBe(indexes[i - 1]);
+    }
+  });
+
+  test("each pass through the deck is a full set", () => {
+    const indexes = deal(createDeck(5, "passes"), 15);
+    for (let pass = 0; pass < 3; pass++) {
+      const slice = indexes.slice(pass * 5, pass * 5 + 5);
+      expect(new Set(slice).size).toBe(5);
+    }
+  });
+
+  test("drawing does not change the old deck", () => {
+    const deck = createDeck(5, "pure");
+    drawCard(deck);
+    expect(deck.position).toBe(0);
+  });
+
+  test("an empty deck deals -1", () => {
+    expect(drawCard(createDeck(0, "empty")).index).toBe(-1);
+  });
+});
@@ -0,0 +1,126 @@
+import "@testing-library/jest-dom";
+import { render, screen } from "@testing-library/react";
+import {
+  AUTHOR_WEIGHT,
+  DEFAULT_DIFFICULTY,
+  calibrateDifficulty,
+  nextDifficultyLevel,
+  rateDifficulties,
+} from "../Utilities/Difficulty";
+import { createEntry } from "../Utilities/History";
+import { createDeck, drawBestCard } from "../Utilities/Deck";
+import { GAME_ACTIONS, createInitialGameState, gameReducer } from "../Utilities/GameState";
+import { validatePack } from "../Utilities/PackValidator";
+import QuestionDifficulty from "../Components/QuestionDifficulty";
+import Scoreboard from "../Components/Scoreboard";
+
+const capital = { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington", difficulty: 1 };
+const poppyDay = { id: "poppy-day", Q: "When was New Zealand first Poppy Day", A: "1922", difficulty: 5 };
+const unrated = { id: "regions", Q: "How many regions are there in New Zealand", A: "16" };
+
+// n answers to a question, the first `right` of them correct
+const answers = (item, n, right, packId = "kiwi-quiz") =>
+  Array.from({ length: n }, (_, i) =>
+    createEntry({ packId, item, answer: "", correct: i < right, timeTaken: 1000, timestamp: i }),
+  );
+
+describe("Calibrating difficulty", () => {
+  test("with no answers the author's rating is used", () => {
+    expect(calibrateDifficulty(capital, undefined)).toBe(1);
+    expect(calibrateDifficulty(poppyDay, { attempts: 0, correct: 0 })).toBe(5);
+  });
+
+  test("unrated questions start in the middle", () => {
+    expect(calibrateDifficulty(unrated, undefined)).toBe(DEFAULT_DIFFICULTY);
+  });
+
+  test("a few answers nudge the rating", () => {
+    // One miss on a very easy question is not enough to change it
+    expect(calibrateDifficulty(capital, { attempts: 1, correct: 0 })).toBe(2);
+    expect(calibrateDifficulty(capital, { attempts: 1, correct: 1 })).toBe(1);
+  });
+
+  test("many answers outweigh the author's rating", () => {
+    const attempts = AUTHOR_WEIGHT * 10;
+    expect(calibrateDifficulty(capital, { attempts, correct: 0 })).toBe(5);
+    expect(calibrateDifficulty(poppyDay, { attempts, correct: attempts })).toBe(1);
+  });
+
+  test("difficulties come from the pack's own history", () => {
+    const history = [...answers(unrated, 20, 20), ...answers(capital, 20, 0, "other-pack")];
+    expect(rateDifficulties([capital, poppyDay, unrated], "kiwi-quiz", history)).toEqual([1, 5, 1]);
+  });
+});
+
+describe("Adaptive difficulty", () => {
+  test("a streak of right answers moves up a level", () => {
+    expect(nextDifficultyLevel(3, true, 1)).toBe(3);
+    expect(nextDifficultyLevel(3, true, 2)).toBe(4);
+    expect(nextDifficultyLevel(5, true, 4)).toBe(5);
+  });
+
+  test("a miss moves down a level", () => {
+    expect(nextDifficultyLevel(3, false, 0)).toBe(2);
+    expect(nextDifficultyLevel(1, false, 0)).toBe(1);
+  });
+
+  test("the game keeps track of the level", () => {
+    const asked = (state) => gameReducer(state, { type: GAME_ACTIONS.NEW_QUESTION, question: capital });
+    const answer = (state, correct) =>
+      gameReducer(asked(state), { type: GAME_ACTIONS.ANSWER, answer: "x", correct, points: correct ? 1 : 0 });
+
+    let state = createInitialGameState({ adaptive: true });
+    expect(state.level).toBe(DEFAULT_DIFFICULTY);
+    state = answer(answer(state, true), true);
+    expect(state.level).toBe(4);
+    state = answer(state, false);
+    expect(state.level).toBe(3);
+    state = gameReducer(asked(state), { type: GAME_ACTIONS.TIME_UP });
+    expect(state.level).toBe(2);
+  });
+
+  test("the deck hands out the question nearest the level", () => {
+    const difficulties = [1, 5, 3, 2, 4];
+    const deck = createDeck(difficulties.length, "kiwi");
+    const { index, deck: next } = drawBestCard(deck, (i) => Math.abs(difficulties[i] - 5));
+    expect(index).toBe(1);
+    // The cards passed over are still to come
+    expect(next.order.slice(next.position).sort()).toEqual([0, 2, 3, 4]);
+  });
+
+  test("the deck reshuffles once every card has been handed out", () => {
+    let deck = createDeck(3, "kiwi");
+    const seen = [];
+    for (let i = 0; i < 4; i++) {
+      const drawn = drawBestCard(deck, () => 0);
+      seen.push(drawn.index);
+      deck = drawn.deck;
+    }
+    expect(seen.slice(0, 3).sort()).toEqual([0, 1, 2]);
+    expect(deck.cycle).toBe(1);
+  });
+});
+
+describe("Showing difficulty", () => {
+  test("the question card shows the difficulty", () => {
+    render(<QuestionDifficulty difficulty={4} />);
+    expect(screen.getByText("Difficulty: Hard (4/5)")).toBeInTheDocument();
+  });
+
+  test("the scoreboard shows the level in adaptive mode", () => {
+    const { rerender } = render(<Scoreboard game={createInitialGameState()} />);
+    expect(screen.queryByText(/level/i)).not.toBeInTheDocument();
+    rerender(<Scoreboard game={createInitialGameState({ adaptive: true })} />);
+    expect(screen.getByText("Level: Medium")).toBeInTheDocument();
+  });
+
+  test("pack difficulty must be a whole number from 1 to 5", () => {
+    const pack = { schemaVersion: 1, id: "p", title: "P", questions: [{ ...capital, difficulty: 7 }] };
+    expect(validatePack(pack).errors).toEqual([
+      {
+        path: "questions[0].difficulty",
+        message: 'Question 1 ("capital"): "difficulty" must be a whole number from 1 to 5',
+      },
+    ]);
+  });
+});
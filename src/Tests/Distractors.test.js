@@ -0,0 +1,111 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { ANSWER_KINDS, getAnswerKind, inferAnswerKind } from "../Utilities/AnswerKinds";
+import { CHOICE_COUNT, buildChoices, nearbyNumbers, pickDistractors } from "../Utilities/Distractors";
+import { createSeededRandom } from "../Utilities/Random";
+import { validatePack } from "../Utilities/PackValidator";
+import { quizData } from "../Assets/quiz";
+import AnswerInput from "../Components/Answers/AnswerInput";
+
+const items = [
+  { id: "cook", Q: "When did Captain Cook come to the islands", A: "1769" },
+  { id: "poppy", Q: "When was New Zealand first Poppy Day", A: "1922" },
+  { id: "rugby", Q: "When was NZ Rugby Football Union founded", A: "1892" },
+  { id: "vote", Q: "When did women get the vote", A: "1893" },
+  { id: "capital", Q: "Capital?", A: "Wellington", kind: "place", tags: ["cities"] },
+  { id: "city", Q: "Largest city?", A: "Auckland", kind: "place", tags: ["cities"] },
+  { id: "lake", Q: "Largest lake?", A: "Lake Taupo", kind: "place", tags: ["lakes"] },
+  { id: "tuatara", Q: "What is a Tuatara", A: "Reptile", distractors: ["Bird", "Amphibian", "Mammal"] },
+  { id: "height", Q: "How tall is Aoraki Mount Cook", A: "3,754 metres" },
+];
+
+const random = () => createSeededRandom("test");
+
+describe("Answer kinds", () => {
+  test("guesses years, numbers and other answers", () => {
+    expect(inferAnswerKind("1769")).toBe(ANSWER_KINDS.YEAR);
+    expect(inferAnswerKind("3,754 metres")).toBe(ANSWER_KINDS.NUMBER);
+    expect(inferAnswerKind("16")).toBe(ANSWER_KINDS.NUMBER);
+    expect(inferAnswerKind("Reptile")).toBe(ANSWER_KINDS.OTHER);
+  });
+
+  test("guesses people and places from the tags and category", () => {
+    expect(inferAnswerKind("Abel Tasman", { category: "History", tags: ["explorers"] })).toBe(ANSWER_KINDS.PERSON);
+    expect(inferAnswerKind("Waikato River", { category: "Geography", tags: ["rivers"] })).toBe(ANSWER_KINDS.PLACE);
+    expect(inferAnswerKind("Sky Tower", { category: "Culture", tags: ["landmarks"] })).toBe(ANSWER_KINDS.PLACE);
+    // A number is still a number in Geography
+    expect(inferAnswerKind("16", { category: "Geography" })).toBe(ANSWER_KINDS.NUMBER);
+    expect(inferAnswerKind("Reptile", { category: "Nature", tags: ["animals"] })).toBe(ANSWER_KINDS.OTHER);
+  });
+
+  test("the item's kind wins over the guess", () => {
+    expect(getAnswerKind(items[4])).toBe(ANSWER_KINDS.PLACE);
+  });
+});
+
+describe("Distractors", () => {
+  test("years get other years", () => {
+    const distractors = pickDistractors(items[0], items, random());
+    expect(distractors).toHaveLength(3);
+    distractors.forEach((option) => expect(option).toMatch(/^\d{4}$/));
+    expect(distractors).not.toContain("1769");
+  });
+
+  test("the item's own distractors come first", () => {
+    expect(pickDistractors(items[7], items, random()).sort()).toEqual(["Amphibian", "Bird", "Mammal"]);
+  });
+
+  test("places that share a tag come before other places", () => {
+    expect(pickDistractors(items[4], items, random(), 1)).toEqual(["Auckland"]);
+  });
+
+  test("numbers get made up numbers in the same format", () => {
+    const distractors = pickDistractors(items[8], items, random());
+    expect(distractors).toHaveLength(3);
+    distractors.forEach((option) => expect(option).toMatch(/^\d,\d{3} metres$/));
+  });
+
+  test("made up years stay close to the answer", () => {
+    nearbyNumbers("1769", ANSWER_KINDS.YEAR, random(), 5).forEach((option) => {
+      expect(Math.abs(Number(option) - 1769)).toBeLessThanOrEqual(30);
+    });
+  });
+
+  test("choices are the answer plus distractors, the same for the same seed", () => {
+    const choices = buildChoices(items[0], items, random());
+    expect(choices).toHaveLength(CHOICE_COUNT);
+    expect(choices).toContain("1769");
+    expect(new Set(choices).size).toBe(CHOICE_COUNT);
+    expect(buildChoices(items[0], items, random())).toEqual(choices);
+  });
+
+  test("every question in the starting pack gets four different options", () => {
+    quizData.forEach((item) => {
+      const choices = buildChoices(item, quizData, createSeededRandom(item.id));
+      expect(new Set(choices).size).toBe(CHOICE_COUNT);
+      expect(choices).toContain(item.A);
+    });
+  });
+
+  test("the pack rejects distractors that include the answer", () => {
+    const pack = { schemaVersion: 1, id: "p", title: "P", questions: [{ ...items[7], distractors: ["Reptile"] }] };
+    expect(validatePack(pack).errors[0].message).toMatch(/includes the right answer/);
+  });
+});
+
+describe("Multiple-choice input", () => {
+  test("shows a button per choice for choice and text questions", () => {
+    const onSelect = jest.fn();
+    const choices = ["1769", "1792", "1642", "1840"];
+    render(<AnswerInput item={items[0]} options={[]} selection={null} choices={choices} onSelect={onSelect} />);
+    expect(screen.getAllByRole("button")).toHaveLength(4);
+    fireEvent.click(screen.getByRole("button", { name: "1769" }));
+    expect(onSelect).toHaveBeenCalledWith("1769");
+  });
+
+  test("true/false questions keep their own buttons", () => {
+    const item = { Q: "True or false: kiwi can fly", A: "False", type: "truefalse" };
+    render(<AnswerInput item={item} options={[]} selection={null} choices={["a", "b", "c", "d"]} onSelect={jest.fn()} />);
+    expect(screen.getAllByRole("button")).toHaveLength(2);
+  });
+});
@@ -1,14 +1,16 @@
 import "@testing-library/jest-dom";
 import { render, screen, fireEvent } from "@testing-library/react";
 import App from "../App";
+import { drawCard } from "../Utilities/Deck";
 
-// MOCK 1: Random Number Generator
-// This replaces the real Random utility with a fake version that always returns 0
+// MOCK 1: Question Deck
+// This replaces the real shuffled deck with a fake version that always deals index 0
 // This makes tests predictable - we know exactly which question will be selected
-// Without this mock, tests would be unreliable because they'd get random questions
-jest.mock("../Utilities/Random", () => ({
+// Without this mock, tests would depend on the seed the game picks
+jest.mock("../Utilities/Deck", () => ({
   __esModule: true,
-  default: jest.fn(() => 0), // Always return index 0 (first question)
+  createDeck: jest.fn(() => ({})),
+  drawCard: jest.fn((deck) => ({ index: 0, deck })), // Always deal index 0 (first question)
 }));
 
 // MOCK 2: Quiz Data 
@@ -68,6 +70,11 @@ jest.mock("react-select", () => {
 });
 
 describe("App", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
   test("renders initial UI", () => {
     render(<App />);
     // Test that the button exists and has the right text
@@ -82,10 +89,20 @@ describe("App", () => {
     render(<App />);
     // Click the button to trigger question selection
     fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
-    // Since our Random mock always returns 0, we should get the first question
+    // Since our Deck mock always deals 0, we should get the first question
     expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Capital of France?");
   });
 
+  test("nothing happens when the deck has no questions to deal", () => {
+    render(<App />);
+    // An empty deck deals -1
+    drawCard.mockImplementationOnce((deck) => ({ index: -1, deck }));
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    // The game is still waiting for a question, and the button can be clicked again
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Start");
+    expect(screen.getByRole("button", { name: /choose a random question/i })).toBeEnabled();
+  });
+
   test("shows win when selecting the correct answer", () => {
     render(<App />);
     // Click button to show question (will be "Capital of France?" due to our mocks)
@@ -94,6 +111,7 @@ describe("App", () => {
     const select = screen.getByTestId("answer-select");
     // Select "Paris" which is the correct answer for "Capital of France?"
     fireEvent.change(select, { target: { value: "Paris" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
     // Test that both the selection message and win message appear
     expect(screen.getByText(/you selected paris/i)).toBeInTheDocument();
     expect(screen.getByText(/win/i)).toBeInTheDocument();
@@ -107,8 +125,21 @@ describe("App", () => {
     const select = screen.getByTestId("answer-select");
     // Select "4" which is wrong for "Capital of France?" (correct for "2 + 2?" though)
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
     // Test that both the selection message and lose message appear
     expect(screen.getByText(/you selected 4/i)).toBeInTheDocument();
     expect(screen.getByText(/lose/i)).toBeInTheDocument();
   });
+
+  test("updates the score and streak after a correct answer", () => {
+    render(<App />);
+    expect(screen.getByText("Score: 0")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    fireEvent.change(screen.getByTestId("answer-select"), { target: { value: "Paris" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+    // The scoreboard reflects the first answer to the question
+    expect(screen.getByText("Score: 1")).toBeInTheDocument();
+    expect(screen.getByText("Streak: 1")).toBeInTheDocument();
+    expect(screen.getByText("Question 1 of 10")).toBeInTheDocument();
+  });
 });
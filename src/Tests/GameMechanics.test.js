@@ -2,10 +2,11 @@ import "@testing-library/jest-dom";
 import { render, screen, fireEvent } from "@testing-library/react";
 import App from "../App";
 
-// Mock the Random utility to make tests predictable
-jest.mock("../Utilities/Random", () => {
-  return jest.fn(() => 0); // Always return the first question
-});
+// Mock the question deck to make tests predictable
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }), // Always deal the first question
+}));
 
 // Mock the quiz data with a small, controlled dataset
 jest.mock("../Assets/quiz", () => ({
@@ -53,6 +54,11 @@ jest.mock("../Utilities/SelectReactSetting", () => ({
 }));
 
 describe("Quiz Game - Predictable Tests", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
   test("displays first question when button is clicked", () => {
     render(<App />);
 
@@ -92,6 +98,7 @@ describe("Quiz Game - Predictable Tests", () => {
     // Select the correct answer "4"
     const select = screen.getByTestId("answer-select");
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // Should show win message
     expect(screen.getByText(/you selected 4/i)).toBeInTheDocument();
@@ -107,6 +114,7 @@ describe("Quiz Game - Predictable Tests", () => {
     // Select a wrong answer "Blue"
     const select = screen.getByTestId("answer-select");
     fireEvent.change(select, { target: { value: "Blue" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // Should show lose message
     expect(screen.getByText(/you selected blue/i)).toBeInTheDocument();
@@ -120,6 +128,7 @@ describe("Quiz Game - Predictable Tests", () => {
     fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
     const select = screen.getByTestId("answer-select");
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // Verify win message appears
     expect(screen.getByText(/win/i)).toBeInTheDocument();
@@ -143,6 +152,7 @@ describe("Quiz Game - Predictable Tests", () => {
     // Select answer
     const select = screen.getByTestId("answer-select");
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // Question should still be displayed
     expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("What is 2 + 2?");
@@ -155,6 +165,7 @@ describe("Quiz Game - Predictable Tests", () => {
     fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
     const select = screen.getByTestId("answer-select");
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // Check the actual message format (note: no space before hyphen)
     const message = screen.getByText(/you selected 4- you win/i);
@@ -168,16 +179,52 @@ describe("Quiz Game - Predictable Tests", () => {
     fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
     const select = screen.getByTestId("answer-select");
 
-    // Select wrong answer first
+    // Select wrong answer first - nothing is graded until it is confirmed
     fireEvent.change(select, { target: { value: "Blue" } });
-    expect(screen.getByText(/lose/i)).toBeInTheDocument();
+    expect(screen.queryByText(/lose/i)).not.toBeInTheDocument();
 
-    // Select correct answer
+    // Change to the correct answer and confirm it
     fireEvent.change(select, { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
     expect(screen.getByText(/win/i)).toBeInTheDocument();
+
+    // The answer is locked once confirmed
+    fireEvent.change(select, { target: { value: "Blue" } });
+    expect(screen.getByText(/you selected 4- you win/i)).toBeInTheDocument();
     expect(screen.queryByText(/lose/i)).not.toBeInTheDocument();
   });
 
+  test("reveals the correct answer after a wrong answer", () => {
+    render(<App />);
+
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    fireEvent.change(screen.getByTestId("answer-select"), { target: { value: "Blue" } });
+
+    // No reveal before the answer is confirmed
+    expect(screen.queryByText(/correct answer:/i)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+
+    // The correct answer is shown next to the player's choice
+    expect(screen.getByText(/you selected blue- you lose/i)).toBeInTheDocument();
+    expect(screen.getByText(/correct answer:/i)).toHaveTextContent("Correct answer: 4");
+  });
+
+  test("a new question can only be chosen once the answer is confirmed", () => {
+    render(<App />);
+
+    const newQuestion = screen.getByRole("button", { name: /choose a random question/i });
+    fireEvent.click(newQuestion);
+    expect(newQuestion).toBeDisabled();
+
+    // Confirm is only possible after picking something
+    const confirm = screen.getByRole("button", { name: /confirm answer/i });
+    expect(confirm).toBeDisabled();
+    fireEvent.change(screen.getByTestId("answer-select"), { target: { value: "4" } });
+    fireEvent.click(confirm);
+
+    expect(newQuestion).toBeEnabled();
+  });
+
   test("dropdown placeholder shows correct text", () => {
     render(<App />);
 
@@ -203,6 +250,7 @@ describe("Quiz Game - Predictable Tests", () => {
 
     // 4. Select answer
     fireEvent.change(screen.getByTestId("answer-select"), { target: { value: "4" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
 
     // 5. See result
     expect(screen.getByText(/you selected 4- you win/i)).toBeInTheDocument();
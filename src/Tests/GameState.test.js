@@ -0,0 +1,119 @@
+import {
+  GAME_ACTIONS,
+  GAME_PHASES,
+  START_QUESTION,
+  createInitialGameState,
+  gameReducer,
+} from "../Utilities/GameState";
+
+// Small helpers so each test reads like the game flow
+const question = { Q: "Capital of France?", A: "Paris" };
+const ask = (state) => gameReducer(state, { type: GAME_ACTIONS.NEW_QUESTION, question });
+const answer = (state, correct) =>
+  gameReducer(state, { type: GAME_ACTIONS.ANSWER, answer: correct ? "Paris" : "4", correct, points: correct ? 1 : 0 });
+
+describe("Game state machine", () => {
+  test("starts idle with the start question and no score", () => {
+    const state = createInitialGameState();
+    expect(state.phase).toBe(GAME_PHASES.IDLE);
+    expect(state.question).toEqual(START_QUESTION);
+    expect(state.score).toBe(0);
+    expect(state.streak).toBe(0);
+  });
+
+  test("idle -> asking -> answered", () => {
+    let state = ask(createInitialGameState());
+    expect(state.phase).toBe(GAME_PHASES.ASKING);
+    expect(state.questionInRound).toBe(1);
+
+    state = answer(state, true);
+    expect(state.phase).toBe(GAME_PHASES.ANSWERED);
+    expect(state.result).toBe("win");
+    expect(state.score).toBe(1);
+  });
+
+  test("counts streaks and keeps the best one", () => {
+    let state = createInitialGameState();
+    state = answer(ask(state), true);
+    state = answer(ask(state), true);
+    expect(state.streak).toBe(2);
+
+    state = answer(ask(state), false);
+    expect(state.streak).toBe(0);
+    expect(state.bestStreak).toBe(2);
+  });
+
+  test("the answer is locked once it is given", () => {
+    let state = answer(ask(createInitialGameState()), false);
+    state = answer(state, true);
+    expect(state.result).toBe("lose");
+    expect(state.score).toBe(0);
+  });
+
+  test("the selection can change until the answer is given", () => {
+    let state = ask(createInitialGameState());
+    state = gameReducer(state, { type: GAME_ACTIONS.SELECT, selection: "4" });
+    state = gameReducer(state, { type: GAME_ACTIONS.SELECT, selection: "Paris" });
+    expect(state.selection).toBe("Paris");
+
+    state = answer(state, true);
+    expect(gameReducer(state, { type: GAME_ACTIONS.SELECT, selection: "4" })).toBe(state);
+    // A new question clears the selection
+    expect(ask(state).selection).toBeNull();
+  });
+
+  test("skipping a question breaks the streak", () => {
+    let state = answer(ask(createInitialGameState()), true);
+    state = ask(ask(state));
+    expect(state.streak).toBe(0);
+    expect(state.questionInRound).toBe(3);
+  });
+
+  test("round is over after the configured number of questions", () => {
+    let state = createInitialGameState({ roundLength: 2, roundsPerSession: 2 });
+    state = answer(ask(state), true);
+    state = answer(ask(state), false);
+    expect(state.phase).toBe(GAME_PHASES.ROUND_OVER);
+    expect(state.correctInRound).toBe(1);
+
+    // A new question starts the next round
+    state = ask(state);
+    expect(state.phase).toBe(GAME_PHASES.ASKING);
+    expect(state.round).toBe(2);
+    expect(state.questionInRound).toBe(1);
+    expect(state.correctInRound).toBe(0);
+  });
+
+  test("session is over after the last round and a new question starts a new session", () => {
+    let state = createInitialGameState({ roundLength: 1, roundsPerSession: 2 });
+    state = answer(ask(state), true);
+    expect(state.phase).toBe(GAME_PHASES.ROUND_OVER);
+    state = answer(ask(state), true);
+    expect(state.phase).toBe(GAME_PHASES.SESSION_OVER);
+    expect(state.score).toBe(2);
+
+    state = ask(state);
+    expect(state.phase).toBe(GAME_PHASES.ASKING);
+    expect(state.round).toBe(1);
+    expect(state.score).toBe(0);
+  });
+
+  test("settings only change between sessions", () => {
+    let state = gameReducer(createInitialGameState(), {
+      type: GAME_ACTIONS.SET_SETTINGS,
+      settings: { roundLength: 5 },
+    });
+    expect(state.settings.roundLength).toBe(5);
+
+    state = gameReducer(ask(state), { type: GAME_ACTIONS.SET_SETTINGS, settings: { roundLength: 7 } });
+    expect(state.settings.roundLength).toBe(5);
+  });
+
+  test("reset keeps the settings but clears the score", () => {
+    let state = answer(ask(createInitialGameState({ roundLength: 4 })), true);
+    state = gameReducer(state, { type: GAME_ACTIONS.RESET });
+    expect(state.phase).toBe(GAME_PHASES.IDLE);
+    expect(state.score).toBe(0);
+    expect(state.settings.roundLength).toBe(4);
+  });
+});
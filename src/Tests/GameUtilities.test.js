@@ -2,6 +2,7 @@ import "@testing-library/jest-dom";
 import { render, screen } from "@testing-library/react";
 import { quizData, sortedListAnswers } from "../Assets/quiz";
 import Random from "../Utilities/Random";
+import { compareAnswers } from "../Utilities/AnswerOptions";
 
 describe("Quiz Game - Utility Functions", () => {
   describe("Quiz Data", () => {
@@ -55,17 +56,22 @@ describe("Quiz Game - Utility Functions", () => {
       });
     });
 
-    test("answers are sorted alphabetically", () => {
+    test("answers are sorted alphabetically, ignoring quotes and macrons", () => {
       const answers = sortedListAnswers();
       const values = answers.map((answer) => answer.value);
-      const sortedValues = [...values].sort();
+      const sortedValues = [...values].sort((a, b) => compareAnswers(a, b));
       expect(values).toEqual(sortedValues);
+      // Opening quotes do not put an answer ahead of the real words
+      expect(values.indexOf("“God defend New Zealand” and “God Save the Queen”")).toBeGreaterThan(
+        values.indexOf("Give women the right to vote")
+      );
     });
 
-    test("includes all unique answers from quiz data", () => {
+    test("includes all unique answers from the choice and typed questions", () => {
       const answers = sortedListAnswers();
       const answerValues = answers.map((answer) => answer.value);
-      const quizAnswers = quizData.map((item) => item.A);
+      // True/false and multi-select answers would give themselves away in the dropdown
+      const quizAnswers = quizData.filter((item) => !item.type || item.type === "text").map((item) => item.A);
       const uniqueQuizAnswers = [...new Set(quizAnswers)];
 
       // Every unique answer from quiz should be in the sorted list
@@ -80,6 +86,18 @@ describe("Quiz Game - Utility Functions", () => {
         expect(answer.value).toBe(answer.label);
       });
     });
+
+    test("answers to true/false and multi-select questions are left out", () => {
+      const mixed = [
+        { id: "kiwi", Q: "True or false: the kiwi is a flightless bird", A: "True", type: "truefalse" },
+        { id: "south", Q: "Which of these are in the South Island", A: "Dunedin and Nelson", type: "multi" },
+        { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington", type: "text" },
+        { id: "currency", Q: "What is the currency of New Zealand", A: "New Zealand dollar" },
+      ];
+      const values = sortedListAnswers(mixed).map((answer) => answer.value);
+      expect(values).toEqual(["New Zealand dollar", "Wellington"]);
+      expect(sortedListAnswers().map((answer) => answer.value)).not.toContain("False");
+    });
   });
 
   describe("Random Function", () => {
@@ -130,11 +148,11 @@ describe("Quiz Game - Utility Functions", () => {
       }
     });
 
-    test("all quiz answers appear in sorted answers list", () => {
+    test("all choice and typed answers appear in sorted answers list", () => {
       const sortedAnswers = sortedListAnswers();
       const answerValues = sortedAnswers.map((item) => item.value);
 
-      quizData.forEach((quiz) => {
+      quizData.filter((quiz) => !quiz.type || quiz.type === "text").forEach((quiz) => {
         expect(answerValues).toContain(quiz.A);
       });
     });
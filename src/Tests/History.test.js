@@ -0,0 +1,135 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { createMemoryBackend, createStorage } from "../Utilities/Storage";
+import { clearHistory, computeStats, createEntry, loadHistory, MAX_HISTORY, recordAnswer } from "../Utilities/History";
+import StatsView from "../Components/StatsView";
+
+const capital = { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington" };
+const lake = { id: "largest-lake", Q: "What is the largest lake in New Zealand", A: "Lake Taupo" };
+
+// An entry for a question, right or wrong
+const entry = (item, correct, timeTaken = 2000) =>
+  createEntry({ packId: "kiwi-quiz", item, answer: correct ? item.A : "Auckland", correct, timeTaken, timestamp: 1 });
+
+describe("Storage", () => {
+  test("saves and loads JSON under a prefixed key", () => {
+    const backend = createMemoryBackend();
+    const store = createStorage(backend, "test:");
+    store.set("numbers", [1, 2, 3]);
+    expect(backend.getItem("test:numbers")).toBe("[1,2,3]");
+    expect(store.get("numbers")).toEqual([1, 2, 3]);
+  });
+
+  test("missing or broken values give the fallback", () => {
+    const backend = createMemoryBackend();
+    const store = createStorage(backend, "test:");
+    expect(store.get("missing", "fallback")).toBe("fallback");
+    backend.setItem("test:broken", "{ not json");
+    expect(store.get("broken", [])).toEqual([]);
+  });
+
+  test("remove deletes the value", () => {
+    const store = createStorage(createMemoryBackend());
+    store.set("key", 1);
+    store.remove("key");
+    expect(store.get("key")).toBeNull();
+  });
+});
+
+describe("Play history", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStorage(createMemoryBackend());
+  });
+
+  test("entries record the question, answer, result and timing", () => {
+    expect(entry(capital, true, 1500)).toEqual({
+      packId: "kiwi-quiz",
+      questionId: "capital",
+      question: "What is the capital of New Zealand",
+      answer: "Wellington",
+      correct: true,
+      timeTaken: 1500,
+      timestamp: 1,
+    });
+  });
+
+  test("answers are saved and survive a reload", () => {
+    recordAnswer(entry(capital, true), store);
+    recordAnswer(entry(lake, false), store);
+    expect(loadHistory(store).map((e) => e.questionId)).toEqual(["capital", "largest-lake"]);
+  });
+
+  test("keeps only the most recent answers", () => {
+    store.set("history", Array.from({ length: MAX_HISTORY }, () => entry(capital, true)));
+    recordAnswer(entry(lake, false), store);
+    const history = loadHistory(store);
+    expect(history).toHaveLength(MAX_HISTORY);
+    expect(history[history.length - 1].questionId).toBe("largest-lake");
+  });
+
+  test("clearing removes everything", () => {
+    recordAnswer(entry(capital, true), store);
+    expect(clearHistory(store)).toEqual([]);
+    expect(loadHistory(store)).toEqual([]);
+  });
+});
+
+describe("Statistics", () => {
+  const history = [entry(capital, true, 1000), entry(capital, false, 3000), entry(lake, false), entry(lake, false)];
+
+  test("overall accuracy", () => {
+    const stats = computeStats(history);
+    expect(stats.total).toBe(4);
+    expect(stats.correct).toBe(1);
+    expect(stats.accuracy).toBe(0.25);
+  });
+
+  test("accuracy and average time per question", () => {
+    const capitalStats = computeStats(history).perQuestion.find((q) => q.questionId === "capital");
+    expect(capitalStats).toMatchObject({ attempts: 2, correct: 1, missed: 1, accuracy: 0.5, averageTime: 2000 });
+  });
+
+  test("most missed questions come first", () => {
+    expect(computeStats(history).mostMissed.map((q) => q.questionId)).toEqual(["largest-lake", "capital"]);
+  });
+
+  test("no history has no accuracy", () => {
+    expect(computeStats([])).toMatchObject({ total: 0, accuracy: null, mostMissed: [] });
+  });
+});
+
+describe("StatsView", () => {
+  // Open the details panel
+  const open = (container) => {
+    const details = container.querySelector("details");
+    details.open = true;
+    fireEvent(details, new Event("toggle"));
+  };
+
+  test("shows accuracy and the most missed questions when opened", () => {
+    const history = [entry(capital, true), entry(lake, false)];
+    const { container } = render(<StatsView history={history} onClear={jest.fn()} />);
+    expect(screen.queryByText(/overall accuracy/i)).not.toBeInTheDocument();
+
+    open(container);
+    expect(screen.getByText(/overall accuracy/i)).toHaveTextContent("Overall accuracy: 50% (1 of 2 right)");
+    expect(screen.getByText(/missed 1 of 1/i)).toHaveTextContent("What is the largest lake in New Zealand");
+    expect(screen.getAllByRole("row")).toHaveLength(3);
+  });
+
+  test("clear history button calls onClear", () => {
+    const onClear = jest.fn();
+    const { container } = render(<StatsView history={[entry(capital, true)]} onClear={onClear} />);
+    open(container);
+    fireEvent.click(screen.getByRole("button", { name: /clear history/i }));
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  test("explains an empty history", () => {
+    const { container } = render(<StatsView history={[]} onClear={jest.fn()} />);
+    open(container);
+    expect(screen.getByText(/no answers yet/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,157 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "../App";
+import LanguageProvider from "../Components/LanguageProvider";
+import { locales } from "../Assets/Locales";
+import { LANGUAGES, LANGUAGE_KEY, loadLanguage, localiseItem, saveLanguage, translate } from "../Utilities/I18n";
+import { createMemoryBackend, createStorage } from "../Utilities/Storage";
+import { gradeAnswer } from "../Utilities/Grading";
+import { validatePack } from "../Utilities/PackValidator";
+
+// Always deal the first question
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }),
+}));
+
+jest.mock("../Assets/quiz", () => ({
+  quizData: [
+    {
+      id: "capital",
+      Q: "What is the capital of New Zealand",
+      A: "Wellington",
+      type: "text",
+      translations: { mi: { Q: "Ko tēhea te tāone matua o Aotearoa", A: "Te Whanganui-a-Tara" } },
+    },
+  ],
+  sortedListAnswers: () => [],
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+const capital = {
+  id: "capital",
+  Q: "What is the capital of New Zealand",
+  A: "Wellington",
+  type: "text",
+  aliases: ["Welly"],
+  translations: { mi: { Q: "Ko tēhea te tāone matua o Aotearoa", A: "Te Whanganui-a-Tara" } },
+};
+
+describe("Translating the UI", () => {
+  test("strings come in the chosen language with their placeholders filled", () => {
+    expect(translate("en", "game.confirm")).toBe("Confirm Answer");
+    expect(translate("mi", "game.confirm")).toBe("Whakaūngia te whakautu");
+    expect(translate("mi", "players.turn", { name: "Aroha" })).toBe("Ko te wā o Aroha");
+  });
+
+  test("strings missing from a language fall back to English, then to the key", () => {
+    expect(translate("fr", "game.confirm")).toBe("Confirm Answer");
+    expect(translate("mi", "no.such.string")).toBe("no.such.string");
+  });
+
+  test("counts pick the singular or plural", () => {
+    expect(translate("en", "points.count", { count: 1 })).toBe("1 point");
+    expect(translate("en", "points.count", { count: 3 })).toBe("3 points");
+  });
+
+  test("every translated string has an English original", () => {
+    const english = Object.keys(locales.en);
+    expect(Object.keys(locales.mi).filter((key) => !english.includes(key))).toEqual([]);
+  });
+
+  test("every English string is translated into te reo Māori", () => {
+    const english = Object.keys(locales.en);
+    expect(english.filter((key) => !(key in locales.mi))).toEqual([]);
+    // Strings that change with a number change in both languages
+    expect(english.filter((key) => typeof locales.mi[key] !== typeof locales.en[key])).toEqual([]);
+  });
+});
+
+describe("Remembering the language", () => {
+  test("the choice is saved and loaded again", () => {
+    const store = createStorage(createMemoryBackend());
+    expect(loadLanguage(store)).toBe(LANGUAGES.ENGLISH);
+    saveLanguage(LANGUAGES.MAORI, store);
+    expect(loadLanguage(store)).toBe(LANGUAGES.MAORI);
+  });
+
+  test("an unknown saved language is ignored", () => {
+    const store = createStorage(createMemoryBackend());
+    store.set(LANGUAGE_KEY, "xx");
+    expect(loadLanguage(store)).toBe(LANGUAGES.ENGLISH);
+  });
+});
+
+describe("Translated questions", () => {
+  test("the question and answer come from the translation", () => {
+    const item = localiseItem(capital, "mi");
+    expect(item.Q).toBe("Ko tēhea te tāone matua o Aotearoa");
+    expect(item.A).toBe("Te Whanganui-a-Tara");
+  });
+
+  test("the English answer and its aliases are still accepted", () => {
+    const item = localiseItem(capital, "mi");
+    expect(gradeAnswer(item, "te whanganui-a-tara").correct).toBe(true);
+    expect(gradeAnswer(item, "Wellington").correct).toBe(true);
+    expect(gradeAnswer(item, "Welly").correct).toBe(true);
+  });
+
+  test("English, or a question with no translation, is left as it is", () => {
+    expect(localiseItem(capital, "en")).toBe(capital);
+    const plain = { id: "tuatara", Q: "What is a Tuatara", A: "Reptile" };
+    expect(localiseItem(plain, "mi")).toBe(plain);
+  });
+
+  test("the validator checks translations", () => {
+    const check = (translations) =>
+      validatePack({
+        schemaVersion: 1,
+        id: "p",
+        title: "P",
+        questions: [{ id: "q", Q: "Q?", A: "A", translations }],
+      }).errors.map((error) => error.message);
+    expect(check({ mi: { Q: "He pātai?", A: "He whakautu" } })).toEqual([]);
+    expect(check({ fr: { Q: "Quoi?" } })).toEqual(['Question 1 ("q"): "translations" has "fr" - it can have mi']);
+    expect(check({ mi: { A: "" } })).toEqual(['Question 1 ("q"): the "mi" "A" must be a non-empty string']);
+  });
+});
+
+describe("Language switcher", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
+  const renderGame = (store) =>
+    render(
+      <LanguageProvider store={store}>
+        <App />
+      </LanguageProvider>
+    );
+
+  test("switching to te reo Māori changes the screen and the question", () => {
+    const store = createStorage(createMemoryBackend());
+    renderGame(store);
+    fireEvent.change(screen.getByLabelText("Language"), { target: { value: "mi" } });
+
+    expect(document.documentElement.lang).toBe("mi");
+    fireEvent.click(screen.getByRole("button", { name: "Kōwhiria he pātai matapōkere" }));
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Ko tēhea te tāone matua o Aotearoa");
+
+    fireEvent.change(screen.getByLabelText("Tō whakautu"), { target: { value: "Wellington" } });
+    fireEvent.click(screen.getByRole("button", { name: "Whakaūngia te whakautu" }));
+    expect(screen.getByText("I kōwhiria e koe ko Wellington - ka tika!")).toBeInTheDocument();
+    expect(screen.getByText("Te Whanganui-a-Tara")).toBeInTheDocument();
+  });
+
+  test("the chosen language is remembered", () => {
+    const store = createStorage(createMemoryBackend());
+    saveLanguage(LANGUAGES.MAORI, store);
+    renderGame(store);
+    expect(screen.getByLabelText("Reo")).toHaveValue("mi");
+    expect(screen.getByRole("button", { name: "Kōwhiria he pātai matapōkere" })).toBeInTheDocument();
+  });
+});
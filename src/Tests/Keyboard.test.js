@@ -0,0 +1,107 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "../App";
+import { KEYBOARD_ACTIONS, chooseOption, keyboardOptions, shortcutFor } from "../Utilities/Keyboard";
+
+// Always deal the first question
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }),
+}));
+
+jest.mock("../Assets/quiz", () => ({
+  quizData: [{ id: "kiwi", Q: "True or false: the kiwi is a flightless bird", A: "True", type: "truefalse" }],
+  sortedListAnswers: () => [],
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+const cities = {
+  Q: "Which of these cities are in the South Island",
+  A: "Christchurch and Dunedin",
+  type: "multi",
+  options: ["Christchurch", "Hamilton", "Dunedin"],
+  answers: ["Christchurch", "Dunedin"],
+};
+
+// A key pressed on the page, or on something in it
+const press = (key, target = document.body) => fireEvent.keyDown(target, { key });
+
+describe("Keyboard shortcuts", () => {
+  test("keys are turned into game actions", () => {
+    expect(shortcutFor({ key: "n", target: document.body })).toEqual({ action: KEYBOARD_ACTIONS.NEW_QUESTION });
+    expect(shortcutFor({ key: "Enter", target: document.body })).toEqual({ action: KEYBOARD_ACTIONS.CONFIRM });
+    expect(shortcutFor({ key: "3", target: document.body })).toEqual({ action: KEYBOARD_ACTIONS.CHOOSE, number: 3 });
+    expect(shortcutFor({ key: "5", target: document.body })).toBeNull();
+  });
+
+  test("keys typed into a box, Enter on a button and Ctrl combinations are left alone", () => {
+    expect(shortcutFor({ key: "n", target: document.createElement("input") })).toBeNull();
+    expect(shortcutFor({ key: "Enter", target: document.createElement("button") })).toBeNull();
+    expect(shortcutFor({ key: "n", ctrlKey: true, target: document.body })).toBeNull();
+  });
+
+  test("number keys pick from the options on screen", () => {
+    expect(keyboardOptions({ Q: "Kiwi can fly", A: "False", type: "truefalse" }, null)).toEqual(["True", "False"]);
+    expect(keyboardOptions({ Q: "Capital", A: "Wellington" }, ["Auckland", "Wellington"])).toEqual([
+      "Auckland",
+      "Wellington",
+    ]);
+    // The answer dropdown is used with the keyboard directly
+    expect(keyboardOptions({ Q: "Capital", A: "Wellington" }, null)).toEqual([]);
+  });
+
+  test("tick boxes are ticked and unticked in the order they are shown", () => {
+    expect(chooseOption(cities, ["Dunedin"], "Christchurch")).toEqual(["Christchurch", "Dunedin"]);
+    expect(chooseOption(cities, ["Christchurch", "Dunedin"], "Dunedin")).toEqual(["Christchurch"]);
+    expect(chooseOption({ Q: "Capital", A: "Wellington" }, "Auckland", "Wellington")).toBe("Wellington");
+  });
+});
+
+describe("Playing with the keyboard", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
+  test("a whole question can be played without the mouse", () => {
+    render(<App />);
+    press("n");
+    const question = screen.getByRole("heading", { level: 2 });
+    expect(question).toHaveTextContent("True or false: the kiwi is a flightless bird");
+    expect(question).toHaveFocus();
+
+    press("1");
+    expect(screen.getByRole("button", { name: "True" })).toHaveAttribute("aria-pressed", "true");
+    press("Enter");
+    expect(screen.getByText(/you win/i)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Choose a Random Question" })).toHaveFocus();
+
+    // Enter on the focused button clicks it and the next question takes the focus
+    fireEvent.click(document.activeElement);
+    expect(screen.getByRole("heading", { level: 2 })).toHaveFocus();
+    expect(screen.getByTestId("announcer")).toHaveTextContent("Question 2 of");
+  });
+
+  test("new questions and results are announced", () => {
+    render(<App />);
+    const announcer = screen.getByTestId("announcer");
+    expect(announcer).toHaveAttribute("aria-live", "polite");
+    expect(announcer).toBeEmptyDOMElement();
+
+    press("N");
+    expect(announcer).toHaveTextContent("Question 1 of");
+    press("2");
+    press("Enter");
+    expect(announcer).toHaveTextContent("Wrong. The answer was True.");
+  });
+
+  test("shortcuts do nothing while typing in a box", () => {
+    render(<App />);
+    press("n", screen.getByLabelText("Language"));
+    expect(screen.getByTestId("announcer")).toBeEmptyDOMElement();
+    expect(screen.getByRole("button", { name: "Choose a Random Question" })).toBeEnabled();
+  });
+});
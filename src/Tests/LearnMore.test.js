@@ -0,0 +1,119 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "../App";
+import LearnMore from "../Components/LearnMore";
+import { localiseItem } from "../Utilities/I18n";
+import { formToQuestion, questionToForm } from "../Utilities/PackEditing";
+import { validatePack } from "../Utilities/PackValidator";
+import { bundledPacks } from "../Assets/Packs";
+
+// Always deal the first question
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }),
+}));
+
+jest.mock("../Assets/quiz", () => ({
+  quizData: [
+    {
+      id: "independence",
+      Q: "When did New Zealand gain independence from Britain",
+      A: "1947",
+      type: "text",
+      explanation: "New Zealand has no single independence day.",
+      sources: [
+        { title: "Statute of Westminster Adoption Act 1947" },
+        { title: "Constitution Act 1986", url: "https://www.legislation.govt.nz/" },
+      ],
+    },
+  ],
+  sortedListAnswers: () => [],
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+const independence = {
+  id: "independence",
+  Q: "When did New Zealand gain independence from Britain",
+  A: "1947",
+  explanation: "New Zealand has no single independence day.",
+  sources: [{ title: "Constitution Act 1986", url: "https://www.legislation.govt.nz/" }],
+};
+
+describe("Learn more panel", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
+  test("nothing is shown before the answer is revealed", () => {
+    const { container } = render(<LearnMore item={independence} result={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("nothing is shown for a question with no explanation or sources", () => {
+    const { container } = render(<LearnMore item={{ Q: "What is a Tuatara", A: "Reptile" }} result="win" />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("the explanation and linked sources are shown after the reveal", () => {
+    render(<LearnMore item={independence} result="lose" />);
+    expect(screen.getByText("Learn more")).toBeInTheDocument();
+    expect(screen.getByText("New Zealand has no single independence day.")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Constitution Act 1986" })).toHaveAttribute(
+      "href",
+      "https://www.legislation.govt.nz/"
+    );
+  });
+
+  test("the game shows the panel once the answer is locked", () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button"));
+    expect(screen.queryByText("Learn more")).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Your answer"), { target: { value: "1986" } });
+    fireEvent.click(screen.getByRole("button", { name: "Confirm Answer" }));
+    expect(screen.getByText("Learn more")).toBeInTheDocument();
+    expect(screen.getByText("Statute of Westminster Adoption Act 1947")).toBeInTheDocument();
+  });
+});
+
+describe("Explanations and sources in packs", () => {
+  const check = (fields) => {
+    const pack = { schemaVersion: 1, id: "p", title: "P", questions: [{ id: "q", Q: "Q?", A: "A", ...fields }] };
+    return validatePack(pack).errors.map((error) => error.message);
+  };
+
+  test("the validator checks explanations and sources", () => {
+    expect(check({ explanation: "Because.", sources: [{ title: "A book" }] })).toEqual([]);
+    expect(check({ explanation: " " })).toEqual(['Question 1 ("q"): "explanation" must be a non-empty string']);
+    expect(check({ sources: [] })).toEqual(['Question 1 ("q"): "sources" must be a list with at least one source']);
+    expect(check({ sources: ["A book"] })).toEqual(['Question 1 ("q"): source 1 needs a "title"']);
+    expect(check({ sources: [{ title: "A site", url: "javascript:alert(1)" }] })).toEqual([
+      'Question 1 ("q"): source 1 "url" must be a web address starting http:// or https://',
+    ]);
+  });
+
+  test("the explanation can be translated", () => {
+    const item = { ...independence, translations: { mi: { explanation: "Kāore he rā motuhake kotahi." } } };
+    expect(localiseItem(item, "mi").explanation).toBe("Kāore he rā motuhake kotahi.");
+    expect(localiseItem(item, "mi").sources).toEqual(independence.sources);
+  });
+
+  test("the editor form keeps the explanation and sources", () => {
+    const form = questionToForm(independence);
+    expect(form.sources).toBe("Constitution Act 1986 | https://www.legislation.govt.nz/");
+    expect(formToQuestion(form, independence)).toEqual(independence);
+    const edited = formToQuestion({ ...form, explanation: "", sources: "A book\nA site | https://example.org" });
+    expect(edited.explanation).toBeUndefined();
+    expect(edited.sources).toEqual([{ title: "A book" }, { title: "A site", url: "https://example.org" }]);
+  });
+
+  test("the bundled packs explain the contested independence date", () => {
+    const question = bundledPacks[0].questions.find((item) => item.id === "independence");
+    expect(question.explanation).toMatch(/1947/);
+    expect(question.sources.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,139 @@
+import "@testing-library/jest-dom";
+import { render, screen } from "@testing-library/react";
+import { createMemoryBackend, createStorage } from "../Utilities/Storage";
+import { createEntry, recordAnswer } from "../Utilities/History";
+import {
+  BOX_COUNT,
+  buildSchedule,
+  countDue,
+  getCardKey,
+  loadSchedule,
+  pickStudyQuestion,
+  recordReview,
+  reviewCard,
+  startOfDay,
+} from "../Utilities/Leitner";
+import StudyStatus from "../Components/StudyStatus";
+
+const items = [
+  { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington" },
+  { id: "largest-lake", Q: "What is the largest lake in New Zealand", A: "Lake Taupo" },
+  { id: "highest-mountain", Q: "What is the highest mountain in New Zealand", A: "Aoraki / Mount Cook" },
+];
+
+// Midday on a fixed day, and the same time some days later
+const today = new Date(2025, 2, 10, 12).getTime();
+const daysLater = (days) => new Date(2025, 2, 10 + days, 12).getTime();
+
+const entry = (item, correct, timestamp = today) =>
+  createEntry({ packId: "kiwi-quiz", item, answer: "", correct, timeTaken: 1000, timestamp });
+
+describe("Leitner boxes", () => {
+  test("a right answer moves a question up a box and it comes back later", () => {
+    const first = reviewCard(undefined, true, today);
+    expect(first.box).toBe(2);
+    expect(first.due).toBe(startOfDay(daysLater(1)));
+
+    const second = reviewCard(first, true, today);
+    expect(second.box).toBe(3);
+    expect(second.due).toBe(startOfDay(daysLater(3)));
+  });
+
+  test("a wrong answer sends a question back to box 1, due today", () => {
+    const card = { box: 4, due: daysLater(7), lastReviewed: today };
+    const missed = reviewCard(card, false, today);
+    expect(missed.box).toBe(1);
+    expect(missed.due).toBeLessThanOrEqual(today);
+  });
+
+  test("questions stop at the last box", () => {
+    const card = { box: BOX_COUNT, due: today, lastReviewed: today };
+    expect(reviewCard(card, true, today).box).toBe(BOX_COUNT);
+  });
+
+  test("the schedule is built from the answer history", () => {
+    const schedule = buildSchedule([entry(items[0], true), entry(items[0], true), entry(items[1], false)]);
+    expect(schedule["kiwi-quiz/capital"].box).toBe(3);
+    expect(schedule["kiwi-quiz/largest-lake"].box).toBe(1);
+    expect(schedule["kiwi-quiz/highest-mountain"]).toBeUndefined();
+  });
+});
+
+describe("Saving the schedule", () => {
+  test("the first load builds the schedule from the saved history", () => {
+    const store = createStorage(createMemoryBackend());
+    recordAnswer(entry(items[0], true), store);
+    recordAnswer(entry(items[0], true), store);
+    expect(loadSchedule(store)[getCardKey("kiwi-quiz", items[0])].box).toBe(3);
+  });
+
+  test("the first review is counted once when the answer is already in the history", () => {
+    // Nothing saved yet, as on first use or after the history is cleared
+    const store = createStorage(createMemoryBackend());
+    const answer = entry(items[0], true);
+    recordAnswer(answer, store);
+    expect(recordReview(answer, store)[getCardKey("kiwi-quiz", items[0])].box).toBe(2);
+    expect(loadSchedule(store)[getCardKey("kiwi-quiz", items[0])].box).toBe(2);
+  });
+
+  test("reviews are saved and survive a reload", () => {
+    const store = createStorage(createMemoryBackend());
+    recordReview(entry(items[1], false), store);
+    expect(loadSchedule(store)[getCardKey("kiwi-quiz", items[1])]).toMatchObject({ box: 1 });
+  });
+});
+
+describe("Picking what to study", () => {
+  test("due counts and new questions", () => {
+    const schedule = buildSchedule([entry(items[0], true), entry(items[1], false)]);
+    expect(countDue(items, "kiwi-quiz", schedule, today)).toEqual({ due: 1, new: 1 });
+    // Tomorrow the question in box 2 is due as well
+    expect(countDue(items, "kiwi-quiz", schedule, daysLater(1))).toEqual({ due: 2, new: 1 });
+  });
+
+  test("missed questions come before new ones", () => {
+    const schedule = buildSchedule([entry(items[1], false)]);
+    expect(pickStudyQuestion(items, "kiwi-quiz", schedule, today, () => 0)).toBe(1);
+  });
+
+  test("lower boxes come first", () => {
+    const schedule = buildSchedule([
+      entry(items[0], true),
+      entry(items[0], true),
+      entry(items[1], false),
+      entry(items[2], true),
+    ]);
+    // Three days on everything is due - the missed question is asked first
+    expect(pickStudyQuestion(items, "kiwi-quiz", schedule, daysLater(3), () => 0)).toBe(1);
+  });
+
+  test("a missed question does not come straight back when there is something else", () => {
+    const schedule = buildSchedule([entry(items[1], false)]);
+    const index = pickStudyQuestion(items, "kiwi-quiz", schedule, today, () => 0, "largest-lake");
+    expect(index).not.toBe(1);
+  });
+
+  test("with nothing due the next question to come due is asked", () => {
+    const schedule = buildSchedule([
+      entry(items[0], true),
+      entry(items[0], true),
+      entry(items[1], true),
+      entry(items[2], true),
+    ]);
+    expect(countDue(items, "kiwi-quiz", schedule, today)).toEqual({ due: 0, new: 0 });
+    // Nothing is due until tomorrow - the first question due then is asked
+    expect(pickStudyQuestion(items, "kiwi-quiz", schedule, today, () => 0)).toBe(1);
+  });
+
+  test("no questions gives -1", () => {
+    expect(pickStudyQuestion([], "kiwi-quiz", {}, today)).toBe(-1);
+  });
+});
+
+describe("StudyStatus", () => {
+  test("shows how many questions are due today", () => {
+    const schedule = buildSchedule([entry(items[1], false)]);
+    render(<StudyStatus items={items} packId="kiwi-quiz" schedule={schedule} now={today} />);
+    expect(screen.getByRole("status")).toHaveTextContent("Due today: 1 (2 new)");
+  });
+});
@@ -0,0 +1,176 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import {
+  addQuestion,
+  deleteQuestion,
+  formToQuestion,
+  moveQuestion,
+  newQuestionId,
+  questionToForm,
+  searchQuestions,
+} from "../Utilities/PackEditing";
+import PackEditor from "../Components/Editor/PackEditor";
+
+// A plain select in place of react-select
+// Answers can come in groups - the fake dropdown lists them all in one
+jest.mock("react-select", () => ({
+  __esModule: true,
+  default: ({ options, onChange, placeholder }) => {
+    const flat = options.flatMap((option) => option.options || [option]);
+    return (
+      <select data-testid="answer-select" onChange={(e) => onChange(flat.find((opt) => opt.value === e.target.value))}>
+        <option value="">{placeholder}</option>
+        {flat.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+  },
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+const questions = [
+  { id: "capital", Q: "What is the capital of New Zealand", A: "Wellington", category: "Geography" },
+  { id: "poppy-day", Q: "When was New Zealand first Poppy Day", A: "1922", tags: ["war"] },
+  { id: "tuatara", Q: "What is a Tuatara", A: "Reptile" },
+];
+
+const pack = () => ({ schemaVersion: 1, id: "test-pack", title: "Test Pack", questions });
+
+// Render the editor and open it
+const openEditor = (props = {}) => {
+  const view = render(<PackEditor pack={pack()} onUse={jest.fn()} {...props} />);
+  const details = view.container.querySelector("details");
+  details.open = true;
+  fireEvent(details, new Event("toggle"));
+  return view;
+};
+
+// The question text in each row of the list
+const listed = () =>
+  within(screen.getByRole("list", { name: /questions in the pack/i }))
+    .getAllByRole("listitem")
+    .map((item) => item.querySelector(".editor-item-text").textContent);
+
+describe("Editing questions", () => {
+  test("new questions get an unused id", () => {
+    expect(newQuestionId(questions)).toBe("question-4");
+    expect(newQuestionId([...questions, { id: "question-4" }])).toBe("question-5");
+    expect(addQuestion(questions)[3]).toEqual({ id: "question-4", Q: "", A: "" });
+  });
+
+  test("questions move up and down but not past the ends", () => {
+    expect(moveQuestion(questions, 0, 1).map((q) => q.id)).toEqual(["poppy-day", "capital", "tuatara"]);
+    expect(moveQuestion(questions, 0, -1)).toBe(questions);
+  });
+
+  test("deleting removes only that question", () => {
+    expect(deleteQuestion(questions, 1).map((q) => q.id)).toEqual(["capital", "tuatara"]);
+  });
+
+  test("search looks in the question, answer, category and tags", () => {
+    expect(searchQuestions(questions, "geography").map(({ index }) => index)).toEqual([0]);
+    expect(searchQuestions(questions, "WAR").map(({ index }) => index)).toEqual([1]);
+    expect(searchQuestions(questions, "  ")).toHaveLength(3);
+  });
+
+  test("the form turns back into the same question", () => {
+    const question = {
+      id: "south-island-cities",
+      Q: "Which of these cities are in the South Island",
+      A: "Christchurch and Dunedin",
+      type: "multi",
+      options: ["Christchurch", "Hamilton", "Dunedin"],
+      answers: ["Christchurch", "Dunedin"],
+      parts: [{ text: "Christchurch" }, { text: "Dunedin" }],
+      timeLimit: 30,
+      category: "Geography",
+      difficulty: 3,
+      tags: ["cities", "south island"],
+    };
+    expect(formToQuestion(questionToForm(question), question)).toEqual(question);
+  });
+
+  test("blank optional fields are left out", () => {
+    const form = { ...questionToForm(questions[0]), category: " ", tags: ", ,", difficulty: "" };
+    expect(formToQuestion(form, questions[0])).toEqual({ id: "capital", Q: questions[0].Q, A: "Wellington" });
+  });
+});
+
+describe("Pack editor", () => {
+  test("lists and searches the questions", () => {
+    openEditor();
+    expect(listed()).toHaveLength(3);
+    fireEvent.change(screen.getByLabelText(/search questions/i), { target: { value: "tuatara" } });
+    expect(listed()).toEqual(["3. What is a Tuatara - Reptile"]);
+  });
+
+  test("checks a question as it is typed", () => {
+    openEditor();
+    fireEvent.click(screen.getByRole("button", { name: "Edit question 1" }));
+    expect(screen.getByText(/no problems with this question/i)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Answer"), { target: { value: "" } });
+    expect(screen.getByText(/"A" must be a non-empty string/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /export pack file/i })).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText("Answer"), { target: { value: "Te Whanganui-a-Tara" } });
+    expect(screen.getByText(/no problems with this question/i)).toBeInTheDocument();
+    expect(listed()[0]).toBe("1. What is the capital of New Zealand - Te Whanganui-a-Tara");
+  });
+
+  test("adds, reorders and deletes questions", () => {
+    openEditor();
+    fireEvent.click(screen.getByRole("button", { name: /add question/i }));
+    expect(listed()[3]).toBe("4. (no question yet) -  (2 problems)");
+    fireEvent.change(screen.getByLabelText("Question"), { target: { value: "What is the national bird" } });
+    fireEvent.change(screen.getByLabelText("Answer"), { target: { value: "Kiwi" } });
+
+    fireEvent.click(screen.getByRole("button", { name: "Move question 4 up" }));
+    expect(listed()[2]).toBe("3. What is the national bird - Kiwi");
+
+    fireEvent.click(screen.getByRole("button", { name: "Delete question 1" }));
+    expect(listed().map((text) => text.slice(3))).toEqual([
+      "When was New Zealand first Poppy Day - 1922",
+      "What is the national bird - Kiwi",
+      "What is a Tuatara - Reptile",
+    ]);
+  });
+
+  test("previews the question and checks an answer", () => {
+    openEditor();
+    fireEvent.click(screen.getByRole("button", { name: "Edit question 3" }));
+    const preview = within(screen.getByRole("region", { name: /preview/i }));
+    expect(preview.getByText("What is a Tuatara")).toBeInTheDocument();
+
+    fireEvent.change(preview.getByTestId("answer-select"), { target: { value: "Reptile" } });
+    fireEvent.click(preview.getByRole("button", { name: /check answer/i }));
+    expect(preview.getByText(/correct answer/i)).toHaveClass("answer-right");
+  });
+
+  test("exports the pack as a file", () => {
+    URL.createObjectURL = jest.fn(() => "blob:pack");
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    openEditor();
+    fireEvent.click(screen.getByRole("button", { name: /export pack file/i }));
+
+    expect(click).toHaveBeenCalled();
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe("application/json");
+    click.mockRestore();
+  });
+
+  test("the edited pack can be played", () => {
+    const onUse = jest.fn();
+    openEditor({ onUse });
+    fireEvent.change(screen.getByLabelText("Title"), { target: { value: "My Pack" } });
+    fireEvent.click(screen.getByRole("button", { name: /play this pack/i }));
+    expect(onUse).toHaveBeenCalledWith(expect.objectContaining({ title: "My Pack", questions }));
+  });
+});
@@ -0,0 +1,122 @@
+import "@testing-library/jest-dom";
+import { LINT_RULES, LINT_SEVERITIES, checkPack, failsLint, formatFinding, lintPack } from "../Utilities/PackLinter";
+import { bundledPacks } from "../Assets/Packs";
+
+const packOf = (...questions) => ({ schemaVersion: 1, id: "p", title: "P", questions });
+
+// The rules that found something, e.g. ["question-mark"]
+const rulesFound = (pack) => lintPack(pack).map((finding) => finding.rule);
+
+describe("Lint rules", () => {
+  test("a tidy pack has no findings", () => {
+    const pack = packOf(
+      { id: "capital", Q: "What is the capital of New Zealand?", A: "Wellington" },
+      { id: "kiwi", Q: "True or false: the kiwi is a flightless bird", A: "True", type: "truefalse" }
+    );
+    expect(lintPack(pack)).toEqual([]);
+  });
+
+  test("answers that are the same however they are spelt are found", () => {
+    const pack = packOf(
+      { id: "largest-city", Q: "What is the largest city in New Zealand?", A: "Auckland" },
+      { id: "sky-tower", Q: "In which city can you find the Sky Tower?", A: "auckland." }
+    );
+    const [finding] = lintPack(pack);
+    expect(finding).toMatchObject({
+      rule: "duplicate-answer",
+      severity: LINT_SEVERITIES.WARNING,
+      path: "questions[1].A",
+    });
+    expect(finding.message).toBe(
+      'Question 2 ("sky-tower"): "auckland." is also the answer to Question 1 ("largest-city")'
+    );
+  });
+
+  test("scoring hints in the text are errors", () => {
+    const pack = packOf({ id: "anthems", Q: "Name both anthems?", A: "(1 point each) God Defend New Zealand" });
+    const [finding] = lintPack(pack);
+    expect(finding).toMatchObject({ rule: "scoring-hint", severity: LINT_SEVERITIES.ERROR, path: "questions[0].A" });
+    expect(finding.fix).toMatch('Take "(1 point each)" out');
+    expect(rulesFound(packOf({ id: "q", Q: "Name a river for 2 points?", A: "Waikato" }))).toEqual(["scoring-hint"]);
+  });
+
+  test("questions without a question mark get the fixed question as the suggestion", () => {
+    const [finding] = lintPack(packOf({ id: "tuatara", Q: "What is a Tuatara.", A: "Reptile" }));
+    expect(finding.rule).toBe("question-mark");
+    expect(finding.fix).toBe('"What is a Tuatara?"');
+  });
+
+  test("facts that have gone out of date are found in answers and distractors", () => {
+    const pack = packOf({
+      id: "monarch",
+      Q: "Who is New Zealand’s monarch?",
+      A: "King Charles",
+      distractors: ["Queen Elizabeth II", "Prince William"],
+    });
+    const [finding] = lintPack(pack);
+    expect(finding).toMatchObject({ rule: "stale-fact", path: "questions[0].distractors" });
+    expect(finding.fix).toMatch("King Charles III");
+  });
+
+  test("a question that gives away its answer is an error", () => {
+    const pack = packOf({ id: "strait", Q: "Which strait is Cook Strait?", A: "Cook Strait" });
+    expect(rulesFound(pack)).toEqual(["answer-in-question"]);
+  });
+
+  test("every rule has an id, a severity and a description", () => {
+    LINT_RULES.forEach((rule) => {
+      expect(rule.id).toMatch(/^[a-z-]+$/);
+      expect(Object.values(LINT_SEVERITIES)).toContain(rule.severity);
+      expect(rule.description).toBeTruthy();
+    });
+  });
+});
+
+describe("Lint results", () => {
+  test("findings come in question order", () => {
+    const pack = packOf(
+      { id: "a", Q: "First question", A: "One" },
+      { id: "b", Q: "Second question?", A: "One" },
+      { id: "c", Q: "Third question", A: "Three" }
+    );
+    expect(lintPack(pack).map((finding) => finding.path)).toEqual([
+      "questions[0].Q",
+      "questions[1].A",
+      "questions[2].Q",
+    ]);
+  });
+
+  test("errors fail the lint, warnings only fail it when strict", () => {
+    const warnings = lintPack(packOf({ id: "q", Q: "No question mark", A: "A" }));
+    const errors = lintPack(packOf({ id: "q", Q: "Worth 3 points?", A: "A" }));
+    expect(failsLint([])).toBe(false);
+    expect(failsLint(warnings)).toBe(false);
+    expect(failsLint(warnings, true)).toBe(true);
+    expect(failsLint(errors)).toBe(true);
+  });
+
+  test("a finding is printed with its rule and fix", () => {
+    const [finding] = lintPack(packOf({ id: "q", Q: "No question mark", A: "A" }));
+    expect(formatFinding(finding)).toBe(
+      'warning  Question 1 ("q"): the question does not end with "?"  [question-mark]\n    fix: "No question mark?"'
+    );
+  });
+
+  test("a pack the game could not load fails the check before the rules run", () => {
+    const findings = checkPack({ schemaVersion: 1, id: "p", questions: [{ id: "q", Q: "No question mark" }, 5] });
+    expect(findings.map((finding) => finding.rule)).toEqual(["schema", "schema", "schema"]);
+    expect(failsLint(findings)).toBe(true);
+    // A valid pack only gets the rules' findings
+    const pack = packOf({ id: "q", Q: "No question mark", A: "A" });
+    expect(checkPack(pack)).toEqual(lintPack(pack));
+  });
+
+  test("the bundled packs have no errors, but their known problems are found", () => {
+    bundledPacks.forEach((pack) => expect(failsLint(lintPack(pack))).toBe(false));
+    const messages = lintPack(bundledPacks[0]).map((finding) => finding.message);
+    expect(messages).toContain(
+      'Question 28 ("sky-tower"): "Auckland" is also the answer to Question 21 ("largest-city")'
+    );
+    expect(messages).toContain('Question 10 ("national-anthems"): "A" may be out of date: "God Save the Queen"');
+  });
+});
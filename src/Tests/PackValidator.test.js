@@ -0,0 +1,112 @@
+import "@testing-library/jest-dom";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { parsePack, validatePack } from "../Utilities/PackValidator";
+import { bundledPacks } from "../Assets/Packs";
+import PackPicker from "../Components/PackPicker";
+
+// A small pack that passes every check - tests break it one field at a time
+const goodPack = () => ({
+  schemaVersion: 1,
+  id: "test-pack",
+  title: "Test Pack",
+  questions: [
+    { id: "q1", Q: "Capital of France?", A: "Paris" },
+    { id: "q2", Q: "2 + 2?", A: "4" },
+  ],
+});
+
+describe("Quiz pack validation", () => {
+  test("every bundled pack is valid", () => {
+    bundledPacks.forEach((pack) => {
+      expect(validatePack(pack).errors).toEqual([]);
+    });
+  });
+
+  test("a good pack has no errors", () => {
+    expect(validatePack(goodPack())).toEqual({ valid: true, errors: [] });
+  });
+
+  test("reports missing required fields", () => {
+    const pack = goodPack();
+    delete pack.title;
+    delete pack.questions[1].A;
+    const { valid, errors } = validatePack(pack);
+    expect(valid).toBe(false);
+    expect(errors.map((e) => e.path)).toEqual(["title", "questions[1].A"]);
+    expect(errors[1].message).toBe('Question 2 ("q2") is missing "A"');
+  });
+
+  test("reports fields of the wrong type", () => {
+    const pack = goodPack();
+    pack.questions[0].A = 42;
+    const { errors } = validatePack(pack);
+    expect(errors[0].message).toMatch(/"A" must be a non-empty string/);
+  });
+
+  test("reports duplicate questions and ids", () => {
+    const pack = goodPack();
+    pack.questions.push({ id: "q1", Q: "  capital of   FRANCE? ", A: "Paris" });
+    const { errors } = validatePack(pack);
+    expect(errors.map((e) => e.path)).toEqual(["questions[2].id", "questions[2].Q"]);
+  });
+
+  test("reports bad categories and tags", () => {
+    const pack = goodPack();
+    pack.questions[0].category = "";
+    pack.questions[1].tags = ["cities", "cities"];
+    const { errors } = validatePack(pack);
+    expect(errors.map((e) => e.path)).toEqual(["questions[0].category", "questions[1].tags"]);
+  });
+
+  test("needs at least one question", () => {
+    const pack = goodPack();
+    pack.questions = [];
+    expect(validatePack(pack).errors[0].path).toBe("questions");
+  });
+
+  test("parsePack explains broken JSON", () => {
+    const { pack, errors } = parsePack("{ not json");
+    expect(pack).toBeNull();
+    expect(errors[0].message).toMatch(/not valid JSON/);
+  });
+
+  test("parsePack returns the pack when it is valid", () => {
+    expect(parsePack(JSON.stringify(goodPack())).pack.title).toBe("Test Pack");
+  });
+});
+
+describe("PackPicker", () => {
+  test("loads a valid pack file", async () => {
+    const onLoad = jest.fn();
+    render(<PackPicker pack={null} onLoad={onLoad} />);
+    const file = new File([JSON.stringify(goodPack())], "pack.json", { type: "application/json" });
+    await userEvent.upload(screen.getByLabelText(/load a pack file/i), file);
+    await waitFor(() => expect(onLoad).toHaveBeenCalledWith(expect.objectContaining({ id: "test-pack" })));
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  test("shows readable errors for a bad pack file", async () => {
+    const onLoad = jest.fn();
+    render(<PackPicker pack={null} onLoad={onLoad} />);
+    const pack = goodPack();
+    delete pack.questions[0].Q;
+    const file = new File([JSON.stringify(pack)], "broken.json", { type: "application/json" });
+    await userEvent.upload(screen.getByLabelText(/load a pack file/i), file);
+    expect(await screen.findByRole("alert")).toHaveTextContent('broken.json: Question 1 ("q1") is missing "Q"');
+    expect(onLoad).not.toHaveBeenCalled();
+  });
+
+  test("says so when a file cannot be read", async () => {
+    const onLoad = jest.fn();
+    const read = jest.spyOn(FileReader.prototype, "readAsText").mockImplementation(function () {
+      this.onerror();
+    });
+    render(<PackPicker pack={null} onLoad={onLoad} />);
+    const file = new File(["{}"], "locked.json", { type: "application/json" });
+    await userEvent.upload(screen.getByLabelText(/load a pack file/i), file);
+    expect(await screen.findByRole("alert")).toHaveTextContent("locked.json: the file could not be read");
+    expect(onLoad).not.toHaveBeenCalled();
+    read.mockRestore();
+  });
+});
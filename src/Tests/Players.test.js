@@ -0,0 +1,151 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import App from "../App";
+import { createPlayers, rankPlayers, resizePlayerNames } from "../Utilities/Players";
+import { GAME_ACTIONS, GAME_PHASES, createInitialGameState, gameReducer } from "../Utilities/GameState";
+
+// Always deal the first question
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }),
+}));
+
+jest.mock("../Assets/quiz", () => ({
+  quizData: [{ Q: "What is 2 + 2?", A: "4" }],
+  sortedListAnswers: () => [
+    { value: "4", label: "4" },
+    { value: "5", label: "5" },
+  ],
+}));
+
+// A plain select in place of react-select
+jest.mock("react-select", () => ({
+  __esModule: true,
+  default: ({ options, onChange, placeholder }) => (
+    <select data-testid="answer-select" onChange={(e) => onChange(options.find((opt) => opt.value === e.target.value))}>
+      <option value="">{placeholder}</option>
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  ),
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+const question = { Q: "Capital of France?", A: "Paris" };
+const ask = (state) => gameReducer(state, { type: GAME_ACTIONS.NEW_QUESTION, question });
+const answer = (state, correct) =>
+  gameReducer(state, { type: GAME_ACTIONS.ANSWER, answer: "", correct, points: correct ? 1 : 0 });
+
+describe("Players", () => {
+  test("blank names get a default", () => {
+    expect(createPlayers(["Aroha", "  "]).map((p) => p.name)).toEqual(["Aroha", "Player 2"]);
+  });
+
+  test("one name is a single-player game", () => {
+    expect(createPlayers(["Aroha"])).toEqual([]);
+  });
+
+  test("changing the number of players keeps the names typed in", () => {
+    expect(resizePlayerNames(["Aroha", "Ben"], 3)).toEqual(["Aroha", "Ben", "Player 3"]);
+    expect(resizePlayerNames(["Aroha", "Ben", "Cam"], 2)).toEqual(["Aroha", "Ben"]);
+    expect(resizePlayerNames(["Aroha", "Ben"], 1)).toEqual([]);
+    expect(resizePlayerNames([], 20)).toHaveLength(8);
+  });
+
+  test("standings put the highest score first and share tied places", () => {
+    const players = createPlayers(["Aroha", "Ben", "Cam"]);
+    players[0].score = 2;
+    players[1].score = 5;
+    players[2].score = 2;
+    expect(rankPlayers(players).map((p) => [p.place, p.name])).toEqual([
+      [1, "Ben"],
+      [2, "Aroha"],
+      [2, "Cam"],
+    ]);
+  });
+});
+
+describe("Hot-seat turns", () => {
+  test("questions rotate between players", () => {
+    let state = createInitialGameState({ players: ["Aroha", "Ben", "Cam"], roundLength: 10 });
+    const turns = [];
+    for (let i = 0; i < 4; i++) {
+      state = answer(ask(state), true);
+      turns.push(state.turn);
+    }
+    expect(turns).toEqual([0, 1, 2, 0]);
+  });
+
+  test("each player has their own score and streak", () => {
+    let state = createInitialGameState({ players: ["Aroha", "Ben"], roundLength: 10 });
+    state = answer(ask(state), true); // Aroha right
+    state = answer(ask(state), false); // Ben wrong
+    state = answer(ask(state), true); // Aroha right again
+    expect(state.players[0]).toMatchObject({ score: 2, streak: 2, bestStreak: 2, correctCount: 2 });
+    expect(state.players[1]).toMatchObject({ score: 0, streak: 0, answeredCount: 1 });
+  });
+
+  test("running out of time only breaks that player's streak", () => {
+    let state = createInitialGameState({ players: ["Aroha", "Ben"], roundLength: 10 });
+    state = answer(ask(state), true);
+    state = answer(ask(state), true);
+    state = answer(ask(state), true);
+    state = gameReducer(ask(state), { type: GAME_ACTIONS.TIME_UP });
+    expect(state.players[0].streak).toBe(2);
+    expect(state.players[1]).toMatchObject({ streak: 0, answeredCount: 2 });
+  });
+
+  test("a new session starts with the first player", () => {
+    let state = createInitialGameState({ players: ["Aroha", "Ben"], roundLength: 1, roundsPerSession: 1 });
+    state = answer(ask(state), true);
+    expect(state.phase).toBe(GAME_PHASES.SESSION_OVER);
+    state = ask(state);
+    expect(state.turn).toBe(0);
+    expect(state.players[0].score).toBe(0);
+  });
+});
+
+describe("Hot-seat game", () => {
+  // Pick an answer and lock it in
+  const answerWith = (value) => {
+    fireEvent.change(screen.getByTestId("answer-select"), { target: { value } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+  };
+
+  test("names are entered, turns are shown and the final standings appear", async () => {
+    // Players are set up on the settings screen, then the game is played on the play screen
+    window.location.hash = "#/settings";
+    render(<App />);
+    fireEvent.change(screen.getByLabelText(/questions per round/i), { target: { value: "2" } });
+    fireEvent.change(screen.getByLabelText(/rounds per session/i), { target: { value: "1" } });
+    fireEvent.change(screen.getByLabelText(/^players/i), { target: { value: "2" } });
+    fireEvent.change(screen.getByLabelText(/player 1 name/i), { target: { value: "Aroha" } });
+    fireEvent.change(screen.getByLabelText(/player 2 name/i), { target: { value: "Ben" } });
+    fireEvent.click(screen.getByRole("link", { name: "Play" }));
+    expect(await screen.findByText("Aroha goes first")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    expect(screen.getByText("Aroha's turn")).toBeInTheDocument();
+    answerWith("4");
+    expect(screen.getByText("Next up: Ben")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    expect(screen.getByText("Ben's turn")).toBeInTheDocument();
+    answerWith("5");
+
+    const scores = within(screen.getByRole("list", { name: /player scores/i })).getAllByRole("listitem");
+    expect(scores[0]).toHaveTextContent("Aroha Score: 1");
+    expect(scores[1]).toHaveTextContent("Ben Score: 0");
+
+    const rows = within(screen.getByRole("table")).getAllByRole("row");
+    expect(screen.getByRole("heading", { name: /final standings/i })).toBeInTheDocument();
+    expect(rows[1]).toHaveTextContent("1Aroha11 of 11");
+    expect(rows[2]).toHaveTextContent("2Ben00 of 10");
+  });
+});
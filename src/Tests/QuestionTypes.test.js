@@ -0,0 +1,116 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { QUESTION_TYPES, formatResponse, getQuestionType, gradeAnswer } from "../Utilities/Grading";
+import { normaliseAnswer } from "../Utilities/AnswerMatching";
+import { validatePack } from "../Utilities/PackValidator";
+import AnswerInput from "../Components/Answers/AnswerInput";
+
+// One item of each type
+const choiceItem = { id: "c", Q: "Capital of New Zealand?", A: "Wellington" };
+const textItem = { id: "t", Q: "Largest city?", A: "Auckland", type: "text" };
+const trueFalseItem = { id: "tf", Q: "True or false: the kiwi can fly", A: "False", type: "truefalse" };
+const multiItem = {
+  id: "m",
+  Q: "Which are South Island cities?",
+  A: "Christchurch and Dunedin",
+  type: "multi",
+  options: ["Christchurch", "Hamilton", "Dunedin"],
+  answers: ["Christchurch", "Dunedin"],
+};
+
+describe("Grading", () => {
+  test("items without a type are choice questions", () => {
+    expect(getQuestionType(choiceItem)).toBe(QUESTION_TYPES.CHOICE);
+  });
+
+  test("choice questions need the answer, however it is spelt", () => {
+    expect(gradeAnswer(choiceItem, "Wellington")).toMatchObject({ correct: true, points: 1 });
+    expect(gradeAnswer(choiceItem, "wellington")).toMatchObject({ correct: true, points: 1 });
+    expect(gradeAnswer(choiceItem, "Auckland")).toMatchObject({ correct: false, points: 0 });
+  });
+
+  test("text answers ignore case, spacing and a final full stop", () => {
+    expect(normaliseAnswer("  AUCKLAND   city. ")).toBe("auckland city");
+    expect(gradeAnswer(textItem, " auckland.").correct).toBe(true);
+    expect(gradeAnswer(textItem, "Hamilton").correct).toBe(false);
+  });
+
+  test("true/false questions", () => {
+    expect(gradeAnswer(trueFalseItem, "False").correct).toBe(true);
+    expect(gradeAnswer(trueFalseItem, "True").correct).toBe(false);
+  });
+
+  test("multi-select questions need every correct option and nothing else", () => {
+    expect(gradeAnswer(multiItem, ["Dunedin", "Christchurch"]).correct).toBe(true);
+    expect(gradeAnswer(multiItem, ["Christchurch"]).correct).toBe(false);
+    expect(gradeAnswer(multiItem, ["Christchurch", "Dunedin", "Hamilton"]).correct).toBe(false);
+  });
+
+  test("responses are formatted for the result message", () => {
+    expect(formatResponse(["Christchurch", "Dunedin"])).toBe("Christchurch, Dunedin");
+    expect(formatResponse("True")).toBe("True");
+  });
+});
+
+describe("Pack validation of question types", () => {
+  const pack = (question) => ({ schemaVersion: 1, id: "p", title: "P", questions: [question] });
+
+  test("accepts every type", () => {
+    [choiceItem, textItem, trueFalseItem, multiItem].forEach((item) => {
+      expect(validatePack(pack(item)).errors).toEqual([]);
+    });
+  });
+
+  test("rejects unknown types", () => {
+    expect(validatePack(pack({ ...textItem, type: "essay" })).errors[0].path).toBe("questions[0].type");
+  });
+
+  test("true/false answers must be True or False", () => {
+    expect(validatePack(pack({ ...trueFalseItem, A: "Nope" })).errors[0].path).toBe("questions[0].A");
+  });
+
+  test("multi-select answers must be options", () => {
+    const { errors } = validatePack(pack({ ...multiItem, answers: ["Christchurch", "Tokyo"] }));
+    expect(errors[0].message).toMatch(/"Tokyo" is not one of the options/);
+  });
+});
+
+describe("Answer inputs", () => {
+  // Render the input for an item with nothing selected yet
+  const renderInput = (item, props = {}) => {
+    const handlers = { onSelect: jest.fn(), onConfirm: jest.fn() };
+    render(<AnswerInput item={item} options={[]} selection={null} locked={false} {...handlers} {...props} />);
+    return handlers;
+  };
+
+  test("text questions get a text box and Enter confirms", () => {
+    const { onSelect, onConfirm } = renderInput(textItem, { selection: "Auck" });
+    const input = screen.getByLabelText(/your answer/i);
+    expect(input).toHaveValue("Auck");
+    fireEvent.change(input, { target: { value: "Auckland" } });
+    expect(onSelect).toHaveBeenCalledWith("Auckland");
+    fireEvent.submit(input);
+    expect(onConfirm).toHaveBeenCalled();
+  });
+
+  test("true/false questions get two buttons", () => {
+    const { onSelect } = renderInput(trueFalseItem, { selection: "True" });
+    expect(screen.getByRole("button", { name: "True" })).toHaveAttribute("aria-pressed", "true");
+    fireEvent.click(screen.getByRole("button", { name: "False" }));
+    expect(onSelect).toHaveBeenCalledWith("False");
+  });
+
+  test("multi-select questions get tick boxes", () => {
+    const { onSelect } = renderInput(multiItem, { selection: ["Dunedin"] });
+    fireEvent.click(screen.getByRole("checkbox", { name: "Christchurch" }));
+    // Picked options come back in the order they are shown
+    expect(onSelect).toHaveBeenCalledWith(["Christchurch", "Dunedin"]);
+  });
+
+  test("inputs are locked once the answer is confirmed", () => {
+    renderInput(trueFalseItem, { selection: "True", locked: true });
+    expect(screen.getByRole("button", { name: "True" })).toBeDisabled();
+    // The right answer is marked
+    expect(screen.getByRole("button", { name: "False" })).toHaveClass("choice-correct");
+  });
+});
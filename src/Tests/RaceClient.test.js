@@ -0,0 +1,238 @@
+import "@testing-library/jest-dom";
+import { act, render, screen, fireEvent, within } from "@testing-library/react";
+import { SERVER_MESSAGES } from "../../server/protocol.js";
+import { CONNECTION_EVENTS, RACE_STATUS, initialRaceState, raceReducer } from "../Utilities/RaceClient";
+import RacePanel from "../Components/RacePanel";
+import App from "../App";
+
+const room = (status, players) => ({
+  code: "KWHT",
+  seed: status === RACE_STATUS.LOBBY ? null : "123456",
+  packId: "kiwi-quiz",
+  size: 31,
+  length: 10,
+  hostId: "1",
+  status,
+  players,
+});
+
+const aroha = { id: "1", name: "Aroha", answered: 3, correct: 2, points: 1 };
+const ben = { id: "2", name: "Ben", answered: 4, correct: 3, points: 2 };
+
+// A race client with the actions stubbed out
+const client = (state) => ({
+  ...initialRaceState,
+  ...state,
+  createRoom: jest.fn(),
+  joinRoom: jest.fn(),
+  start: jest.fn(),
+  answer: jest.fn(),
+  leave: jest.fn(),
+});
+
+const pack = { packId: "kiwi-quiz", size: 31, length: 10 };
+
+describe("Race client state", () => {
+  test("joining a room puts the player in the lobby", () => {
+    const state = raceReducer(initialRaceState, {
+      type: SERVER_MESSAGES.JOINED,
+      playerId: "1",
+      room: room(RACE_STATUS.LOBBY, [aroha]),
+    });
+    expect(state).toMatchObject({ status: RACE_STATUS.LOBBY, playerId: "1" });
+  });
+
+  test("the race starts and rulings are kept", () => {
+    let state = raceReducer(initialRaceState, { type: SERVER_MESSAGES.STARTED, room: room(RACE_STATUS.RACING, []) });
+    expect(state.status).toBe(RACE_STATUS.RACING);
+    state = raceReducer(state, { type: SERVER_MESSAGES.RULING, question: 1, winner: "2" });
+    expect(state.rulings).toEqual([{ question: 1, winner: "2" }]);
+  });
+
+  test("a server that cannot be reached is explained", () => {
+    const connecting = raceReducer(initialRaceState, { type: CONNECTION_EVENTS.CONNECTING });
+    expect(raceReducer(connecting, { type: CONNECTION_EVENTS.CLOSED }).error).toBe("race.unreachable");
+    const racing = { ...initialRaceState, status: RACE_STATUS.RACING };
+    expect(raceReducer(racing, { type: CONNECTION_EVENTS.CLOSED }).error).toBe("race.lost");
+  });
+
+  test("errors from the server are shown", () => {
+    const state = raceReducer(initialRaceState, { type: SERVER_MESSAGES.ERROR, message: "There is no room" });
+    expect(state.error).toBe("There is no room");
+  });
+
+  test("leaving clears the race", () => {
+    const state = { ...initialRaceState, status: RACE_STATUS.LOBBY, room: room(RACE_STATUS.LOBBY, [aroha]) };
+    expect(raceReducer(state, { type: CONNECTION_EVENTS.LEFT })).toEqual(initialRaceState);
+  });
+});
+
+describe("Race panel", () => {
+  test("creates or joins a room on the local server", () => {
+    const race = client();
+    render(<RacePanel race={race} pack={pack} />);
+    fireEvent.click(screen.getByLabelText(/race online/i));
+    expect(screen.getByLabelText(/race server/i)).toHaveValue("ws://localhost:8787");
+
+    fireEvent.change(screen.getByLabelText(/your name/i), { target: { value: "Aroha" } });
+    fireEvent.click(screen.getByRole("button", { name: /create room/i }));
+    expect(race.createRoom).toHaveBeenCalledWith("ws://localhost:8787", { name: "Aroha", ...pack });
+
+    fireEvent.change(screen.getByLabelText(/join code/i), { target: { value: "kwht" } });
+    fireEvent.click(screen.getByRole("button", { name: /join room/i }));
+    expect(race.joinRoom).toHaveBeenCalledWith("ws://localhost:8787", { code: "KWHT", name: "Aroha", ...pack });
+  });
+
+  test("connection problems are shown in the chosen language, server messages as sent", () => {
+    const { rerender } = render(<RacePanel race={client({ error: "race.unreachable" })} pack={pack} />);
+    fireEvent.click(screen.getByLabelText(/race online/i));
+    expect(screen.getByRole("alert")).toHaveTextContent("Could not reach the race server - is it running?");
+    rerender(<RacePanel race={client({ error: "There is no room" })} pack={pack} />);
+    expect(screen.getByRole("alert")).toHaveTextContent("There is no room");
+  });
+
+  test("the host starts the race from the lobby", () => {
+    const race = client({ status: RACE_STATUS.LOBBY, playerId: "1", room: room(RACE_STATUS.LOBBY, [aroha, ben]) });
+    render(<RacePanel race={race} pack={pack} />);
+    expect(screen.getByText("KWHT")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /start race/i }));
+    expect(race.start).toHaveBeenCalled();
+  });
+
+  test("other players wait for the host", () => {
+    const race = client({ status: RACE_STATUS.LOBBY, playerId: "2", room: room(RACE_STATUS.LOBBY, [aroha, ben]) });
+    render(<RacePanel race={race} pack={pack} />);
+    expect(screen.queryByRole("button", { name: /start race/i })).not.toBeInTheDocument();
+    expect(screen.getByText(/waiting for the host/i)).toBeInTheDocument();
+  });
+
+  test("shows everyone's progress and who answered first", () => {
+    const race = client({
+      status: RACE_STATUS.RACING,
+      playerId: "1",
+      room: room(RACE_STATUS.RACING, [aroha, ben]),
+      rulings: [
+        { question: 1, winner: "2" },
+        { question: 2, winner: null },
+      ],
+    });
+    render(<RacePanel race={race} pack={pack} />);
+    const rows = within(screen.getByRole("table")).getAllByRole("row");
+    // Most points first
+    expect(rows[1]).toHaveTextContent("Ben4 of 102");
+    expect(rows[2]).toHaveTextContent("Aroha (you) - host3 of 101");
+    expect(screen.getByText("Question 1: Ben was first")).toBeInTheDocument();
+    expect(screen.getByText("Question 2: nobody got it right")).toBeInTheDocument();
+  });
+});
+
+// Stands in for the browser's WebSocket - the test plays the server
+class FakeSocket {
+  static OPEN = 1;
+  static sockets = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose();
+  }
+
+  // The server sends a message (or anything else) to the game
+  receive(message) {
+    act(() => this.onmessage({ data: typeof message === "string" ? message : JSON.stringify(message) }));
+  }
+}
+
+describe("Racing in the game", () => {
+  const realWebSocket = global.WebSocket;
+
+  beforeEach(() => {
+    FakeSocket.sockets = [];
+    global.WebSocket = FakeSocket;
+  });
+
+  afterEach(() => {
+    global.WebSocket = realWebSocket;
+    localStorage.clear();
+  });
+
+  // Create a room from the home screen and have the server start the race
+  const raceFromHome = async (started = room(RACE_STATUS.RACING, [aroha, ben])) => {
+    fireEvent.click(screen.getByRole("link", { name: "Home" }));
+    fireEvent.click(await screen.findByLabelText("Race online"));
+    fireEvent.click(screen.getByRole("button", { name: "Create room" }));
+    const [socket] = FakeSocket.sockets;
+    socket.receive({ type: SERVER_MESSAGES.JOINED, playerId: "1", room: room(RACE_STATUS.LOBBY, [aroha]) });
+    socket.receive({ type: SERVER_MESSAGES.STARTED, room: started });
+    // The race is played on the play screen
+    await screen.findByRole("button", { name: /choose a random question/i });
+    return socket;
+  };
+
+  test("a garbled message from the server is reported and the race goes on", async () => {
+    window.location.hash = "#/home";
+    render(<App />);
+    const socket = await raceFromHome();
+    fireEvent.click(screen.getByRole("link", { name: "Home" }));
+    await screen.findByRole("button", { name: "Leave room" });
+
+    socket.receive("{not json");
+    expect(screen.getByRole("alert")).toHaveTextContent("The race server sent a message the game could not read");
+    expect(screen.getByText("Room code:")).toBeInTheDocument();
+  });
+
+  test("everyone's progress is on the play screen during the race", async () => {
+    window.location.hash = "#/home";
+    render(<App />);
+    await raceFromHome();
+    const progress = screen.getByRole("table");
+    expect(within(progress).getByText(/Aroha/)).toBeInTheDocument();
+    expect(within(progress).getByText(/Ben/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Leave room" })).toBeInTheDocument();
+  });
+
+  test("a race round cannot be restarted or played again", async () => {
+    window.location.hash = "#/home";
+    render(<App />);
+    await raceFromHome({ ...room(RACE_STATUS.RACING, [aroha, ben]), length: 1 });
+    const newQuestion = screen.getByRole("button", { name: /choose a random question/i });
+    fireEvent.click(newQuestion);
+    expect(screen.queryByRole("button", { name: "Restart Session" })).not.toBeInTheDocument();
+
+    // The room's seed deals the Cook Strait question first - answering it ends the race round
+    fireEvent.change(screen.getByLabelText("Your answer"), { target: { value: "Cook Strait" } });
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+    expect(screen.queryByRole("button", { name: "Restart Session" })).not.toBeInTheDocument();
+    expect(newQuestion).toBeDisabled();
+    fireEvent.keyDown(document.body, { key: "n" });
+    expect(screen.queryByRole("button", { name: /confirm answer/i })).not.toBeInTheDocument();
+  });
+
+  test("the player's own settings come back after leaving the race", async () => {
+    window.location.hash = "#/settings";
+    render(<App />);
+    fireEvent.change(screen.getByLabelText(/rounds per session/i), { target: { value: "5" } });
+    fireEvent.change(screen.getByLabelText(/^players/i), { target: { value: "2" } });
+
+    await raceFromHome();
+    fireEvent.click(await screen.findByRole("link", { name: "Settings" }));
+    expect(await screen.findByLabelText(/rounds per session/i)).toHaveValue(1);
+    expect(screen.getByLabelText(/^players/i)).toHaveValue(1);
+
+    fireEvent.click(screen.getByRole("link", { name: "Home" }));
+    fireEvent.click(await screen.findByRole("button", { name: "Leave room" }));
+    fireEvent.click(screen.getByRole("link", { name: "Settings" }));
+    expect(await screen.findByLabelText(/rounds per session/i)).toHaveValue(5);
+    expect(screen.getByLabelText(/^players/i)).toHaveValue(2);
+  });
+});
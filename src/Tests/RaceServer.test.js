@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from "ws";
+import { CLIENT_MESSAGES, SERVER_MESSAGES } from "../../server/protocol.js";
+import {
+  ROOM_STATUS,
+  answerQuestion,
+  createJoinCode,
+  createRoom,
+  joinRoom,
+  leaveRoom,
+  startRace,
+} from "../../server/rooms.js";
+import { startRaceServer } from "../../server/race-server.js";
+
+// The race server runs in Node, so these tests do too
+
+// A room with Aroha as host and Ben joined
+const roomWithTwo = () => {
+  const room = createRoom({
+    code: "KWHT",
+    seed: "123456",
+    hostId: "1",
+    name: "Aroha",
+    packId: "kiwi-quiz",
+    size: 31,
+    length: 2,
+  });
+  return joinRoom(room, { id: "2", name: "Ben", packId: "kiwi-quiz", size: 31 }).room;
+};
+
+describe("Race rooms", () => {
+  test("join codes are four easy-to-read letters", () => {
+    const code = createJoinCode();
+    expect(code).toMatch(/^[A-HJKMNP-Z]{4}$/);
+  });
+
+  test("players can only join a room playing the same questions", () => {
+    const room = createRoom({ code: "KWHT", seed: "1", hostId: "1", name: "Aroha", packId: "kiwi-quiz", size: 31 });
+    expect(joinRoom(room, { id: "2", name: "Ben", packId: "kiwi-quiz", size: 12 }).error).toMatch(/different pack/);
+    expect(joinRoom(room, { id: "2", name: "Ben", packId: "kiwi-quiz", size: 31 }).room.players).toHaveLength(2);
+  });
+
+  test("only the host can start, and not alone", () => {
+    const alone = createRoom({ code: "KWHT", seed: "1", hostId: "1", name: "Aroha", packId: "p", size: 1 });
+    expect(startRace(alone, "1").error).toMatch(/wait for someone/i);
+    expect(startRace(roomWithTwo(), "2").error).toMatch(/only the host/i);
+    expect(startRace(roomWithTwo(), "1").room.status).toBe(ROOM_STATUS.RACING);
+  });
+
+  test("nobody can join once the race has started", () => {
+    const { room } = startRace(roomWithTwo(), "1");
+    expect(joinRoom(room, { id: "3", name: "Cam", packId: "kiwi-quiz", size: 31 }).error).toMatch(/already started/);
+  });
+
+  test("the first right answer wins the point", () => {
+    let { room } = startRace(roomWithTwo(), "1");
+    const wrong = answerQuestion(room, "1", { question: 1, correct: false });
+    expect(wrong.ruling).toBeNull();
+    const right = answerQuestion(wrong.room, "2", { question: 1, correct: true });
+    expect(right.ruling).toEqual({ question: 1, winner: "2" });
+    room = right.room;
+    expect(room.players.map((p) => p.points)).toEqual([0, 1]);
+  });
+
+  test("a later right answer scores nothing", () => {
+    let { room } = startRace(roomWithTwo(), "1");
+    room = answerQuestion(room, "2", { question: 1, correct: true }).room;
+    const late = answerQuestion(room, "1", { question: 1, correct: true });
+    expect(late.ruling).toBeNull();
+    expect(late.room.players[0]).toMatchObject({ correct: 1, points: 0 });
+  });
+
+  test("the question goes to nobody when everyone is wrong", () => {
+    let { room } = startRace(roomWithTwo(), "1");
+    room = answerQuestion(room, "1", { question: 1, correct: false }).room;
+    expect(answerQuestion(room, "2", { question: 1, correct: false }).ruling).toEqual({ question: 1, winner: null });
+  });
+
+  test("each question can only be answered once, and must be in the race", () => {
+    let { room } = startRace(roomWithTwo(), "1");
+    room = answerQuestion(room, "1", { question: 1, correct: false }).room;
+    expect(answerQuestion(room, "1", { question: 1, correct: true }).error).toMatch(/already answered/);
+    expect(answerQuestion(room, "1", { question: 3, correct: true }).error).toMatch(/no question 3/);
+  });
+
+  test("the race finishes when everyone has answered every question", () => {
+    let { room } = startRace(roomWithTwo(), "1");
+    [1, 2].forEach((question) => {
+      room = answerQuestion(room, "1", { question, correct: true }).room;
+      room = answerQuestion(room, "2", { question, correct: true }).room;
+    });
+    expect(room.status).toBe(ROOM_STATUS.FINISHED);
+  });
+
+  test("the host passes on when the host leaves", () => {
+    const { room } = leaveRoom(roomWithTwo(), "1");
+    expect(room.hostId).toBe("2");
+    expect(leaveRoom(room, "2").room).toBeNull();
+  });
+});
+
+describe("Race server", () => {
+  let server;
+  const sockets = [];
+
+  beforeEach(async () => {
+    server = await startRaceServer({ port: 0 });
+  });
+
+  afterEach(async () => {
+    sockets.forEach((socket) => socket.close());
+    sockets.length = 0;
+    await server.close();
+  });
+
+  // Connect a player - messages collects everything the server sends them
+  const connect = () =>
+    new Promise((resolve) => {
+      const socket = new WebSocket(`ws://localhost:${server.port}`);
+      sockets.push(socket);
+      const player = {
+        messages: [],
+        send: (message) => socket.send(JSON.stringify(message)),
+        // Wait for the next message of a type
+        next: (type) =>
+          new Promise((done) => {
+            const check = () => {
+              const found = player.messages.findIndex((m) => m.type === type);
+              if (found >= 0) {
+                done(player.messages.splice(0, found + 1)[found]);
+              } else {
+                socket.once("message", check);
+              }
+            };
+            check();
+          }),
+      };
+      socket.on("message", (data) => player.messages.push(JSON.parse(data.toString())));
+      socket.on("open", () => resolve(player));
+    });
+
+  test("two players race on localhost", async () => {
+    const aroha = await connect();
+    const ben = await connect();
+    const pack = { packId: "kiwi-quiz", size: 31 };
+
+    aroha.send({ type: CLIENT_MESSAGES.CREATE, name: "Aroha", length: 1, ...pack });
+    const { room } = await aroha.next(SERVER_MESSAGES.JOINED);
+    expect(room.code).toMatch(/^[A-Z]{4}$/);
+    expect(room.seed).toBeNull();
+
+    ben.send({ type: CLIENT_MESSAGES.JOIN, code: room.code.toLowerCase(), name: "Ben", ...pack });
+    const joined = await ben.next(SERVER_MESSAGES.JOINED);
+    expect(joined.room.players.map((p) => p.name)).toEqual(["Aroha", "Ben"]);
+
+    aroha.send({ type: CLIENT_MESSAGES.START });
+    const [started, benStarted] = await Promise.all([
+      aroha.next(SERVER_MESSAGES.STARTED),
+      ben.next(SERVER_MESSAGES.STARTED),
+    ]);
+    // Everyone gets the same seed, so the same questions in the same order
+    expect(started.room.seed).toMatch(/^\d{6}$/);
+    expect(benStarted.room.seed).toBe(started.room.seed);
+
+    ben.send({ type: CLIENT_MESSAGES.ANSWER, question: 1, correct: true });
+    const ruling = await aroha.next(SERVER_MESSAGES.RULING);
+    expect(ruling).toMatchObject({ question: 1, winner: joined.playerId });
+
+    aroha.send({ type: CLIENT_MESSAGES.ANSWER, question: 1, correct: true });
+    const finished = await aroha.next(SERVER_MESSAGES.FINISHED);
+    expect(finished.room.players.map((p) => [p.name, p.points])).toEqual([
+      ["Aroha", 0],
+      ["Ben", 1],
+    ]);
+  });
+
+  test("a bad join code is explained", async () => {
+    const player = await connect();
+    player.send({ type: CLIENT_MESSAGES.JOIN, code: "ZZZZ", name: "Cam", packId: "kiwi-quiz", size: 31 });
+    expect((await player.next(SERVER_MESSAGES.ERROR)).message).toMatch(/no room/i);
+  });
+});
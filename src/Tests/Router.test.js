@@ -0,0 +1,105 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import App from "../App";
+import { DEFAULT_ROUTE, ROUTES, parseRoute, routeHref } from "../Utilities/Router";
+
+// Always deal the first question
+jest.mock("../Utilities/Deck", () => ({
+  createDeck: () => ({}),
+  drawCard: (deck) => ({ index: 0, deck }),
+}));
+
+jest.mock("../Assets/quiz", () => ({
+  quizData: [{ id: "kiwi", Q: "True or false: the kiwi is a flightless bird", A: "True", type: "truefalse" }],
+  sortedListAnswers: () => [],
+}));
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+// Open the game at an address, as a bookmark or shared link would
+const openAt = (hash) => {
+  window.location.hash = hash;
+  return render(<App />);
+};
+
+describe("Routes", () => {
+  test("each screen has its own address", () => {
+    expect(routeHref(ROUTES.STATS)).toBe("#/stats");
+    expect(parseRoute("#/stats")).toBe(ROUTES.STATS);
+    expect(parseRoute("#stats")).toBe(ROUTES.STATS);
+    expect(parseRoute("#/results/")).toBe(ROUTES.RESULTS);
+  });
+
+  test("an empty or unknown address goes to the home screen", () => {
+    expect(parseRoute("")).toBe(DEFAULT_ROUTE);
+    expect(parseRoute("#/")).toBe(ROUTES.HOME);
+    expect(parseRoute("#/nowhere")).toBe(ROUTES.HOME);
+  });
+});
+
+describe("Screens", () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test("the game opens on the home screen with the current page marked in the navigation", () => {
+    openAt("");
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Kiwi Quiz");
+    expect(screen.getByLabelText("Quiz pack")).toBeInTheDocument();
+    const nav = screen.getByRole("navigation", { name: "Screens" });
+    expect(nav).toContainElement(screen.getByRole("link", { name: "Home" }));
+    expect(screen.getByRole("link", { name: "Home" })).toHaveAttribute("aria-current", "page");
+    expect(screen.getByRole("link", { name: "Play" })).not.toHaveAttribute("aria-current");
+  });
+
+  test("deep links open the screen they name", () => {
+    openAt("#/settings");
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Settings");
+    expect(screen.getByLabelText(/questions per round/i)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /choose a random question/i })).not.toBeInTheDocument();
+  });
+
+  test("following a link changes the screen and moves focus to it", async () => {
+    openAt("#/home");
+    fireEvent.click(screen.getByRole("link", { name: "Start playing" }));
+    expect(await screen.findByRole("button", { name: /choose a random question/i })).toBeInTheDocument();
+    expect(screen.getByRole("main")).toHaveFocus();
+    expect(screen.getByRole("link", { name: "Play" })).toHaveAttribute("aria-current", "page");
+  });
+
+  test("the game carries on after visiting another screen", async () => {
+    openAt("#/play");
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    fireEvent.click(screen.getByRole("link", { name: "Results" }));
+    expect(await screen.findByText("No questions answered yet this session.")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("link", { name: "Play" }));
+    expect(await screen.findByText("True or false: the kiwi is a flightless bird")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "True" }));
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+
+    fireEvent.click(screen.getByRole("link", { name: "Results" }));
+    expect(await screen.findByText(/1 of 1 answered correctly/)).toBeInTheDocument();
+    expect(screen.getByText("The session is still going - round 1 of 3.")).toBeInTheDocument();
+  });
+
+  test("the stats screen shows every answer given on this device", async () => {
+    openAt("#/play");
+    fireEvent.click(screen.getByRole("button", { name: /choose a random question/i }));
+    fireEvent.click(screen.getByRole("button", { name: "False" }));
+    fireEvent.click(screen.getByRole("button", { name: /confirm answer/i }));
+
+    fireEvent.click(screen.getByRole("link", { name: "Stats" }));
+    expect(await screen.findByText(/\(0 of 1 right\)/)).toBeInTheDocument();
+  });
+
+  test("game shortcuts only work on the play screen", () => {
+    openAt("#/stats");
+    fireEvent.keyDown(document.body, { key: "n" });
+    window.location.hash = "#/play";
+    fireEvent(window, new HashChangeEvent("hashchange"));
+    expect(screen.getByRole("heading", { level: 2 })).toHaveTextContent("Start");
+  });
+});
@@ -2,11 +2,26 @@ import "@testing-library/jest-dom";
 import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import App from "../App";
+import { drawCard } from "../Utilities/Deck";
+
+// The deck deals at random, as in the game - a test can deal a question of its choosing with dealQuestion
+jest.mock("../Utilities/Deck", () => {
+  const deck = jest.requireActual("../Utilities/Deck");
+  return { ...deck, drawCard: jest.fn(deck.drawCard) };
+});
+
+// Deal the question at this index next - 1 is "official-name", answered from the drop-down
+const dealQuestion = (index) => drawCard.mockImplementationOnce((deck) => ({ index, deck }));
 
 // Simple tests for the Quiz Game
 // These tests focus on basic user interactions and game functionality
 
 describe("Quiz Game - Simple Tests", () => {
+  // The game is on the play screen
+  beforeEach(() => {
+    window.location.hash = "#/play";
+  });
+
   test("game starts with initial state", () => {
     render(<App />);
 
@@ -63,6 +78,7 @@ describe("Quiz Game - Simple Tests", () => {
 
     // Initially no dropdown should be visible (or it should show placeholder)
     const button = screen.getByRole("button", { name: /choose a random question/i });
+    dealQuestion(1);
     fireEvent.click(button);
 
     // After clicking, there should be a dropdown/select element
@@ -76,6 +92,7 @@ describe("Quiz Game - Simple Tests", () => {
 
     // Get a question first
     const button = screen.getByRole("button", { name: /choose a random question/i });
+    dealQuestion(1);
     fireEvent.click(button);
 
     // Wait a moment for the component to update
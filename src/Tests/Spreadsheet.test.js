@@ -0,0 +1,281 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import {
+  DELIMITERS,
+  detectDelimiter,
+  exportQuestions,
+  exportWarnings,
+  importQuestions,
+  mergeImported,
+  parseDelimited,
+} from "../Utilities/Spreadsheet";
+import { defaultPack } from "../Assets/Packs";
+import { gradeAnswer } from "../Utilities/Grading";
+import { validatePack } from "../Utilities/PackValidator";
+import PackEditor from "../Components/Editor/PackEditor";
+
+jest.mock("../Utilities/SelectReactSetting", () => ({
+  selectCustomStyles: {},
+}));
+
+// Questions with the awkward bits a spreadsheet has to keep intact
+const questions = [
+  {
+    id: "flag-colours",
+    Q: "What colours are on the New Zealand flag?",
+    A: "Blue, red and white",
+    category: "Symbols",
+    difficulty: 2,
+  },
+  {
+    id: "anthem",
+    Q: "What is the English title of the anthem that starts “E Ihowā Atua”?",
+    A: "“God Defend New Zealand”",
+    aliases: ["God Defend NZ", "Aotearoa"],
+    category: "Symbols",
+    difficulty: 3,
+  },
+  { id: "tallest", Q: 'Which mountain is "the cloud piercer"?', A: "Aoraki", aliases: ["Mount Cook"] },
+];
+
+const cells = (text, delimiter) => parseDelimited(text, delimiter).rows.map((row) => row.cells);
+
+describe("Reading CSV and TSV", () => {
+  test("splits rows and cells, keeping quoted commas, quotes and line breaks", () => {
+    const text =
+      'question,answer\r\n"Colours, in order","Blue, red and white"\n"Say ""kia ora""","Line one\nline two"\n';
+    expect(cells(text)).toEqual([
+      ["question", "answer"],
+      ["Colours, in order", "Blue, red and white"],
+      ['Say "kia ora"', "Line one\nline two"],
+    ]);
+  });
+
+  test("rows remember the line they start on", () => {
+    const { rows } = parseDelimited('a,b\n"one\ntwo",x\nlast,y');
+    expect(rows.map((row) => row.line)).toEqual([1, 2, 4]);
+  });
+
+  test("an unclosed quote is reported", () => {
+    const { errors } = parseDelimited('question,answer\n"Never closed,Wellington\n');
+    expect(errors).toEqual([{ row: 2, message: "Row 2: a quoted cell is never closed" }]);
+  });
+
+  test("tabs or a .tsv name mean TSV", () => {
+    expect(detectDelimiter("question\tanswer\nA\tB")).toBe(DELIMITERS.TSV);
+    expect(detectDelimiter("question,answer", "questions.TSV")).toBe(DELIMITERS.TSV);
+    expect(detectDelimiter("question,answer\n")).toBe(DELIMITERS.CSV);
+  });
+});
+
+describe("Importing questions", () => {
+  test("maps columns by name in any order", () => {
+    const text =
+      "Category,Answer,Question,Difficulty,Aliases\nGeography,Wellington,What is the capital?,1,Te Whanganui-a-Tara\n";
+    const { questions: imported, errors } = importQuestions(text);
+    expect(errors).toEqual([]);
+    expect(imported).toEqual([
+      {
+        id: "question-1",
+        Q: "What is the capital?",
+        A: "Wellington",
+        aliases: ["Te Whanganui-a-Tara"],
+        category: "Geography",
+        difficulty: 1,
+      },
+    ]);
+  });
+
+  test("reports bad rows by row number and keeps the good ones", () => {
+    const text = [
+      "question,answer,difficulty",
+      "What is a Tuatara?,Reptile,2",
+      ",Auckland,",
+      "",
+      "Biggest city?,Auckland,9",
+      "What is a Tuatara?,Lizard,",
+    ].join("\n");
+    const { questions: imported, errors } = importQuestions(text);
+    expect(imported.map((question) => question.A)).toEqual(["Reptile"]);
+    expect(errors.map((error) => error.message)).toEqual([
+      "Row 3: needs a question",
+      'Row 5: difficulty "9" must be a whole number from 1 to 5',
+      'Row 6: the same question as row 2: "What is a Tuatara?"',
+    ]);
+  });
+
+  test("needs a header naming the question and answer columns", () => {
+    expect(importQuestions("Wellington,Capital\n").errors[0].message).toMatch(/Row 1: the first row must name/);
+    expect(importQuestions("  \n").errors[0].message).toBe("The spreadsheet is empty");
+  });
+
+  test("new ids do not clash with the pack's questions", () => {
+    const existing = [{ id: "question-2", Q: "Old question?", A: "Old" }];
+    const { questions: imported } = importQuestions("question,answer\nNew one?,Yes\nAnother?,No\n", { existing });
+    expect(imported.map((question) => question.id)).toEqual(["question-3", "question-4"]);
+  });
+});
+
+describe("Updating the pack from a spreadsheet", () => {
+  test("rows with a pack question's id update it and keep what the sheet has no column for", () => {
+    const existing = [
+      { id: "kiwi", Q: "True or false: the kiwi can fly", A: "False", type: "truefalse", tags: ["birds"] },
+      { id: "capital", Q: "Capital?", A: "Wellington", aliases: ["Te Whanganui-a-Tara"] },
+    ];
+    const text =
+      "id,question,answer,aliases\nkiwi,True or false: the kiwi is flightless,True,\nnew,Largest city?,Auckland,\n";
+    const { questions: imported, errors } = importQuestions(text, { existing });
+    expect(errors).toEqual([]);
+    const merged = mergeImported(existing, imported);
+    expect(merged).toMatchObject({ added: 1, updated: 1 });
+    expect(merged.questions).toEqual([
+      { id: "kiwi", Q: "True or false: the kiwi is flightless", A: "True", type: "truefalse", tags: ["birds"] },
+      existing[1],
+      { id: "new", Q: "Largest city?", A: "Auckland" },
+    ]);
+  });
+
+  test("an exported pack comes back in as an update with nothing skipped", () => {
+    const existing = defaultPack.questions;
+    const { questions: imported, errors } = importQuestions(exportQuestions(existing), { existing });
+    expect(errors).toEqual([]);
+    const merged = mergeImported(existing, imported);
+    expect(merged).toMatchObject({ added: 0, updated: existing.length });
+    expect(merged.questions).toEqual(existing);
+  });
+
+  test("repeats are reported by row", () => {
+    const existing = [{ id: "capital", Q: "Capital?", A: "Wellington" }];
+    const text = "id,question,answer\na,Largest city?,Auckland\na,Biggest lake?,Taupō\nb,capital?,Wellington\n";
+    expect(importQuestions(text, { existing }).errors.map((error) => error.message)).toEqual([
+      'Row 3: the same id "a" as row 2',
+      'Row 4: the pack already has this question (question 1): "capital?"',
+    ]);
+  });
+});
+
+describe("Exporting questions", () => {
+  test("questions a spreadsheet cannot hold in full are listed by row", () => {
+    const warnings = exportWarnings([
+      questions[0],
+      { id: "kiwi", Q: "True or false: the kiwi can fly", A: "False", type: "truefalse" },
+      {
+        id: "south",
+        Q: "Which are in the South Island?",
+        A: "Nelson",
+        type: "multi",
+        options: ["Nelson"],
+        answers: ["Nelson"],
+      },
+    ]);
+    expect(warnings.map((warning) => warning.row)).toEqual([3, 4]);
+    expect(warnings[1].message).toMatch(/^Row 4 \("south"\): the spreadsheet has no column for type, options, answers/);
+  });
+
+  test("CSV round-trips commas, curly quotes and aliases", () => {
+    const text = exportQuestions(questions);
+    expect(text).toContain('"Blue, red and white"');
+    expect(text).toContain("“God Defend New Zealand”");
+    expect(text).toContain('"Which mountain is ""the cloud piercer""?"');
+    expect(importQuestions(text)).toEqual({ questions, errors: [] });
+  });
+
+  test("TSV round-trips too", () => {
+    const text = exportQuestions(questions, DELIMITERS.TSV);
+    expect(text.split("\r\n")[0]).toBe("\uFEFF" + "question\tanswer\taliases\tcategory\tdifficulty\tid");
+    expect(text).toContain("\tBlue, red and white\t");
+    expect(importQuestions(text, { fileName: "questions.tsv" })).toEqual({ questions, errors: [] });
+  });
+});
+
+describe("Aliases", () => {
+  test("typed answers can match an alias", () => {
+    const item = { ...questions[2], type: "text" };
+    expect(gradeAnswer(item, "mount cook").correct).toBe(true);
+    expect(gradeAnswer(item, "Aoraki").correct).toBe(true);
+    expect(gradeAnswer(item, "Ruapehu").correct).toBe(false);
+  });
+
+  test("the validator checks the list", () => {
+    const check = (aliases) =>
+      validatePack({
+        schemaVersion: 1,
+        id: "p",
+        title: "P",
+        questions: [{ id: "q", Q: "Q?", A: "A", aliases }],
+      }).errors.map((error) => error.message);
+    expect(check(["B", "B"])).toEqual(['Question 1 ("q"): "aliases" must be a list of different answers']);
+    expect(check(["A"])).toEqual(['Question 1 ("q"): "aliases" repeats the answer']);
+  });
+});
+
+describe("Spreadsheets in the pack editor", () => {
+  const openEditor = () => {
+    const view = render(
+      <PackEditor pack={{ schemaVersion: 1, id: "test-pack", title: "Test Pack", questions }} onUse={jest.fn()} />
+    );
+    const details = view.container.querySelector("details");
+    details.open = true;
+    fireEvent(details, new Event("toggle"));
+    return view;
+  };
+
+  test("imports the good rows and lists the bad ones", async () => {
+    openEditor();
+    const file = new File(["question,answer\nWhat is a Tuatara?,Reptile\nNo answer here?,\n"], "more.csv", {
+      type: "text/csv",
+    });
+    await userEvent.upload(screen.getByLabelText(/import spreadsheet/i), file);
+    await waitFor(() => expect(screen.getByText(/more.csv: added 1 question, 1 row skipped/)).toBeInTheDocument());
+    expect(screen.getByText("Row 3: needs an answer")).toBeInTheDocument();
+    expect(screen.getByText(/What is a Tuatara\?/)).toBeInTheDocument();
+  });
+
+  test("says so when the spreadsheet cannot be read", async () => {
+    const read = jest.spyOn(FileReader.prototype, "readAsText").mockImplementation(function () {
+      this.onerror();
+    });
+    openEditor();
+    const file = new File(["question,answer\n"], "locked.csv", { type: "text/csv" });
+    await userEvent.upload(screen.getByLabelText(/import spreadsheet/i), file);
+    expect(await screen.findByRole("alert")).toHaveTextContent("locked.csv: the file could not be read");
+    read.mockRestore();
+  });
+
+  test("importing a row with a pack question's id updates it", async () => {
+    openEditor();
+    const file = new File(["id,question,answer\ntallest,Which mountain is the highest?,Aoraki\n"], "back.csv", {
+      type: "text/csv",
+    });
+    await userEvent.upload(screen.getByLabelText(/import spreadsheet/i), file);
+    await waitFor(() =>
+      expect(screen.getByText(/back.csv: added 0 questions, updated 1 question/)).toBeInTheDocument()
+    );
+    expect(screen.getByText(/Which mountain is the highest\?/)).toBeInTheDocument();
+  });
+
+  test("warns about questions the export could not hold in full", () => {
+    URL.createObjectURL = jest.fn(() => "blob:csv");
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    render(<PackEditor pack={defaultPack} onUse={jest.fn()} />);
+    const details = document.querySelector("details");
+    details.open = true;
+    fireEvent(details, new Event("toggle"));
+    fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+    expect(screen.getByText(/kiwi-quiz.csv: \d+ questions do not fit the spreadsheet in full/)).toBeInTheDocument();
+    expect(screen.getByText(/\("kiwi-flightless"\): the spreadsheet has no column for type/)).toBeInTheDocument();
+    click.mockRestore();
+  });
+
+  test("exports the questions as CSV", () => {
+    URL.createObjectURL = jest.fn(() => "blob:csv");
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    openEditor();
+    fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe("text/csv");
+    click.mockRestore();
+  });
+});
@@ -0,0 +1,99 @@
+import "@testing-library/jest-dom";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ThemeProvider from "../Components/ThemeProvider";
+import ThemeSwitcher from "../Components/ThemeSwitcher";
+import { THEMES, THEME_KEY, THEME_TOKENS, loadTheme, saveTheme, themeProperties, tokenVar } from "../Utilities/Theme";
+import { selectCustomStyles } from "../Utilities/SelectReactSetting";
+import { createMemoryBackend, createStorage } from "../Utilities/Storage";
+
+// Contrast between two #rrggbb colours, as worked out for WCAG
+const luminance = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16) / 255);
+  const linear = (c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+};
+const contrast = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Pretend the system asks for some looks, e.g. ["(prefers-color-scheme: dark)"]
+const preferring = (queries) => {
+  window.matchMedia = (query) => ({ matches: queries.includes(query) });
+};
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+describe("Design tokens", () => {
+  test("every theme has the same tokens", () => {
+    const names = Object.keys(THEME_TOKENS[THEMES.LIGHT]).sort();
+    Object.values(THEMES).forEach((theme) => expect(Object.keys(THEME_TOKENS[theme]).sort()).toEqual(names));
+  });
+
+  test("text is easy to read in every theme, and easiest in high contrast", () => {
+    Object.values(THEMES).forEach((theme) => {
+      const tokens = THEME_TOKENS[theme];
+      const needed = theme === THEMES.HIGH_CONTRAST ? 7 : 4.5;
+      expect(contrast(tokens.text, tokens.surface)).toBeGreaterThanOrEqual(needed);
+      expect(contrast(tokens.onPrimary, tokens.primary)).toBeGreaterThanOrEqual(needed);
+      expect(contrast(tokens.onPrimary, tokens.success)).toBeGreaterThanOrEqual(needed);
+    });
+  });
+
+  test("tokens are CSS custom properties", () => {
+    expect(tokenVar("onPrimary")).toBe("var(--theme-on-primary)");
+    expect(themeProperties(THEMES.DARK)).toMatchObject({ "--theme-background": THEME_TOKENS.dark.background });
+  });
+
+  test("the dropdown is styled from the tokens", () => {
+    const selected = selectCustomStyles.option({}, { isSelected: true, isFocused: false });
+    expect(selected).toMatchObject({ color: tokenVar("onPrimary"), backgroundColor: tokenVar("primary") });
+    expect(selectCustomStyles.option({}, { isSelected: false, isFocused: true }).backgroundColor).toBe(
+      tokenVar("highlight")
+    );
+    expect(selectCustomStyles.control({}, { isFocused: false }).backgroundColor).toBe(tokenVar("surface"));
+  });
+});
+
+describe("Choosing a theme", () => {
+  test("the choice is saved and loaded again", () => {
+    const store = createStorage(createMemoryBackend());
+    expect(loadTheme(store)).toBe(THEMES.LIGHT);
+    saveTheme(THEMES.HIGH_CONTRAST, store);
+    expect(loadTheme(store)).toBe(THEMES.HIGH_CONTRAST);
+  });
+
+  test("with nothing saved the system's preference is used", () => {
+    const store = createStorage(createMemoryBackend());
+    preferring(["(prefers-color-scheme: dark)"]);
+    expect(loadTheme(store)).toBe(THEMES.DARK);
+    preferring(["(prefers-color-scheme: dark)", "(prefers-contrast: more)"]);
+    expect(loadTheme(store)).toBe(THEMES.HIGH_CONTRAST);
+    store.set(THEME_KEY, "neon");
+    expect(loadTheme(store)).toBe(THEMES.HIGH_CONTRAST);
+  });
+
+  test("the switcher changes the page's theme and remembers it", () => {
+    const store = createStorage(createMemoryBackend());
+    const { unmount } = render(
+      <ThemeProvider store={store}>
+        <ThemeSwitcher />
+      </ThemeProvider>
+    );
+    expect(document.documentElement.dataset.theme).toBe("light");
+
+    fireEvent.change(screen.getByLabelText("Theme"), { target: { value: "dark" } });
+    expect(document.documentElement.dataset.theme).toBe("dark");
+    expect(document.documentElement.style.getPropertyValue("--theme-background")).toBe(THEME_TOKENS.dark.background);
+    unmount();
+
+    render(
+      <ThemeProvider store={store}>
+        <ThemeSwitcher />
+      </ThemeProvider>
+    );
+    expect(screen.getByLabelText("Theme")).toHaveValue("dark");
+  });
+});
@@ -0,0 +1,103 @@
+import "@testing-library/jest-dom";
+import { render, screen, act } from "@testing-library/react";
+import { getTimeLimit, speedBonus, useCountdown } from "../Utilities/Timer";
+import { GAME_ACTIONS, GAME_PHASES, createInitialGameState, gameReducer } from "../Utilities/GameState";
+import CountdownTimer from "../Components/CountdownTimer";
+
+// Small component that shows the countdown so the hook can be tested
+const Countdown = ({ timeLimit, startedAt, running, onExpire }) => {
+  const secondsLeft = useCountdown(timeLimit, startedAt, running, onExpire);
+  return <CountdownTimer secondsLeft={secondsLeft} timeLimit={timeLimit} />;
+};
+
+describe("Time limits", () => {
+  test("no session limit means no timer, even for questions with their own limit", () => {
+    expect(getTimeLimit({ timeLimit: 30 }, { timeLimit: 0 })).toBe(0);
+  });
+
+  test("questions use the session limit unless they have their own", () => {
+    expect(getTimeLimit({}, { timeLimit: 15 })).toBe(15);
+    expect(getTimeLimit({ timeLimit: 30 }, { timeLimit: 15 })).toBe(30);
+    expect(getTimeLimit({ timeLimit: 0 }, { timeLimit: 15 })).toBe(0);
+  });
+
+  test("speed bonus shrinks as the time runs out", () => {
+    expect(speedBonus(2, 20, 20)).toBe(2);
+    expect(speedBonus(2, 10, 20)).toBe(1);
+    expect(speedBonus(2, 0, 20)).toBe(0);
+    expect(speedBonus(0, 20, 20)).toBe(0);
+    expect(speedBonus(2, 20, 0)).toBe(0);
+  });
+});
+
+describe("Countdown", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("counts down and calls onExpire once when the time is up", () => {
+    const onExpire = jest.fn();
+    render(<Countdown timeLimit={10} startedAt={Date.now()} running onExpire={onExpire} />);
+    expect(screen.getByText("Time left: 10s")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(4000);
+    });
+    expect(screen.getByText("Time left: 6s")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(7000);
+    });
+    expect(screen.getByText("Time left: 0s")).toBeInTheDocument();
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+
+  test("does not run when stopped", () => {
+    const onExpire = jest.fn();
+    render(<Countdown timeLimit={5} startedAt={Date.now()} running={false} onExpire={onExpire} />);
+    act(() => {
+      jest.advanceTimersByTime(10000);
+    });
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  test("shows nothing without a time limit", () => {
+    const { container } = render(<Countdown timeLimit={0} startedAt={0} running onExpire={jest.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
+
+describe("Time up in the game", () => {
+  const question = { Q: "Capital of France?", A: "Paris" };
+
+  test("counts as a wrong answer and breaks the streak", () => {
+    let state = createInitialGameState();
+    state = gameReducer(state, { type: GAME_ACTIONS.NEW_QUESTION, question, askedAt: 1000 });
+    expect(state.askedAt).toBe(1000);
+    state = gameReducer(state, { type: GAME_ACTIONS.ANSWER, answer: "Paris", correct: true, points: 1 });
+    state = gameReducer(state, { type: GAME_ACTIONS.NEW_QUESTION, question, askedAt: 2000 });
+    state = gameReducer(state, { type: GAME_ACTIONS.TIME_UP });
+    expect(state.phase).toBe(GAME_PHASES.ANSWERED);
+    expect(state.result).toBe("timeout");
+    expect(state.streak).toBe(0);
+    expect(state.answeredCount).toBe(2);
+  });
+
+  test("no answer is taken after the time is up", () => {
+    let state = gameReducer(createInitialGameState(), { type: GAME_ACTIONS.NEW_QUESTION, question });
+    state = gameReducer(state, { type: GAME_ACTIONS.TIME_UP });
+    state = gameReducer(state, { type: GAME_ACTIONS.ANSWER, answer: "Paris", correct: true, points: 1 });
+    expect(state.result).toBe("timeout");
+    expect(state.score).toBe(0);
+  });
+
+  test("time up after an answer is ignored", () => {
+    let state = gameReducer(createInitialGameState(), { type: GAME_ACTIONS.NEW_QUESTION, question });
+    state = gameReducer(state, { type: GAME_ACTIONS.ANSWER, answer: "Paris", correct: true, points: 1 });
+    expect(gameReducer(state, { type: GAME_ACTIONS.TIME_UP })).toBe(state);
+  });
+});
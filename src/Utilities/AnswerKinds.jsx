@@ -0,0 +1,44 @@
+// What sort of thing an answer is - used to find distractors that look like the answer
+export const ANSWER_KINDS = {
+  YEAR: "year",
+  NUMBER: "number",
+  PLACE: "place",
+  PERSON: "person",
+  OTHER: "other",
+};
+
+// A year on its own, e.g. "1769"
+const YEAR_PATTERN = /^(1[0-9]{3}|20[0-9]{2})$/;
+
+// Anything with a number in it, e.g. "16" or "3,754 metres"
+const NUMBER_PATTERN = /\d/;
+
+// Tags that say what the answer is, e.g. a question tagged "cities" has a city for an answer
+const PERSON_TAGS = ["explorers", "leaders", "monarchy", "people"];
+const PLACE_TAGS = ["cities", "coast", "islands", "lakes", "landmarks", "mountains", "places", "rivers"];
+
+// Answers in this category are places unless they are numbers
+const PLACE_CATEGORY = "geography";
+
+// Work out the kind when the item does not say - years and numbers from the answer text,
+// people and places from the question's tags and category
+export const inferAnswerKind = (text, { category, tags } = {}) => {
+  const answer = String(text).trim();
+  if (YEAR_PATTERN.test(answer)) {
+    return ANSWER_KINDS.YEAR;
+  }
+  if (NUMBER_PATTERN.test(answer)) {
+    return ANSWER_KINDS.NUMBER;
+  }
+  const labels = (tags || []).map((tag) => String(tag).toLowerCase());
+  if (labels.some((tag) => PERSON_TAGS.includes(tag))) {
+    return ANSWER_KINDS.PERSON;
+  }
+  if (labels.some((tag) => PLACE_TAGS.includes(tag)) || String(category || "").toLowerCase() === PLACE_CATEGORY) {
+    return ANSWER_KINDS.PLACE;
+  }
+  return ANSWER_KINDS.OTHER;
+};
+
+// The kind of a quiz item's answer - the item's "kind" field wins over the guess
+export const getAnswerKind = (item) => item.kind || inferAnswerKind(item.A, item);
@@ -0,0 +1,37 @@
+// Every check of an answer goes through here, so "Taupo", "taupō" and "Taupō." are the same answer
+// and "New Zealand’s" matches "New Zealand's"
+
+// Apostrophes are dropped rather than turned into spaces, so "Zealand’s" and "Zealands" match
+const APOSTROPHES = /['‘’‚‛`´ʼ′]/g;
+
+// Thousands separators in numbers - "3,754" is "3754"
+const DIGIT_GROUPS = /(\d),(?=\d{3}\b)/g;
+
+// Fold an answer down to what matters: letters and numbers, in lower case, with macrons
+// (and other accents) taken off, quotes and punctuation ignored and single spaces between words
+export const normaliseAnswer = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(APOSTROPHES, "")
+    .replace(DIGIT_GROUPS, "$1")
+    .replace(/[\p{P}\p{S}\s]+/gu, " ")
+    .trim();
+
+// Do two answers only differ in ways that do not matter?
+export const isSameAnswer = (a, b) => normaliseAnswer(a) === normaliseAnswer(b);
+
+// The answer and any other answers the author accepts, e.g. "Taupō" for "Lake Taupō"
+export const acceptedAnswers = (item) => [item.A, ...(Array.isArray(item.aliases) ? item.aliases : [])];
+
+// Does a response match the answer or one of its aliases?
+export const matchesAnswer = (item, response) => acceptedAnswers(item).some((answer) => isSameAnswer(response, answer));
+
+// Does the response contain the part as whole words? e.g. "Abel Tasman" is in "abel tasman, dutch"
+export const containsAnswer = (response, part) =>
+  (" " + normaliseAnswer(response) + " ").includes(" " + normaliseAnswer(part) + " ");
+
+// The answers in a list with repeats left out - the first spelling of each is kept
+export const uniqueAnswers = (answers) =>
+  answers.filter((answer, index) => answers.findIndex((other) => isSameAnswer(other, answer)) === index);
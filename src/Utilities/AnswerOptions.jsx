@@ -0,0 +1,63 @@
+import { ANSWER_KINDS, getAnswerKind } from "./AnswerKinds";
+import { normaliseAnswer, uniqueAnswers } from "./AnswerMatching";
+import { QUESTION_TYPES, getQuestionType } from "./Grading";
+import { DEFAULT_LANGUAGE } from "./I18n";
+
+// The options in the answer dropdown: every answer in the pack once, sorted the way a reader
+// would expect and grouped by what sort of thing they are
+
+// The order of the groups in the dropdown - anything else goes in OTHER at the end
+export const ANSWER_GROUPS = [
+  ANSWER_KINDS.PLACE,
+  ANSWER_KINDS.YEAR,
+  ANSWER_KINDS.PERSON,
+  ANSWER_KINDS.NUMBER,
+  ANSWER_KINDS.OTHER,
+];
+
+// Compare answers by their words, so quotes and brackets at the start do not put "“God…" first
+// and "Ōtautahi" sorts with the Os. Numbers compare by value, so "16" comes before "1769"
+const collators = new Map();
+export const compareAnswers = (a, b, language = DEFAULT_LANGUAGE) => {
+  if (!collators.has(language)) {
+    collators.set(language, new Intl.Collator(language, { numeric: true, sensitivity: "base" }));
+  }
+  const collator = collators.get(language);
+  return collator.compare(normaliseAnswer(a), normaliseAnswer(b)) || collator.compare(a, b);
+};
+
+// Only answers to choice and typed questions go in the dropdown - "True" or a list of cities
+// from a true/false or multi-select question would stand out as wrong
+const LISTED_TYPES = [QUESTION_TYPES.CHOICE, QUESTION_TYPES.TEXT];
+
+// Every answer once as { value, label, kind } - when two questions share an answer the first
+// question's spelling and kind are kept
+export const answerOptions = (items, language = DEFAULT_LANGUAGE) => {
+  const listed = items.filter((item) => LISTED_TYPES.includes(getQuestionType(item)));
+  const answers = uniqueAnswers(listed.map((item) => item.A));
+  const kinds = new Map();
+  listed.forEach((item) => {
+    if (!kinds.has(item.A)) {
+      kinds.set(item.A, getAnswerKind(item));
+    }
+  });
+  return answers
+    .sort((a, b) => compareAnswers(a, b, language))
+    .map((answer) => ({ value: answer, label: answer, kind: kinds.get(answer) }));
+};
+
+// The options in react-select groups, { kind, options }, leaving out empty groups
+// A list with only one kind is not worth grouping, so it comes back as it is
+export const groupAnswerOptions = (options) => {
+  const kindOf = (option) => (ANSWER_GROUPS.includes(option.kind) ? option.kind : ANSWER_KINDS.OTHER);
+  const groups = ANSWER_GROUPS.map((kind) => ({ kind, options: options.filter((option) => kindOf(option) === kind) }));
+  const filled = groups.filter((group) => group.options.length > 0);
+  return filled.length > 1 ? filled : options;
+};
+
+// Type-ahead search for react-select's filterOption - "taupo" finds "Lake Taupō" and
+// "god defend" finds "“God defend New Zealand”"
+export const searchAnswerOption = (option, input) => {
+  const search = normaliseAnswer(input);
+  return search === "" || normaliseAnswer(option.label).includes(search);
+};
@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from "react";
+import { GAME_PHASES } from "./GameState";
+import { STORAGE_PREFIX } from "./Storage";
+
+// Quiz nights - the host's window drives a second audience window (e.g. on the projector)
+// The windows talk over a BroadcastChannel, or through storage events in browsers without one
+
+export const CHANNEL_NAME = "kiwiQuiz:audience";
+
+// Address of the audience window - the app shows the audience view instead of the game
+export const AUDIENCE_PARAM = "audience";
+
+// What the host has chosen to show the audience
+export const HIDDEN = { question: false, answer: false, scoreboard: false };
+
+// Messages between the windows
+export const MESSAGES = {
+  VIEW: "view", // host -> audience: what to show now
+  HELLO: "hello", // audience -> host: a new audience window wants the current view
+};
+
+// Is this window the audience display?
+export const isAudienceWindow = () => new URLSearchParams(window.location.search).has(AUDIENCE_PARAM);
+
+// The address that opens the audience display for this app
+export const audienceUrl = () => {
+  const url = new URL(window.location.href);
+  url.search = "?" + AUDIENCE_PARAM;
+  url.hash = "";
+  return url.toString();
+};
+
+// Send and receive messages through localStorage - other windows get a storage event for each one
+const createStorageChannel = (name) => {
+  const key = STORAGE_PREFIX + name;
+  const listeners = new Set();
+  const onStorage = (e) => {
+    if (e.key !== key || e.newValue === null) {
+      return;
+    }
+    try {
+      const { message } = JSON.parse(e.newValue);
+      listeners.forEach((listener) => listener(message));
+    } catch {
+      // Not one of our messages
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    // sentAt makes every message a change, so the same message twice still fires the event
+    post: (message) => window.localStorage.setItem(key, JSON.stringify({ message, sentAt: Date.now() })),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+};
+
+// Send and receive messages through a BroadcastChannel
+const createBroadcastChannel = (name) => {
+  const channel = new BroadcastChannel(name);
+  return {
+    post: (message) => channel.postMessage(message),
+    subscribe: (listener) => {
+      const onMessage = (e) => listener(e.data);
+      channel.addEventListener("message", onMessage);
+      return () => channel.removeEventListener("message", onMessage);
+    },
+    close: () => channel.close(),
+  };
+};
+
+// A channel between the windows of the app: { post, subscribe, close }
+// A window does not get its own messages
+export const createAudienceChannel = (name = CHANNEL_NAME) =>
+  typeof BroadcastChannel === "function" ? createBroadcastChannel(name) : createStorageChannel(name);
+
+// What the audience window shows - only what the host has revealed, so the answer
+// never reaches the audience window before the host reveals it
+export const buildAudienceView = (game, reveal) => {
+  const playing = game.phase !== GAME_PHASES.IDLE;
+  const { players, turn } = game;
+  return {
+    phase: game.phase,
+    round: game.round,
+    questionInRound: game.questionInRound,
+    question: playing && reveal.question ? game.question.Q : null,
+    answer: playing && reveal.answer ? game.question.A : null,
+    turn: playing && players.length > 0 ? players[turn].name : null,
+    scores: reveal.scoreboard
+      ? players.length > 0
+        ? players.map(({ name, score }) => ({ name, score }))
+        : [{ name: null, score: game.score }]
+      : null,
+  };
+};
+
+// Host side - keep every audience window showing view while enabled
+// A newly opened audience window asks for the view and gets it straight away
+export const useAudienceHost = (enabled, view) => {
+  const channelRef = useRef(null);
+  const viewRef = useRef(view);
+  const viewText = JSON.stringify(view);
+
+  useEffect(() => {
+    viewRef.current = view;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const channel = createAudienceChannel();
+    channelRef.current = channel;
+    const unsubscribe = channel.subscribe((message) => {
+      if (message && message.type === MESSAGES.HELLO) {
+        channel.post({ type: MESSAGES.VIEW, view: viewRef.current });
+      }
+    });
+    return () => {
+      unsubscribe();
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [enabled]);
+
+  // Send the view whenever it changes
+  useEffect(() => {
+    if (enabled && channelRef.current) {
+      channelRef.current.post({ type: MESSAGES.VIEW, view: JSON.parse(viewText) });
+    }
+  }, [enabled, viewText]);
+};
+
+// Audience side - the latest view from the host (null until the host sends one)
+export const useAudienceView = () => {
+  const [view, setView] = useState(null);
+
+  useEffect(() => {
+    const channel = createAudienceChannel();
+    const unsubscribe = channel.subscribe((message) => {
+      if (message && message.type === MESSAGES.VIEW) {
+        setView(message.view);
+      }
+    });
+    channel.post({ type: MESSAGES.HELLO });
+    return () => {
+      unsubscribe();
+      channel.close();
+    };
+  }, []);
+
+  return view;
+};
@@ -0,0 +1,29 @@
+// Questions without a category are grouped under this name
+export const UNCATEGORISED = "Uncategorised";
+
+// The category of a quiz item
+export const getCategory = (item) => item.category || UNCATEGORISED;
+
+// Every category in the items with how many questions it has, sorted by name
+export const listCategories = (items) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    const category = getCategory(item);
+    counts.set(category, (counts.get(category) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Every tag used by the items, sorted by name
+export const listTags = (items) => [...new Set(items.flatMap((item) => item.tags || []))].sort((a, b) => a.localeCompare(b));
+
+// Keep only the items in the chosen categories
+// No categories chosen means every item is in play
+export const filterByCategories = (items, categories) => {
+  if (!categories || categories.length === 0) {
+    return items;
+  }
+  return items.filter((item) => categories.includes(getCategory(item)));
+};
@@ -0,0 +1,68 @@
+import randomIndex, { createSeededRandom } from "./Random";
+
+// Shuffle the numbers 0..size-1 using the given random generator (Fisher-Yates)
+const shuffledOrder = (size, random) => {
+  const order = Array.from({ length: size }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1, random);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+// Each pass through the deck gets its own generator so a deck can be rebuilt from seed + cycle alone
+const orderForCycle = (size, seed, cycle, previous) => {
+  const order = shuffledOrder(size, createSeededRandom(seed + ":" + cycle));
+  // Never hand out the same question twice in a row across a reshuffle
+  if (order.length > 1 && order[0] === previous) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+// A deck of question indexes - every question is handed out once before the deck is reshuffled
+export const createDeck = (size, seed) => ({
+  seed,
+  size,
+  cycle: 0,
+  position: 0,
+  order: orderForCycle(size, seed, 0, null),
+});
+
+// Start the next pass through the deck once every card has been handed out
+const reshuffleIfEmpty = (deck) => {
+  if (deck.position < deck.order.length) {
+    return deck;
+  }
+  const previous = deck.order[deck.order.length - 1];
+  const cycle = deck.cycle + 1;
+  return { ...deck, cycle, position: 0, order: orderForCycle(deck.size, deck.seed, cycle, previous) };
+};
+
+// Take the next question index off the deck
+// Returns the index and the new deck - the old deck is not changed
+export const drawCard = (deck) => {
+  if (deck.size === 0) {
+    return { index: -1, deck };
+  }
+  const next = reshuffleIfEmpty(deck);
+  return { index: next.order[next.position], deck: { ...next, position: next.position + 1 } };
+};
+
+// Take the card left in this pass that scores lowest - the one nearest the top on a tie
+// score is called with a question index. The cards passed over stay in the deck for later
+export const drawBestCard = (deck, score) => {
+  if (deck.size === 0) {
+    return { index: -1, deck };
+  }
+  const next = reshuffleIfEmpty(deck);
+  let best = next.position;
+  for (let i = next.position + 1; i < next.order.length; i++) {
+    if (score(next.order[i]) < score(next.order[best])) {
+      best = i;
+    }
+  }
+  const order = [...next.order];
+  [order[next.position], order[best]] = [order[best], order[next.position]];
+  return { index: order[next.position], deck: { ...next, order, position: next.position + 1 } };
+};
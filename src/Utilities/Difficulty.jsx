@@ -0,0 +1,59 @@
+import { computeStats, getQuestionId } from "./History";
+
+// Questions are rated from 1 (very easy) to 5 (very hard)
+export const MIN_DIFFICULTY = 1;
+export const MAX_DIFFICULTY = 5;
+// Used for questions the author did not rate
+export const DEFAULT_DIFFICULTY = 3;
+
+export const DIFFICULTY_LABELS = {
+  1: "Very easy",
+  2: "Easy",
+  3: "Medium",
+  4: "Hard",
+  5: "Very hard",
+};
+
+// An author's rating counts as much as this many answers when calibrating
+export const AUTHOR_WEIGHT = 5;
+
+// Right answers in a row needed to move up a level in adaptive mode
+export const STREAK_TO_LEVEL_UP = 2;
+
+export const isDifficulty = (value) => Number.isInteger(value) && value >= MIN_DIFFICULTY && value <= MAX_DIFFICULTY;
+
+const clampDifficulty = (value) => Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, value));
+
+// The rating the author gave the question, or the default
+export const getAuthorDifficulty = (item) => (isDifficulty(item.difficulty) ? item.difficulty : DEFAULT_DIFFICULTY);
+
+// Everyone right is very easy, everyone wrong is very hard
+const difficultyFromAccuracy = (accuracy) => MIN_DIFFICULTY + (MAX_DIFFICULTY - MIN_DIFFICULTY) * (1 - accuracy);
+
+// Blend the author's rating with how often the question is actually answered right
+// stats is the question's entry from computeStats - the more answers, the more they count
+export const calibrateDifficulty = (item, stats) => {
+  const rated = getAuthorDifficulty(item);
+  if (!stats || stats.attempts === 0) {
+    return rated;
+  }
+  const observed = difficultyFromAccuracy(stats.correct / stats.attempts);
+  const blended = (rated * AUTHOR_WEIGHT + observed * stats.attempts) / (AUTHOR_WEIGHT + stats.attempts);
+  return clampDifficulty(Math.round(blended));
+};
+
+// The calibrated difficulty of every item, in the same order, from the pack's play history
+export const rateDifficulties = (items, packId, history) => {
+  const { perQuestion } = computeStats(history.filter((entry) => entry.packId === packId));
+  const statsById = new Map(perQuestion.map((stats) => [stats.questionId, stats]));
+  return items.map((item) => calibrateDifficulty(item, statsById.get(getQuestionId(item))));
+};
+
+// Adaptive mode - every STREAK_TO_LEVEL_UP right answers in a row go up a level, a miss goes down one
+// streak is the streak after the answer
+export const nextDifficultyLevel = (level, correct, streak) => {
+  if (!correct) {
+    return clampDifficulty(level - 1);
+  }
+  return streak > 0 && streak % STREAK_TO_LEVEL_UP === 0 ? clampDifficulty(level + 1) : level;
+};
@@ -0,0 +1,88 @@
+import Random from "./Random";
+import { ANSWER_KINDS, getAnswerKind } from "./AnswerKinds";
+import { isSameAnswer, matchesAnswer } from "./AnswerMatching";
+
+// How many options a multiple-choice question shows
+export const CHOICE_COUNT = 4;
+
+// Shuffle a copy of the list with the given random generator (Fisher-Yates)
+const shuffle = (list, random) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Random(i + 1, random);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Pull the first number out of an answer, keeping what comes before and after it
+// "3,754 metres" -> { before: "", value: 3754, after: " metres", commas: true }
+const splitNumber = (text) => {
+  const match = String(text).match(/^(.*?)(\d[\d,]*(?:\.\d+)?)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  return { before: match[1], value: Number(match[2].replace(/,/g, "")), after: match[3], commas: match[2].includes(",") };
+};
+
+// Put a number back into the answer it came from
+const formatNumber = ({ before, after, commas }, value) =>
+  before + (commas ? value.toLocaleString("en-NZ") : String(value)) + after;
+
+// Make up numbers close to the answer, in the same format
+// Years move by a few years either way, other numbers by up to about a third
+export const nearbyNumbers = (text, kind, random, count) => {
+  const parts = splitNumber(text);
+  if (!parts) {
+    return [];
+  }
+  const results = new Set();
+  for (let tries = 0; results.size < count && tries < count * 20; tries++) {
+    let value;
+    if (kind === ANSWER_KINDS.YEAR) {
+      value = parts.value + (Random(61, random) - 30);
+    } else {
+      const spread = Math.max(2, Math.round(parts.value / 3));
+      value = Math.max(0, parts.value + (Random(spread * 2 + 1, random) - spread));
+    }
+    if (value !== parts.value) {
+      results.add(formatNumber(parts, value));
+    }
+  }
+  return [...results];
+};
+
+// Tags two items have in common
+const sharesTag = (a, b) => (a.tags || []).some((tag) => (b.tags || []).includes(tag));
+
+// Pick the wrong options for a question, best first:
+// the item's own distractors, answers of the same kind that share a tag, answers of the same kind,
+// made up numbers for years and numbers, then answers from the same category and finally any answer
+export const pickDistractors = (item, items, random, count = CHOICE_COUNT - 1) => {
+  const kind = getAnswerKind(item);
+  const others = items.filter((other) => other !== item && !matchesAnswer(item, other.A));
+  const sameKind = others.filter((other) => getAnswerKind(other) === kind);
+  const isNumeric = kind === ANSWER_KINDS.YEAR || kind === ANSWER_KINDS.NUMBER;
+
+  const tiers = [
+    shuffle(item.distractors || [], random),
+    shuffle(sameKind.filter((other) => sharesTag(item, other)), random).map((other) => other.A),
+    shuffle(sameKind, random).map((other) => other.A),
+    isNumeric ? nearbyNumbers(item.A, kind, random, count) : [],
+    shuffle(others.filter((other) => other.category && other.category === item.category), random).map((o) => o.A),
+    shuffle(others, random).map((other) => other.A),
+  ];
+
+  const picked = [];
+  tiers.flat().forEach((option) => {
+    // Another spelling of the answer, or of an option already picked, would give it away
+    if (picked.length < count && !matchesAnswer(item, option) && !picked.some((p) => isSameAnswer(p, option))) {
+      picked.push(option);
+    }
+  });
+  return picked;
+};
+
+// The options for a multiple-choice question - the answer plus distractors, shuffled
+export const buildChoices = (item, items, random, count = CHOICE_COUNT) =>
+  shuffle([item.A, ...pickDistractors(item, items, random, count - 1)], random);
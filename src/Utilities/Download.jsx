@@ -0,0 +1,11 @@
+// Save some text as a file - the browser downloads it under fileName
+export const downloadText = (fileName, text, type = "application/json") => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
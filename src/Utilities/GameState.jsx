@@ -0,0 +1,213 @@
+import { DEFAULT_DIFFICULTY, nextDifficultyLevel } from "./Difficulty";
+import { createPlayers } from "./Players";
+
+// The phases a game moves through
+// idle -> asking -> answered -> asking ... -> roundOver -> asking ... -> sessionOver
+// In a hot-seat game each new question goes to the next player
+// While asking the player can change their selection - confirming it locks the answer
+export const GAME_PHASES = {
+  IDLE: "idle",
+  ASKING: "asking",
+  ANSWERED: "answered",
+  ROUND_OVER: "roundOver",
+  SESSION_OVER: "sessionOver",
+};
+
+// The actions the reducer understands
+export const GAME_ACTIONS = {
+  NEW_QUESTION: "NEW_QUESTION",
+  SELECT: "SELECT",
+  ANSWER: "ANSWER",
+  TIME_UP: "TIME_UP",
+  SET_SETTINGS: "SET_SETTINGS",
+  RESET: "RESET",
+};
+
+// How choice and text questions are answered
+export const ANSWER_MODES = {
+  DROPDOWN: "dropdown", // as the question type says - the dropdown or a text box
+  MULTIPLE_CHOICE: "multipleChoice", // four options, the answer and three distractors
+};
+
+// Default length of a round and of a session
+export const DEFAULT_SETTINGS = {
+  roundLength: 10,
+  roundsPerSession: 3,
+  answerMode: ANSWER_MODES.DROPDOWN,
+  timeLimit: 0, // seconds per question - 0 means no time limit
+  speedScoring: false, // faster correct answers score more points
+  studyMode: false, // pick questions from the spaced-repetition schedule instead of the shuffled deck
+  adaptive: false, // pick harder or easier questions as the player's streak goes up and down
+  players: [], // names for a hot-seat game - empty for a single player
+};
+
+// The placeholder question shown before the first question is picked
+export const START_QUESTION = { Q: "Start", A: "Start" };
+
+// Build a fresh game state for the given settings
+export const createInitialGameState = (settings = DEFAULT_SETTINGS) => ({
+  phase: GAME_PHASES.IDLE,
+  settings: { ...DEFAULT_SETTINGS, ...settings },
+  question: START_QUESTION,
+  selection: null,
+  answer: "",
+  result: null,
+  pointsAwarded: 0,
+  bonusAwarded: 0,
+  askedAt: 0,
+  score: 0,
+  streak: 0,
+  bestStreak: 0,
+  level: DEFAULT_DIFFICULTY, // difficulty of the questions asked in adaptive mode
+  players: createPlayers(settings.players), // each player's own score and streak in a hot-seat game
+  turn: 0, // index of the player answering the current question
+  round: 1,
+  questionInRound: 0,
+  correctInRound: 0,
+  answeredCount: 0,
+  correctCount: 0,
+});
+
+// Is the current question the last one of the round?
+const isLastQuestionInRound = (state) => state.questionInRound >= state.settings.roundLength;
+
+// Is the current round the last one of the session?
+const isLastRound = (state) => state.round >= state.settings.roundsPerSession;
+
+// Move to the next phase once a question is finished (answered or skipped)
+const finishQuestion = (state) => {
+  if (!isLastQuestionInRound(state)) {
+    return state;
+  }
+  return { ...state, phase: isLastRound(state) ? GAME_PHASES.SESSION_OVER : GAME_PHASES.ROUND_OVER };
+};
+
+// Change the player whose turn it is - there is nothing to change in a single-player game
+const updateCurrentPlayer = (state, change) =>
+  state.players.map((player, index) => (index === state.turn ? { ...player, ...change(player) } : player));
+
+// The first question of a session goes to the first player, after that the turn passes round
+const nextTurn = (state) =>
+  state.phase === GAME_PHASES.IDLE || state.players.length === 0 ? 0 : (state.turn + 1) % state.players.length;
+
+// Put a new question in front of the player
+// askedAt is when it was asked (milliseconds) so the time taken to answer can be worked out
+const askQuestion = (state, question, askedAt) => ({
+  ...state,
+  turn: nextTurn(state),
+  phase: GAME_PHASES.ASKING,
+  question,
+  selection: null,
+  answer: "",
+  result: null,
+  pointsAwarded: 0,
+  bonusAwarded: 0,
+  askedAt,
+  questionInRound: state.questionInRound + 1,
+});
+
+const newQuestion = (state, { question, askedAt = 0 }) => {
+  switch (state.phase) {
+    case GAME_PHASES.IDLE:
+      return askQuestion(state, question, askedAt);
+    case GAME_PHASES.ASKING: {
+      // The current question was skipped, which breaks the streak
+      const skipped = finishQuestion({
+        ...state,
+        streak: 0,
+        players: updateCurrentPlayer(state, () => ({ streak: 0 })),
+      });
+      return skipped.phase === GAME_PHASES.ASKING ? askQuestion(skipped, question, askedAt) : skipped;
+    }
+    case GAME_PHASES.ANSWERED:
+      return askQuestion(state, question, askedAt);
+    case GAME_PHASES.ROUND_OVER:
+      return askQuestion(
+        { ...state, round: state.round + 1, questionInRound: 0, correctInRound: 0 },
+        question,
+        askedAt
+      );
+    case GAME_PHASES.SESSION_OVER:
+      return askQuestion(createInitialGameState(state.settings), question, askedAt);
+    default:
+      return state;
+  }
+};
+
+// correct is for the whole answer, points can be partial credit and bonus is the part of points from bonus parts
+const answerQuestion = (state, { answer, correct, points, bonus = 0 }) => {
+  // The answer is locked once it has been confirmed (or the time is up)
+  if (state.phase !== GAME_PHASES.ASKING) {
+    return state;
+  }
+  const streak = correct ? state.streak + 1 : 0;
+  const players = updateCurrentPlayer(state, (player) => {
+    const playerStreak = correct ? player.streak + 1 : 0;
+    return {
+      score: player.score + points,
+      streak: playerStreak,
+      bestStreak: Math.max(player.bestStreak, playerStreak),
+      answeredCount: player.answeredCount + 1,
+      correctCount: player.correctCount + (correct ? 1 : 0),
+    };
+  });
+  return finishQuestion({
+    ...state,
+    phase: GAME_PHASES.ANSWERED,
+    answer,
+    result: correct ? "win" : "lose",
+    pointsAwarded: points,
+    bonusAwarded: bonus,
+    score: state.score + points,
+    streak,
+    bestStreak: Math.max(state.bestStreak, streak),
+    level: nextDifficultyLevel(state.level, correct, streak),
+    answeredCount: state.answeredCount + 1,
+    correctCount: state.correctCount + (correct ? 1 : 0),
+    correctInRound: state.correctInRound + (correct ? 1 : 0),
+    players,
+  });
+};
+
+// The player picked or typed an answer but has not confirmed it yet
+const selectAnswer = (state, selection) => (state.phase === GAME_PHASES.ASKING ? { ...state, selection } : state);
+
+// The countdown ran out before the player answered - counts as a wrong answer
+const timeUp = (state) => {
+  if (state.phase !== GAME_PHASES.ASKING) {
+    return state;
+  }
+  return finishQuestion({
+    ...state,
+    phase: GAME_PHASES.ANSWERED,
+    result: "timeout",
+    streak: 0,
+    level: nextDifficultyLevel(state.level, false, 0),
+    players: updateCurrentPlayer(state, (player) => ({ streak: 0, answeredCount: player.answeredCount + 1 })),
+    answeredCount: state.answeredCount + 1,
+  });
+};
+
+// Pure reducer for the game - use it with useReducer
+export const gameReducer = (state, action) => {
+  switch (action.type) {
+    case GAME_ACTIONS.NEW_QUESTION:
+      return newQuestion(state, action);
+    case GAME_ACTIONS.SELECT:
+      return selectAnswer(state, action.selection);
+    case GAME_ACTIONS.ANSWER:
+      return answerQuestion(state, action);
+    case GAME_ACTIONS.TIME_UP:
+      return timeUp(state);
+    case GAME_ACTIONS.SET_SETTINGS:
+      // Settings can only change when no session is running
+      if (state.phase !== GAME_PHASES.IDLE && state.phase !== GAME_PHASES.SESSION_OVER) {
+        return state;
+      }
+      return createInitialGameState({ ...state.settings, ...action.settings });
+    case GAME_ACTIONS.RESET:
+      return createInitialGameState(state.settings);
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,79 @@
+import { containsAnswer, isSameAnswer, matchesAnswer } from "./AnswerMatching";
+
+// The kinds of question a quiz item can be - set with the item's "type" field
+export const QUESTION_TYPES = {
+  CHOICE: "choice", // pick the answer from the dropdown of every answer in the pack
+  TEXT: "text", // type the answer in
+  TRUE_FALSE: "truefalse", // A is "True" or "False"
+  MULTI: "multi", // tick every correct option - the item has "options" and "answers"
+};
+
+// Items without a type are answered from the dropdown
+export const getQuestionType = (item) => item.type || QUESTION_TYPES.CHOICE;
+
+// The answer a player gave, as text for the result message
+export const formatResponse = (response) => (Array.isArray(response) ? response.join(", ") : String(response));
+
+// The parts of an answer that each earn points
+// Items without "parts" have one part worth a point (or one per correct option for multi-select)
+export const getAnswerParts = (item) => {
+  if (Array.isArray(item.parts) && item.parts.length > 0) {
+    return item.parts.map((part) => ({ points: 1, bonus: false, ...part }));
+  }
+  if (getQuestionType(item) === QUESTION_TYPES.MULTI) {
+    return item.answers.map((text) => ({ text, points: 1, bonus: false }));
+  }
+  return [{ text: item.A, points: 1, bonus: false }];
+};
+
+const sumPoints = (parts) => parts.reduce((total, part) => total + part.points, 0);
+
+// Points for a full answer, not counting bonus points
+export const maxPoints = (item) => sumPoints(getAnswerParts(item).filter((part) => !part.bonus));
+
+// Extra points on offer for bonus parts
+export const bonusPoints = (item) => sumPoints(getAnswerParts(item).filter((part) => part.bonus));
+
+// Each type of question checks the player's response its own way - all through AnswerMatching
+// A grader gets the answer parts and returns the ones the response got right
+// and how many wrong picks it made
+const graders = {
+  [QUESTION_TYPES.CHOICE]: (item, response, parts) => ({ matched: matchesAnswer(item, response) ? parts : [] }),
+  [QUESTION_TYPES.TEXT]: (item, response, parts) => {
+    // Items with parts score each part found in the answer, others need the whole answer
+    if (Array.isArray(item.parts) && item.parts.length > 0) {
+      return { matched: parts.filter((part) => containsAnswer(response, part.text)) };
+    }
+    return { matched: matchesAnswer(item, response) ? parts : [] };
+  },
+  [QUESTION_TYPES.TRUE_FALSE]: (item, response, parts) => ({
+    matched: isSameAnswer(response, item.A) ? parts : [],
+  }),
+  [QUESTION_TYPES.MULTI]: (item, response, parts) => {
+    const picked = [...new Set(response)];
+    return {
+      matched: parts.filter((part) => picked.some((option) => isSameAnswer(option, part.text))),
+      // Ticking a wrong option costs a point so ticking everything does not pay
+      wrong: picked.filter((option) => !item.answers.some((answer) => isSameAnswer(option, answer))).length,
+    };
+  },
+};
+
+// Grade a response to a quiz item
+// Returns { correct, points, maxPoints, bonus } - correct means every part that is not a bonus was right
+// fromChoices is for a pick from the multiple-choice options - it is right or wrong as a whole,
+// as the wrong options can contain parts of the answer
+export const gradeAnswer = (item, response, { fromChoices = false } = {}) => {
+  const type =
+    fromChoices && getQuestionType(item) === QUESTION_TYPES.TEXT ? QUESTION_TYPES.CHOICE : getQuestionType(item);
+  const grader = graders[type] || graders[QUESTION_TYPES.CHOICE];
+  const parts = getAnswerParts(item);
+  const { matched, wrong = 0 } = grader(item, response, parts);
+  const correct = wrong === 0 && parts.filter((part) => !part.bonus).every((part) => matched.includes(part));
+  return {
+    correct,
+    points: Math.max(0, sumPoints(matched) - wrong),
+    maxPoints: maxPoints(item),
+    bonus: sumPoints(matched.filter((part) => part.bonus)),
+  };
+};
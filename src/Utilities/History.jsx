@@ -0,0 +1,83 @@
+import { storage } from "./Storage";
+
+// Where the play history is saved
+export const HISTORY_KEY = "history";
+
+// Oldest answers are dropped after this many so storage does not fill up
+export const MAX_HISTORY = 2000;
+
+// How the history refers to a question - its id, or the question text for items without one
+export const getQuestionId = (item) => item.id || item.Q;
+
+// Everything the player has answered, oldest first
+export const loadHistory = (store = storage) => {
+  const history = store.get(HISTORY_KEY, []);
+  return Array.isArray(history) ? history : [];
+};
+
+// Make a history entry for an answered (or timed out) question
+// timeTaken is in milliseconds, timestamp is when it was answered
+export const createEntry = ({ packId, item, answer, correct, timeTaken, timestamp }) => ({
+  packId,
+  questionId: getQuestionId(item),
+  question: item.Q,
+  answer,
+  correct,
+  timeTaken,
+  timestamp,
+});
+
+// Add an entry to the saved history - returns the new history
+export const recordAnswer = (entry, store = storage) => {
+  const history = [...loadHistory(store), entry].slice(-MAX_HISTORY);
+  store.set(HISTORY_KEY, history);
+  return history;
+};
+
+export const clearHistory = (store = storage) => {
+  store.remove(HISTORY_KEY);
+  return [];
+};
+
+// Right answers as a share of all answers, from 0 to 1 (null with no answers)
+const accuracyOf = (correct, attempts) => (attempts === 0 ? null : correct / attempts);
+
+// Totals for the whole history and for each question
+// mostMissed lists the questions answered wrongly most often, worst first
+export const computeStats = (history, mostMissedCount = 5) => {
+  const byQuestion = new Map();
+  history.forEach((entry) => {
+    const key = entry.packId + "/" + entry.questionId;
+    const stats = byQuestion.get(key) || {
+      packId: entry.packId,
+      questionId: entry.questionId,
+      question: entry.question,
+      attempts: 0,
+      correct: 0,
+      totalTime: 0,
+    };
+    stats.attempts += 1;
+    stats.correct += entry.correct ? 1 : 0;
+    stats.totalTime += entry.timeTaken || 0;
+    byQuestion.set(key, stats);
+  });
+
+  const perQuestion = [...byQuestion.values()].map(({ totalTime, ...stats }) => ({
+    ...stats,
+    missed: stats.attempts - stats.correct,
+    accuracy: accuracyOf(stats.correct, stats.attempts),
+    averageTime: totalTime / stats.attempts,
+  }));
+
+  const correct = history.filter((entry) => entry.correct).length;
+  return {
+    total: history.length,
+    correct,
+    accuracy: accuracyOf(correct, history.length),
+    perQuestion,
+    mostMissed: perQuestion
+      .filter((stats) => stats.missed > 0)
+      .sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy)
+      .slice(0, mostMissedCount),
+  };
+};
@@ -0,0 +1,83 @@
+import { createContext, useContext } from "react";
+import { locales } from "../Assets/Locales";
+import { storage } from "./Storage";
+import { isSameAnswer, uniqueAnswers } from "./AnswerMatching";
+
+// The languages the game speaks - codes as used in <html lang> and in a question's translations
+export const LANGUAGES = {
+  ENGLISH: "en",
+  MAORI: "mi",
+};
+
+// Every string has an English version, so English is what is shown when a translation is missing
+export const DEFAULT_LANGUAGE = LANGUAGES.ENGLISH;
+
+// Where the chosen language is saved
+export const LANGUAGE_KEY = "language";
+
+export const isLanguage = (language) => Object.values(LANGUAGES).includes(language);
+
+// The saved language, or the browser's when nothing has been chosen yet
+export const loadLanguage = (store = storage) => {
+  const saved = store.get(LANGUAGE_KEY);
+  if (isLanguage(saved)) {
+    return saved;
+  }
+  const browser = typeof navigator !== "undefined" && navigator.language ? navigator.language.slice(0, 2) : "";
+  return isLanguage(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language, store = storage) => {
+  store.set(LANGUAGE_KEY, language);
+  return language;
+};
+
+// Put values into a string's {placeholders}
+const fill = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+
+// The text for a key in a language, falling back to English, then to the key itself
+// Strings that change with a number are { one, other } - params.count picks between them
+export const translate = (language, key, params = {}) => {
+  const text = [language, DEFAULT_LANGUAGE].map((code) => (locales[code] || {})[key]).find((t) => t !== undefined);
+  if (text === undefined) {
+    return key;
+  }
+  if (typeof text === "object") {
+    return fill(params.count === 1 ? text.one : text.other, params);
+  }
+  return fill(text, params);
+};
+
+// The fields a question can have in another language
+const TRANSLATED_FIELDS = ["Q", "A", "aliases", "distractors", "explanation"];
+
+// A question in the chosen language - fields without a translation stay in English
+// Once the answer is translated the English answer still counts, so a typed "Wellington" is right
+export const localiseItem = (item, language) => {
+  const translation = item.translations && item.translations[language];
+  if (language === DEFAULT_LANGUAGE || !translation) {
+    return item;
+  }
+  const localised = { ...item };
+  TRANSLATED_FIELDS.filter((field) => field in translation).forEach((field) => {
+    localised[field] = translation[field];
+  });
+  if (!isSameAnswer(localised.A, item.A)) {
+    const accepted = [...(localised.aliases || []), item.A, ...(item.aliases || [])];
+    localised.aliases = uniqueAnswers(accepted).filter((alias) => !isSameAnswer(alias, localised.A));
+  }
+  return localised;
+};
+
+export const localiseItems = (items, language) => items.map((item) => localiseItem(item, language));
+
+// The chosen language and how to change it - see LanguageProvider
+// Without a provider everything is in English
+export const LanguageContext = createContext({ language: DEFAULT_LANGUAGE, setLanguage: () => {} });
+
+// Text in the chosen language for a component - t("game.confirm"), t("points.count", { count: 2 })
+export const useTranslation = () => {
+  const { language, setLanguage } = useContext(LanguageContext);
+  return { language, setLanguage, t: (key, params) => translate(language, key, params) };
+};
@@ -0,0 +1,91 @@
+import { useEffect, useRef } from "react";
+import { QUESTION_TYPES, getQuestionType } from "./Grading";
+
+// Playing without a mouse: N asks a new question (or the next one), 1 to 4 pick an option
+// and Enter confirms the answer, or moves on once it is marked
+export const KEYBOARD_ACTIONS = {
+  NEW_QUESTION: "newQuestion",
+  CHOOSE: "choose",
+  CONFIRM: "confirm",
+};
+
+// How many options the number keys reach
+export const MAX_OPTION_KEYS = 4;
+
+// The number key for the option at an index, for aria-keyshortcuts - options past 4 have none
+export const optionKey = (index) => (index < MAX_OPTION_KEYS ? String(index + 1) : undefined);
+
+// Keys typed into a box belong to the box, not the game
+const isTypingTarget = (target) =>
+  Boolean(target) && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName || ""));
+
+// Enter on a button or link already clicks it, so the game leaves it alone there
+const isClickTarget = (target) => Boolean(target) && ["BUTTON", "A", "SUMMARY"].includes(target.tagName || "");
+
+// The shortcut for a keydown event as { action, number } - null when the key is not a shortcut
+// or belongs to something else on the page
+export const shortcutFor = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+    return null;
+  }
+  if (event.key === "n" || event.key === "N") {
+    return { action: KEYBOARD_ACTIONS.NEW_QUESTION };
+  }
+  if (event.key === "Enter" && !isClickTarget(event.target)) {
+    return { action: KEYBOARD_ACTIONS.CONFIRM };
+  }
+  const number = Number(event.key);
+  if (Number.isInteger(number) && number >= 1 && number <= MAX_OPTION_KEYS) {
+    return { action: KEYBOARD_ACTIONS.CHOOSE, number };
+  }
+  return null;
+};
+
+// The options the number keys pick from - the multiple-choice buttons, True and False, or the
+// tick boxes. Dropdowns and typed answers have none: they are used with the keyboard directly
+export const keyboardOptions = (item, choices) => {
+  const type = getQuestionType(item);
+  if (choices && (type === QUESTION_TYPES.CHOICE || type === QUESTION_TYPES.TEXT)) {
+    return choices.slice(0, MAX_OPTION_KEYS);
+  }
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    return ["True", "False"];
+  }
+  if (type === QUESTION_TYPES.MULTI && Array.isArray(item.options)) {
+    return item.options.slice(0, MAX_OPTION_KEYS);
+  }
+  return [];
+};
+
+// What picking an option makes the selection - a tick box is ticked or unticked (keeping the
+// options in the order they are shown), anything else is replaced
+export const chooseOption = (item, selection, option) => {
+  if (getQuestionType(item) !== QUESTION_TYPES.MULTI) {
+    return option;
+  }
+  const ticked = Array.isArray(selection) ? selection : [];
+  const next = ticked.includes(option) ? ticked.filter((tick) => tick !== option) : [...ticked, option];
+  return item.options.filter((o) => next.includes(o));
+};
+
+// Call onShortcut({ action, number }) for each shortcut pressed anywhere on the page
+export const useKeyboardShortcuts = (onShortcut) => {
+  //always call the latest onShortcut without adding the listener again
+  const onShortcutRef = useRef(onShortcut);
+
+  useEffect(() => {
+    onShortcutRef.current = onShortcut;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const shortcut = shortcutFor(event);
+      if (shortcut) {
+        event.preventDefault();
+        onShortcutRef.current(shortcut);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+};
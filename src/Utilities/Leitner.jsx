@@ -0,0 +1,116 @@
+import { storage } from "./Storage";
+import { getQuestionId, loadHistory } from "./History";
+
+// Where the study schedule is saved
+export const SCHEDULE_KEY = "leitner";
+
+// Days until a question in each box comes up again - box 1 is reviewed the same day
+// A right answer moves the question up a box, a wrong one sends it back to box 1
+export const BOX_INTERVALS = [0, 1, 3, 7, 14];
+export const BOX_COUNT = BOX_INTERVALS.length;
+
+// Midnight at the start of the day the timestamp falls on (local time)
+export const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Midnight a whole number of days later - done with dates so daylight saving does not shift it
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+// Where the schedule keeps a question - the same key as the stats use
+export const getCardKey = (packId, item) => packId + "/" + getQuestionId(item);
+
+// Move a card after an answer - card is undefined for a question that has not been studied yet,
+// which starts in box 1. due is the start of the day the question should come back
+export const reviewCard = (card, correct, timestamp) => {
+  const box = correct ? Math.min(BOX_COUNT, (card ? card.box : 1) + 1) : 1;
+  return { box, due: addDays(startOfDay(timestamp), BOX_INTERVALS[box - 1]), lastReviewed: timestamp };
+};
+
+// Put a history entry into the schedule - returns a new schedule
+export const scheduleAnswer = (schedule, entry) => {
+  const key = entry.packId + "/" + entry.questionId;
+  return { ...schedule, [key]: reviewCard(schedule[key], entry.correct, entry.timestamp) };
+};
+
+// Replay the answer history, oldest first, to sort every question into its box
+export const buildSchedule = (history) => history.reduce(scheduleAnswer, {});
+
+// The schedule as saved, or null when there is none yet
+const loadSavedSchedule = (store) => {
+  const schedule = store.get(SCHEDULE_KEY, null);
+  return schedule && typeof schedule === "object" && !Array.isArray(schedule) ? schedule : null;
+};
+
+// The saved schedule - the first time it is built from the play history
+export const loadSchedule = (store = storage) => loadSavedSchedule(store) || buildSchedule(loadHistory(store));
+
+// Is this history entry the answer being reviewed?
+const isSameEntry = (a, b) => a.packId === b.packId && a.questionId === b.questionId && a.timestamp === b.timestamp;
+
+// Add an answer to the saved schedule - returns the new schedule
+// The answer may already be in the history the first schedule is built from, so it is left out there
+export const recordReview = (entry, store = storage) => {
+  const current =
+    loadSavedSchedule(store) || buildSchedule(loadHistory(store).filter((answer) => !isSameEntry(answer, entry)));
+  const schedule = scheduleAnswer(current, entry);
+  store.set(SCHEDULE_KEY, schedule);
+  return schedule;
+};
+
+export const clearSchedule = (store = storage) => {
+  store.remove(SCHEDULE_KEY);
+  return {};
+};
+
+// Questions never studied are new, the others are due once their day comes
+const isDue = (card, now) => card.due <= now;
+
+// How many of the questions are due today and how many have not been studied yet
+export const countDue = (items, packId, schedule, now) => {
+  let due = 0;
+  let fresh = 0;
+  items.forEach((item) => {
+    const card = schedule[getCardKey(packId, item)];
+    if (!card) {
+      fresh += 1;
+    } else if (isDue(card, now)) {
+      due += 1;
+    }
+  });
+  return { due, new: fresh };
+};
+
+// Pick the next question to study - returns an index into items (-1 when there are none)
+// Due questions come first, lowest box (most often missed) first and the longest waiting first,
+// then a random new question, then - when everything is done for today - the next one to come due
+// The current question is skipped when there is anything else so a missed question does not come straight back
+export const pickStudyQuestion = (items, packId, schedule, now, random = Math.random, currentId = null) => {
+  const candidates = items
+    .map((item, index) => ({ index, id: getQuestionId(item), card: schedule[getCardKey(packId, item)] }))
+    .filter((candidate) => items.length === 1 || candidate.id !== currentId);
+  if (candidates.length === 0) {
+    return -1;
+  }
+
+  const due = candidates
+    .filter((candidate) => candidate.card && isDue(candidate.card, now))
+    .sort((a, b) => a.card.box - b.card.box || a.card.lastReviewed - b.card.lastReviewed);
+  if (due.length > 0) {
+    return due[0].index;
+  }
+
+  const fresh = candidates.filter((candidate) => !candidate.card);
+  if (fresh.length > 0) {
+    return fresh[Math.floor(random() * fresh.length)].index;
+  }
+
+  const next = [...candidates].sort((a, b) => a.card.due - b.card.due || a.card.box - b.card.box);
+  return next[0].index;
+};
@@ -0,0 +1,165 @@
+import { QUESTION_TYPES } from "./Grading";
+
+// Changes the pack editor makes to a list of questions - each returns a new list
+
+// An id no other question uses, e.g. "question-32"
+export const newQuestionId = (questions) => {
+  const ids = new Set(questions.map((question) => question.id));
+  let number = questions.length + 1;
+  while (ids.has(`question-${number}`)) {
+    number += 1;
+  }
+  return `question-${number}`;
+};
+
+// A new question goes on the end - it starts blank so validation points out what to fill in
+export const addQuestion = (questions) => [...questions, { id: newQuestionId(questions), Q: "", A: "" }];
+
+export const updateQuestion = (questions, index, question) =>
+  questions.map((current, i) => (i === index ? question : current));
+
+export const deleteQuestion = (questions, index) => questions.filter((_, i) => i !== index);
+
+// Move a question up (offset -1) or down (offset 1) - moves past either end are ignored
+export const moveQuestion = (questions, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= questions.length) {
+    return questions;
+  }
+  const moved = [...questions];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+// Questions whose id, question, answer, category or tags contain the search text (any case)
+// Returns { question, index } so the editor can still find each one in the full list
+export const searchQuestions = (questions, text) => {
+  const search = text.trim().toLowerCase();
+  return questions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question }) => {
+      if (!search) {
+        return true;
+      }
+      const fields = [question.id, question.Q, question.A, question.category, ...(question.tags || [])];
+      return fields.some((field) => typeof field === "string" && field.toLowerCase().includes(search));
+    });
+};
+
+// Validation errors for one question - their paths start questions[index]
+export const errorsForQuestion = (errors, index) =>
+  errors.filter((error) => error.path === `questions[${index}]` || error.path.startsWith(`questions[${index}].`));
+
+// Errors about the pack itself rather than one question
+export const packErrors = (errors) => errors.filter((error) => !error.path.startsWith("questions["));
+
+// Lists are edited one item per line
+const toLines = (list) => (Array.isArray(list) ? list.join("\n") : "");
+const fromLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// Tags are edited as a comma-separated list
+const fromCommas = (text) =>
+  text
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+// Sources are edited one per line as "title | url", the url being optional
+const SOURCE_SEPARATOR = " | ";
+const toSourceLines = (sources) =>
+  Array.isArray(sources)
+    ? sources.map((source) => (source.url ? source.title + SOURCE_SEPARATOR + source.url : source.title)).join("\n")
+    : "";
+const fromSourceLines = (text) =>
+  fromLines(text).map((line) => {
+    const split = line.lastIndexOf("|");
+    const url = split === -1 ? "" : line.slice(split + 1).trim();
+    return url ? { title: line.slice(0, split).trim(), url } : { title: line };
+  });
+
+// The fields the form edits
+const FORM_FIELDS = [
+  "id",
+  "Q",
+  "A",
+  "aliases",
+  "type",
+  "options",
+  "answers",
+  "category",
+  "tags",
+  "difficulty",
+  "timeLimit",
+  "kind",
+  "distractors",
+  "explanation",
+  "sources",
+];
+
+// The text in each form field for a question - the form keeps the text as typed
+export const questionToForm = (question) => ({
+  id: question.id || "",
+  Q: question.Q || "",
+  A: question.A || "",
+  aliases: toLines(question.aliases),
+  type: question.type || QUESTION_TYPES.CHOICE,
+  options: toLines(question.options),
+  answers: toLines(question.answers),
+  category: question.category || "",
+  tags: Array.isArray(question.tags) ? question.tags.join(", ") : "",
+  difficulty: question.difficulty === undefined ? "" : String(question.difficulty),
+  timeLimit: question.timeLimit === undefined ? "" : String(question.timeLimit),
+  kind: question.kind || "",
+  distractors: toLines(question.distractors),
+  explanation: question.explanation || "",
+  sources: toSourceLines(question.sources),
+});
+
+// Turn the form back into a question. Blank optional fields are left out and anything the
+// form does not edit (such as answer parts) is kept from the original question
+export const formToQuestion = (form, original = {}) => {
+  const kept = Object.entries(original).filter(([field]) => !FORM_FIELDS.includes(field));
+  const question = { id: form.id, Q: form.Q, A: form.A, ...Object.fromEntries(kept) };
+  if (fromLines(form.aliases).length > 0) {
+    question.aliases = fromLines(form.aliases);
+  }
+  if (form.type !== QUESTION_TYPES.CHOICE) {
+    question.type = form.type;
+  }
+  if (form.type === QUESTION_TYPES.MULTI) {
+    question.options = fromLines(form.options);
+    question.answers = fromLines(form.answers);
+  }
+  if (form.kind) {
+    question.kind = form.kind;
+  }
+  if (fromLines(form.distractors).length > 0) {
+    question.distractors = fromLines(form.distractors);
+  }
+  if (form.timeLimit.trim() !== "") {
+    question.timeLimit = Number(form.timeLimit);
+  }
+  if (form.category.trim()) {
+    question.category = form.category.trim();
+  }
+  if (form.difficulty !== "") {
+    question.difficulty = Number(form.difficulty);
+  }
+  if (fromCommas(form.tags).length > 0) {
+    question.tags = fromCommas(form.tags);
+  }
+  if (form.explanation.trim()) {
+    question.explanation = form.explanation.trim();
+  }
+  if (fromSourceLines(form.sources).length > 0) {
+    question.sources = fromSourceLines(form.sources);
+  }
+  return question;
+};
+
+// The pack as the text of a pack file
+export const packToText = (pack) => JSON.stringify(pack, null, 2) + "\n";
@@ -0,0 +1,173 @@
+import { containsAnswer, isSameAnswer, normaliseAnswer } from "./AnswerMatching";
+import { validatePack } from "./PackValidator";
+
+// Checks the content of a quiz pack for problems the schema cannot see: repeated answers,
+// scoring hints left in the text, missing question marks and facts that have gone out of date.
+// The rules expect a pack with a list of questions - checkPack runs the validator first
+
+export const LINT_SEVERITIES = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+// Describe a question in a message, e.g. 'Question 3 ("capital")' - the same as the validator
+const describeQuestion = (question, index) =>
+  question.id ? `Question ${index + 1} ("${question.id}")` : `Question ${index + 1}`;
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// Points written into the text, e.g. "(1 point each)", "(bonus point)" or "for 2 points"
+const SCORING_HINT = /\([^()]*\bpoints?\b[^()]*\)|\b(?:for\s+)?(?:\d+|bonus)\s+points?(?:\s+each)?\b/i;
+
+// Facts that change with time, the words that give them away and what is true now
+const STALE_FACTS = [
+  { pattern: /God Save the Queen/i, fix: 'The royal anthem has been "God Save the King" since 2022' },
+  { pattern: /Queen Elizabeth/i, fix: "The monarch has been King Charles III since 2022" },
+  { pattern: /\b3,?754\s*m/i, fix: "Aoraki Mount Cook was measured at 3,724 metres in 2013" },
+];
+
+// Each rule looks at the whole pack and returns what it finds as { index, field, message, fix }
+export const LINT_RULES = [
+  {
+    id: "duplicate-answer",
+    severity: LINT_SEVERITIES.WARNING,
+    description: "Two questions have the same answer, so one can give the other away",
+    check: (questions) => {
+      const firsts = new Map();
+      return questions.flatMap((question, index) => {
+        if (!isText(question.A)) {
+          return [];
+        }
+        const key = normaliseAnswer(question.A);
+        if (!firsts.has(key)) {
+          firsts.set(key, index);
+          return [];
+        }
+        const first = firsts.get(key);
+        return [
+          {
+            index,
+            field: "A",
+            message: `"${question.A}" is also the answer to ${describeQuestion(questions[first], first)}`,
+            fix: "Ask something with a different answer, or make it a typed (text) question",
+          },
+        ];
+      });
+    },
+  },
+  {
+    id: "scoring-hint",
+    severity: LINT_SEVERITIES.ERROR,
+    description: "Points are written into the question or answer instead of being scored",
+    check: (questions) =>
+      questions.flatMap((question, index) =>
+        ["Q", "A"]
+          .filter((field) => isText(question[field]) && SCORING_HINT.test(question[field]))
+          .map((field) => {
+            const hint = question[field].match(SCORING_HINT)[0].trim();
+            return {
+              index,
+              field,
+              message: `"${field}" has a scoring hint: "${hint}"`,
+              fix: `Take "${hint}" out and list the answer "parts" with their points`,
+            };
+          })
+      ),
+  },
+  {
+    id: "question-mark",
+    severity: LINT_SEVERITIES.WARNING,
+    description: "Questions end with a question mark",
+    // True or false questions are statements, so they are left alone
+    check: (questions) =>
+      questions
+        .map((question, index) => ({ question, index }))
+        .filter(({ question }) => isText(question.Q) && question.type !== "truefalse")
+        .filter(({ question }) => !question.Q.trim().endsWith("?"))
+        .map(({ question, index }) => ({
+          index,
+          field: "Q",
+          message: 'the question does not end with "?"',
+          fix: `"${question.Q.trim().replace(/[.!:;,]+$/, "")}?"`,
+        })),
+  },
+  {
+    id: "stale-fact",
+    severity: LINT_SEVERITIES.WARNING,
+    description: "The question or answer states a fact that has changed",
+    check: (questions) =>
+      questions.flatMap((question, index) =>
+        ["Q", "A", "aliases", "distractors"].flatMap((field) => {
+          const texts = [].concat(question[field] || []).filter(isText);
+          return STALE_FACTS.flatMap(({ pattern, fix }) => {
+            const stale = texts.find((text) => pattern.test(text));
+            return stale
+              ? [{ index, field, message: `"${field}" may be out of date: "${stale.match(pattern)[0]}"`, fix }]
+              : [];
+          });
+        })
+      ),
+  },
+  {
+    id: "answer-in-question",
+    severity: LINT_SEVERITIES.ERROR,
+    description: "The question gives away its own answer",
+    check: (questions) =>
+      questions
+        .map((question, index) => ({ question, index }))
+        .filter(({ question }) => isText(question.Q) && isText(question.A) && question.type !== "truefalse")
+        .filter(({ question }) => containsAnswer(question.Q, question.A) && !isSameAnswer(question.Q, question.A))
+        .map(({ question, index }) => ({
+          index,
+          field: "Q",
+          message: `the question contains its answer "${question.A}"`,
+          fix: "Reword the question so the answer is not in it",
+        })),
+  },
+];
+
+// Run the rules over a pack - returns every finding, in question order, as
+// { rule, severity, path, index, message, fix } with paths like the validator's, e.g. questions[3].A
+export const lintPack = (pack, rules = LINT_RULES) => {
+  const questions = Array.isArray(pack && pack.questions) ? pack.questions : [];
+  return rules
+    .flatMap((rule) =>
+      rule.check(questions).map(({ index, field, message, fix }) => ({
+        rule: rule.id,
+        severity: rule.severity,
+        path: `questions[${index}].${field}`,
+        index,
+        message: `${describeQuestion(questions[index], index)}: ${message}`,
+        fix,
+      }))
+    )
+    .sort((a, b) => a.index - b.index);
+};
+
+// Can the rules read every question? They skip a pack whose questions are not even objects
+const hasQuestionList = (pack) =>
+  Boolean(pack) &&
+  Array.isArray(pack.questions) &&
+  pack.questions.every((question) => question && typeof question === "object" && !Array.isArray(question));
+
+// Everything wrong with a pack - the validator's errors, then what the rules find
+// Validator errors are findings of the "schema" rule, so the lint fails on a pack the game would not load
+export const checkPack = (pack, rules = LINT_RULES) => [
+  ...validatePack(pack).errors.map(({ path, message }) => ({
+    rule: "schema",
+    severity: LINT_SEVERITIES.ERROR,
+    path,
+    index: null,
+    message,
+    fix: null,
+  })),
+  ...(hasQuestionList(pack) ? lintPack(pack, rules) : []),
+];
+
+// Does the lint fail? Errors always fail - with strict set warnings do too
+export const failsLint = (findings, strict = false) =>
+  strict ? findings.length > 0 : findings.some((finding) => finding.severity === LINT_SEVERITIES.ERROR);
+
+// One finding as lines of text for the command line
+export const formatFinding = (finding) =>
+  `${finding.severity}  ${finding.message}  [${finding.rule}]` + (finding.fix ? `\n    fix: ${finding.fix}` : "");
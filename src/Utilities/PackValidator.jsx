@@ -0,0 +1,288 @@
+import { QUESTION_TYPES } from "./Grading";
+import { ANSWER_KINDS } from "./AnswerKinds";
+import { MAX_DIFFICULTY, MIN_DIFFICULTY, isDifficulty } from "./Difficulty";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./I18n";
+import { isSameAnswer, normaliseAnswer, uniqueAnswers } from "./AnswerMatching";
+
+// Checks a quiz pack against Assets/Packs/quiz-pack.schema.json
+// Keep the two in step when the pack format changes
+
+export const SCHEMA_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+// Questions that differ only by case, spacing, macrons or punctuation count as duplicates
+export const questionKey = (text) => normaliseAnswer(text);
+
+// Describe a question in an error message, e.g. 'Question 3 ("capital")'
+const describeQuestion = (question, index) =>
+  isObject(question) && isNonEmptyString(question.id) ? `Question ${index + 1} ("${question.id}")` : `Question ${index + 1}`;
+
+// A list of distinct, non-empty strings
+const isStringList = (value) =>
+  Array.isArray(value) && value.every(isNonEmptyString) && new Set(value).size === value.length;
+
+// Extra fields that some types of question need
+const validateQuestionType = (question, path, name, errors) => {
+  if (!("type" in question)) {
+    return;
+  }
+  const types = Object.values(QUESTION_TYPES);
+  if (!types.includes(question.type)) {
+    errors.push({ path: `${path}.type`, message: `${name}: "type" must be one of ${types.join(", ")}` });
+    return;
+  }
+  if (question.type === QUESTION_TYPES.TRUE_FALSE && question.A !== "True" && question.A !== "False") {
+    errors.push({ path: `${path}.A`, message: `${name}: a true/false question needs "A" to be "True" or "False"` });
+  }
+  if (question.type === QUESTION_TYPES.MULTI) {
+    if (!isStringList(question.options) || question.options.length < 2) {
+      errors.push({ path: `${path}.options`, message: `${name}: "options" must list at least two different options` });
+    } else if (!isStringList(question.answers) || question.answers.length === 0) {
+      errors.push({ path: `${path}.answers`, message: `${name}: "answers" must list the correct options` });
+    } else {
+      question.answers
+        .filter((answer) => !question.options.includes(answer))
+        .forEach((answer) => {
+          errors.push({ path: `${path}.answers`, message: `${name}: answer "${answer}" is not one of the options` });
+        });
+    }
+  }
+};
+
+// Answer parts each need some text, points of zero or more and an optional bonus flag
+const validateAnswerParts = (question, path, name, errors) => {
+  if (!("parts" in question)) {
+    return;
+  }
+  if (!Array.isArray(question.parts) || question.parts.length === 0) {
+    errors.push({ path: `${path}.parts`, message: `${name}: "parts" must be a list with at least one part` });
+    return;
+  }
+  question.parts.forEach((part, partIndex) => {
+    const partPath = `${path}.parts[${partIndex}]`;
+    if (!isObject(part) || !isNonEmptyString(part.text)) {
+      errors.push({ path: partPath, message: `${name}: part ${partIndex + 1} needs some "text"` });
+      return;
+    }
+    if ("points" in part && (typeof part.points !== "number" || !(part.points >= 0))) {
+      errors.push({ path: `${partPath}.points`, message: `${name}: part ${partIndex + 1} "points" must be 0 or more` });
+    }
+    if ("bonus" in part && typeof part.bonus !== "boolean") {
+      errors.push({ path: `${partPath}.bonus`, message: `${name}: part ${partIndex + 1} "bonus" must be true or false` });
+    }
+    const isMulti = question.type === QUESTION_TYPES.MULTI && Array.isArray(question.answers);
+    if (isMulti && !question.answers.includes(part.text)) {
+      errors.push({ path: `${partPath}.text`, message: `${name}: part "${part.text}" is not one of the answers` });
+    }
+  });
+  if (question.parts.every((part) => isObject(part) && part.bonus === true)) {
+    errors.push({ path: `${path}.parts`, message: `${name}: at least one part must not be a bonus` });
+  }
+};
+
+// The answer kind and distractors used in multiple-choice mode
+const validateMultipleChoice = (question, path, name, errors) => {
+  const kinds = Object.values(ANSWER_KINDS);
+  if ("kind" in question && !kinds.includes(question.kind)) {
+    errors.push({ path: `${path}.kind`, message: `${name}: "kind" must be one of ${kinds.join(", ")}` });
+  }
+  if (!("distractors" in question)) {
+    return;
+  }
+  if (!isStringList(question.distractors)) {
+    errors.push({ path: `${path}.distractors`, message: `${name}: "distractors" must be a list of different answers` });
+  } else if (question.distractors.some((distractor) => isSameAnswer(distractor, question.A))) {
+    errors.push({ path: `${path}.distractors`, message: `${name}: "distractors" includes the right answer` });
+  }
+};
+
+// The explanation shown after the answer and the sources it comes from - [{ title, url }]
+const validateLearnMore = (question, path, name, errors) => {
+  if ("explanation" in question && !isNonEmptyString(question.explanation)) {
+    errors.push({ path: `${path}.explanation`, message: `${name}: "explanation" must be a non-empty string` });
+  }
+  if (!("sources" in question)) {
+    return;
+  }
+  if (!Array.isArray(question.sources) || question.sources.length === 0) {
+    errors.push({ path: `${path}.sources`, message: `${name}: "sources" must be a list with at least one source` });
+    return;
+  }
+  question.sources.forEach((source, sourceIndex) => {
+    const sourcePath = `${path}.sources[${sourceIndex}]`;
+    if (!isObject(source) || !isNonEmptyString(source.title)) {
+      errors.push({ path: sourcePath, message: `${name}: source ${sourceIndex + 1} needs a "title"` });
+    } else if ("url" in source && !/^https?:\/\/\S+$/.test(source.url)) {
+      errors.push({
+        path: `${sourcePath}.url`,
+        message: `${name}: source ${sourceIndex + 1} "url" must be a web address starting http:// or https://`,
+      });
+    }
+  });
+};
+
+// The question in other languages - { mi: { Q, A, aliases, distractors, explanation } }, every field optional
+const validateTranslations = (question, path, name, errors) => {
+  if (!("translations" in question)) {
+    return;
+  }
+  const languages = Object.values(LANGUAGES).filter((language) => language !== DEFAULT_LANGUAGE);
+  if (!isObject(question.translations)) {
+    errors.push({ path: `${path}.translations`, message: `${name}: "translations" must be an object, like { "mi": {} }` });
+    return;
+  }
+  Object.entries(question.translations).forEach(([language, translation]) => {
+    const translationPath = `${path}.translations.${language}`;
+    if (!languages.includes(language)) {
+      errors.push({
+        path: translationPath,
+        message: `${name}: "translations" has "${language}" - it can have ${languages.join(", ")}`,
+      });
+      return;
+    }
+    if (!isObject(translation)) {
+      errors.push({ path: translationPath, message: `${name}: the "${language}" translation must be an object` });
+      return;
+    }
+    ["Q", "A", "explanation"]
+      .filter((field) => field in translation && !isNonEmptyString(translation[field]))
+      .forEach((field) =>
+        errors.push({
+          path: `${translationPath}.${field}`,
+          message: `${name}: the "${language}" "${field}" must be a non-empty string`,
+        })
+      );
+    ["aliases", "distractors"]
+      .filter((field) => field in translation && !isStringList(translation[field]))
+      .forEach((field) =>
+        errors.push({
+          path: `${translationPath}.${field}`,
+          message: `${name}: the "${language}" "${field}" must be a list of different answers`,
+        })
+      );
+  });
+};
+
+// Check one question, adding to errors - name starts each message, e.g. 'Question 3 ("capital")'
+export const validateQuestion = (question, index, errors, name = describeQuestion(question, index)) => {
+  const path = `questions[${index}]`;
+  if (!isObject(question)) {
+    errors.push({ path, message: `${name} must be an object with id, Q and A` });
+    return;
+  }
+  ["id", "Q", "A"].forEach((field) => {
+    if (!(field in question)) {
+      errors.push({ path: `${path}.${field}`, message: `${name} is missing "${field}"` });
+    } else if (!isNonEmptyString(question[field])) {
+      errors.push({ path: `${path}.${field}`, message: `${name}: "${field}" must be a non-empty string` });
+    }
+  });
+  validateQuestionType(question, path, name, errors);
+  validateAnswerParts(question, path, name, errors);
+  validateMultipleChoice(question, path, name, errors);
+  validateLearnMore(question, path, name, errors);
+  validateTranslations(question, path, name, errors);
+  if ("timeLimit" in question && (typeof question.timeLimit !== "number" || !(question.timeLimit >= 0))) {
+    errors.push({ path: `${path}.timeLimit`, message: `${name}: "timeLimit" must be a number of seconds, 0 or more` });
+  }
+  if ("aliases" in question) {
+    if (!isStringList(question.aliases)) {
+      errors.push({ path: `${path}.aliases`, message: `${name}: "aliases" must be a list of different answers` });
+    } else if (question.aliases.some((alias) => isSameAnswer(alias, question.A))) {
+      errors.push({ path: `${path}.aliases`, message: `${name}: "aliases" repeats the answer` });
+    } else if (uniqueAnswers(question.aliases).length !== question.aliases.length) {
+      errors.push({ path: `${path}.aliases`, message: `${name}: "aliases" has the same answer more than once` });
+    }
+  }
+  if ("difficulty" in question && !isDifficulty(question.difficulty)) {
+    errors.push({
+      path: `${path}.difficulty`,
+      message: `${name}: "difficulty" must be a whole number from ${MIN_DIFFICULTY} to ${MAX_DIFFICULTY}`,
+    });
+  }
+  if ("category" in question && !isNonEmptyString(question.category)) {
+    errors.push({ path: `${path}.category`, message: `${name}: "category" must be a non-empty string` });
+  }
+  if ("tags" in question) {
+    if (!Array.isArray(question.tags) || !question.tags.every(isNonEmptyString)) {
+      errors.push({ path: `${path}.tags`, message: `${name}: "tags" must be a list of non-empty strings` });
+    } else if (new Set(question.tags).size !== question.tags.length) {
+      errors.push({ path: `${path}.tags`, message: `${name}: "tags" has the same tag more than once` });
+    }
+  }
+};
+
+// Look for ids and question texts that appear more than once
+const validateDuplicates = (questions, errors) => {
+  const seenIds = new Map();
+  const seenQuestions = new Map();
+  questions.forEach((question, index) => {
+    if (!isObject(question)) {
+      return;
+    }
+    if (isNonEmptyString(question.id)) {
+      if (seenIds.has(question.id)) {
+        errors.push({
+          path: `questions[${index}].id`,
+          message: `Question ${index + 1} has the same id "${question.id}" as question ${seenIds.get(question.id) + 1}`,
+        });
+      } else {
+        seenIds.set(question.id, index);
+      }
+    }
+    if (isNonEmptyString(question.Q)) {
+      const key = questionKey(question.Q);
+      if (seenQuestions.has(key)) {
+        errors.push({
+          path: `questions[${index}].Q`,
+          message: `${describeQuestion(question, index)} duplicates question ${seenQuestions.get(key) + 1}: "${question.Q}"`,
+        });
+      } else {
+        seenQuestions.set(key, index);
+      }
+    }
+  });
+};
+
+// Check a parsed pack - returns { valid, errors } where each error has a path and a readable message
+export const validatePack = (pack) => {
+  const errors = [];
+  if (!isObject(pack)) {
+    errors.push({ path: "", message: "A quiz pack must be a JSON object" });
+    return { valid: false, errors };
+  }
+  if (pack.schemaVersion !== SCHEMA_VERSION) {
+    errors.push({ path: "schemaVersion", message: `"schemaVersion" must be ${SCHEMA_VERSION}` });
+  }
+  ["id", "title"].forEach((field) => {
+    if (!isNonEmptyString(pack[field])) {
+      errors.push({ path: field, message: `The pack needs a "${field}" that is a non-empty string` });
+    }
+  });
+  if ("description" in pack && typeof pack.description !== "string") {
+    errors.push({ path: "description", message: '"description" must be a string' });
+  }
+  if (!Array.isArray(pack.questions) || pack.questions.length === 0) {
+    errors.push({ path: "questions", message: 'The pack needs a "questions" list with at least one question' });
+  } else {
+    pack.questions.forEach((question, index) => validateQuestion(question, index, errors));
+    validateDuplicates(pack.questions, errors);
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+// Parse the text of a pack file and validate it
+// Returns { pack, errors } - pack is null when there are errors
+export const parsePack = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { pack: null, errors: [{ path: "", message: `The file is not valid JSON: ${err.message}` }] };
+  }
+  const { valid, errors } = validatePack(data);
+  return { pack: valid ? data : null, errors };
+};
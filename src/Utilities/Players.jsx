@@ -0,0 +1,43 @@
+// Hot-seat play - everyone shares one screen and takes turns answering
+// One player is the normal single-player game, with no turns
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+
+// Name used when a player's name is left blank
+export const defaultPlayerName = (index) => `Player ${index + 1}`;
+
+// A player's own score and streak for the session
+export const createPlayer = (name, index) => ({
+  name: (name || "").trim() || defaultPlayerName(index),
+  score: 0,
+  streak: 0,
+  bestStreak: 0,
+  answeredCount: 0,
+  correctCount: 0,
+});
+
+// The players for a session from the names in the settings - none for a single-player game
+export const createPlayers = (names = []) => (names.length >= MIN_PLAYERS ? names.map(createPlayer) : []);
+
+// Change the number of player names, keeping the names already typed in
+// Fewer than MIN_PLAYERS means a single-player game
+export const resizePlayerNames = (names, count) => {
+  if (count < MIN_PLAYERS) {
+    return [];
+  }
+  const size = Math.min(MAX_PLAYERS, count);
+  return Array.from({ length: size }, (_, i) => (i < names.length ? names[i] : defaultPlayerName(i)));
+};
+
+// Players in finishing order - highest score first, then most correct answers, then best streak
+// Players who tie on all three share a place
+export const rankPlayers = (players) => {
+  const sorted = [...players].sort(
+    (a, b) => b.score - a.score || b.correctCount - a.correctCount || b.bestStreak - a.bestStreak
+  );
+  const tied = (a, b) => a.score === b.score && a.correctCount === b.correctCount && a.bestStreak === b.bestStreak;
+  return sorted.reduce((ranked, player, i) => {
+    const place = i > 0 && tied(sorted[i - 1], player) ? ranked[i - 1].place : i + 1;
+    return [...ranked, { ...player, place }];
+  }, []);
+};
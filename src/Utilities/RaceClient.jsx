@@ -0,0 +1,153 @@
+import { useEffect, useReducer, useRef } from "react";
+import { CLIENT_MESSAGES, SERVER_MESSAGES } from "../../server/protocol.js";
+
+// Online races - players on different machines answer the same questions against each other
+// through the race server in server/ (npm run race-server)
+
+export const RACE_STATUS = {
+  OFFLINE: "offline", // not connected
+  CONNECTING: "connecting",
+  LOBBY: "lobby", // in a room, waiting for the host to start
+  RACING: "racing",
+  FINISHED: "finished",
+};
+
+// Things that happen to the connection, as opposed to messages from the server
+export const CONNECTION_EVENTS = {
+  CONNECTING: "connecting",
+  CLOSED: "closed",
+  LEFT: "left", // the player chose to leave
+};
+
+export const initialRaceState = {
+  status: RACE_STATUS.OFFLINE,
+  playerId: null,
+  room: null,
+  rulings: [], // { question, winner } for each question decided so far
+  error: null, // a key into the UI text, or the server's own message
+};
+
+// Why the connection closed, as a key into the UI text
+// Losing it before getting into a room means the server could not be reached
+const closedError = (status) => {
+  if (status === RACE_STATUS.CONNECTING) {
+    return "race.unreachable";
+  }
+  return status === RACE_STATUS.FINISHED ? null : "race.lost";
+};
+
+// The settings a race is played with - one round of the room's length, on your own, questions from the deck
+// The player's own settings are put back after the race
+export const raceSettings = (room) => ({
+  roundLength: room.length,
+  roundsPerSession: 1,
+  players: [],
+  studyMode: false,
+  adaptive: false,
+});
+
+// Pure reducer for the race - fed the server's messages and connection events
+export const raceReducer = (state, message) => {
+  switch (message.type) {
+    case CONNECTION_EVENTS.CONNECTING:
+      return { ...initialRaceState, status: RACE_STATUS.CONNECTING };
+    case CONNECTION_EVENTS.CLOSED:
+      return { ...initialRaceState, error: closedError(state.status) };
+    case CONNECTION_EVENTS.LEFT:
+      return initialRaceState;
+    case SERVER_MESSAGES.JOINED:
+      return { ...state, status: message.room.status, playerId: message.playerId, room: message.room, rulings: [] };
+    case SERVER_MESSAGES.ROOM:
+    case SERVER_MESSAGES.STARTED:
+    case SERVER_MESSAGES.FINISHED:
+      return { ...state, status: message.room.status, room: message.room, error: null };
+    case SERVER_MESSAGES.RULING:
+      return { ...state, rulings: [...state.rulings, { question: message.question, winner: message.winner }] };
+    case SERVER_MESSAGES.ERROR:
+      return { ...state, error: message.message };
+    default:
+      return state;
+  }
+};
+
+// The name of a player in the room, or null
+export const playerName = (room, id) => {
+  const player = room && room.players.find((p) => p.id === id);
+  return player ? player.name : null;
+};
+
+// Connect to a race server and race - onStart(room) is called when the race starts, room.seed
+// deals the questions in the same order for everyone
+export const useRaceClient = ({ onStart } = {}) => {
+  const [race, dispatch] = useReducer(raceReducer, initialRaceState);
+  const socketRef = useRef(null);
+  const onStartRef = useRef(onStart);
+
+  useEffect(() => {
+    onStartRef.current = onStart;
+  });
+
+  // Close the connection when the game goes away
+  useEffect(() => () => socketRef.current && socketRef.current.close(), []);
+
+  // Send a message, connecting to the server first if need be
+  const send = (message, url) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+      return;
+    }
+    if (!url) {
+      return;
+    }
+    dispatch({ type: CONNECTION_EVENTS.CONNECTING });
+    let next;
+    try {
+      next = new WebSocket(url);
+    } catch {
+      dispatch({ type: CONNECTION_EVENTS.CLOSED });
+      return;
+    }
+    socketRef.current = next;
+    next.onopen = () => next.send(JSON.stringify(message));
+    next.onmessage = (e) => {
+      let received;
+      try {
+        received = JSON.parse(e.data);
+      } catch {
+        // A garbled message is reported and otherwise ignored
+        dispatch({ type: SERVER_MESSAGES.ERROR, message: "race.badMessage" });
+        return;
+      }
+      dispatch(received);
+      if (received.type === SERVER_MESSAGES.STARTED && onStartRef.current) {
+        onStartRef.current(received.room);
+      }
+    };
+    next.onclose = () => {
+      if (socketRef.current === next) {
+        socketRef.current = null;
+        dispatch({ type: CONNECTION_EVENTS.CLOSED });
+      }
+    };
+  };
+
+  return {
+    ...race,
+    // packId and size (questions in play) must match for everyone in a room, length is the number of questions
+    createRoom: (url, { name, packId, size, length }) =>
+      send({ type: CLIENT_MESSAGES.CREATE, name, packId, size, length }, url),
+    joinRoom: (url, { code, name, packId, size }) =>
+      send({ type: CLIENT_MESSAGES.JOIN, code, name, packId, size }, url),
+    start: () => send({ type: CLIENT_MESSAGES.START }),
+    answer: (question, correct) => send({ type: CLIENT_MESSAGES.ANSWER, question, correct }),
+    leave: () => {
+      const socket = socketRef.current;
+      socketRef.current = null;
+      if (socket) {
+        socket.close();
+      }
+      dispatch({ type: CONNECTION_EVENTS.LEFT });
+    },
+  };
+};
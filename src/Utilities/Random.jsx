@@ -1,10 +1,52 @@
-import React from "react";
+// Turn any seed (number or text) into an unsigned 32 bit integer
+// so "kiwi" and "1234" are both valid, shareable seeds
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261; // FNV-1a offset basis
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Seeded pseudo random number generator (mulberry32)
+// Returns a function that works like Math.random() - the same seed always gives the same sequence
+export const createSeededRandom = (seed) => {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Make a new short seed for a game nobody has asked to replay
+export const createSeed = () => String(Math.floor(Math.random() * 900000) + 100000);
+
+// Read the seed from the page address (?seed=...) if there is one
+export const readSeedFromUrl = () => {
+  const seed = new URLSearchParams(window.location.search).get("seed");
+  return seed ? seed.trim() : "";
+};
+
+// Put the seed in the page address so the link can be shared
+export const writeSeedToUrl = (seed) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", seed);
+  window.history.replaceState(window.history.state, "", url);
+};
 
-const Random = (length) => {
+// Random whole number from 0 to length - 1
+// Pass a seeded generator to get a repeatable result
+// Named in lower case so it is not mistaken for a component - every export from this file is a plain function
+const randomIndex = (length, random = Math.random) => {
   let min = 0;
   let max = length - 1; //remember to take one off the array for the element
-  let rand = Math.floor(Math.random() * (max - min + 1)) + min;
+  let rand = Math.floor(random() * (max - min + 1)) + min;
   return rand;
 };
 
-export default Random;
+export default randomIndex;
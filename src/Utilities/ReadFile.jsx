@@ -0,0 +1,9 @@
+// Read a File picked with <input type="file"> as text
+// Uses FileReader so it works in every browser (and in jsdom for the tests)
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+
+// The screens of the game - each one has its own address, e.g. #/play
+// The address is kept after the # so the game still works from a plain static file server
+export const ROUTES = {
+  HOME: "home",
+  PLAY: "play",
+  RESULTS: "results",
+  STATS: "stats",
+  SETTINGS: "settings",
+};
+
+// The screen shown for an empty or unknown address
+export const DEFAULT_ROUTE = ROUTES.HOME;
+
+export const isRoute = (route) => Object.values(ROUTES).includes(route);
+
+// The address of a screen, for links - routeHref("play") is "#/play"
+export const routeHref = (route) => "#/" + route;
+
+// The screen for an address hash - "#/stats", "#stats" and "#/stats/" all mean the stats screen
+export const parseRoute = (hash) => {
+  const route = (hash || "").replace(/^#\/?/, "").replace(/\/$/, "");
+  return isRoute(route) ? route : DEFAULT_ROUTE;
+};
+
+// Go to a screen - the browser's back button comes back to this one
+export const navigate = (route) => {
+  window.location.hash = routeHref(route).slice(1);
+};
+
+// The screen in the address bar, kept in step as links are followed and the back button is used
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  return route;
+};
@@ -1,11 +1,47 @@
+import { tokenVar } from "./Theme";
+
 // This object sets custom styles for the react-select dropdown
+// Every colour is a theme token, so the dropdown changes with the light, dark and high-contrast themes
 export const selectCustomStyles = {
+  // This function styles the box the player clicks or types in
+  control: (provided, state) => ({
+    ...provided, // Keep the default styles
+    backgroundColor: tokenVar("surface"), // Same background as the card
+    borderColor: state.isFocused ? tokenVar("focus") : tokenVar("border"), // Focus colour while in use
+    borderWidth: tokenVar("borderWidth"), // Thicker in high contrast
+    boxShadow: state.isFocused ? `0 0 0 1px ${tokenVar("focus")}` : "none", // Ring around it while in use
+  }),
+  // This function styles the list that drops down
+  menu: (provided) => ({
+    ...provided, // Keep the default styles
+    backgroundColor: tokenVar("surface"), // Same background as the card
+    border: `${tokenVar("borderWidth")} solid ${tokenVar("border")}`, // Edge so it stands out from the page
+  }),
   // This function styles each option in the dropdown
   option: (provided, state) => ({
     ...provided, // Keep the default styles
-    borderBottom: "1px solid green", // Add a green line under each option
-    color: state.isSelected ? "yellow" : "black", // Yellow text if selected, black if not
-    backgroundColor: state.isSelected ? "green" : "white", // Green background if selected, white if not
+    borderBottom: `1px solid ${tokenVar("border")}`, // Add a line under each option
+    color: state.isSelected ? tokenVar("onPrimary") : tokenVar("text"), // Readable on either background
+    backgroundColor: state.isSelected
+      ? tokenVar("primary") // The chosen option in the main colour
+      : state.isFocused
+        ? tokenVar("highlight") // The option the keyboard or mouse is on
+        : tokenVar("surface"),
     padding: "0px", // No extra space inside the option
   }),
+  // This function styles the heading over each group of answers (places, years...)
+  groupHeading: (provided) => ({
+    ...provided, // Keep the default styles
+    color: tokenVar("mutedText"), // Quieter than the options below
+    fontWeight: "bold", // Stand out from the options below
+  }),
+  // These functions style the text typed in and the placeholder
+  input: (provided) => ({
+    ...provided, // Keep the default styles
+    color: tokenVar("text"),
+  }),
+  placeholder: (provided) => ({
+    ...provided, // Keep the default styles
+    color: tokenVar("mutedText"),
+  }),
 };
@@ -0,0 +1,317 @@
+import { isDifficulty } from "./Difficulty";
+import { QUESTION_TYPES } from "./Grading";
+import { newQuestionId } from "./PackEditing";
+import { questionKey, validateQuestion } from "./PackValidator";
+
+// Questions to and from spreadsheets - CSV (commas) or TSV (tabs), one question per row
+// The first row names the columns, so they can be in any order
+
+export const DELIMITERS = {
+  CSV: ",",
+  TSV: "\t",
+};
+
+// The columns and the names a spreadsheet can give them
+export const COLUMNS = {
+  question: ["question", "q"],
+  answer: ["answer", "a"],
+  aliases: ["aliases", "alias", "other answers"],
+  category: ["category"],
+  difficulty: ["difficulty"],
+  id: ["id"],
+};
+
+// Columns written on export - id goes last as it is only there to keep questions the same on the way back in
+const EXPORT_COLUMNS = ["question", "answer", "aliases", "category", "difficulty", "id"];
+
+// The question field each column fills
+const FIELDS = { question: "Q", answer: "A", aliases: "aliases", category: "category", difficulty: "difficulty" };
+
+// Fields that change how a question is played but have no column - without them it is a dropdown question
+const UNEXPORTED_FIELDS = ["type", "parts", "options", "answers"];
+
+// Several aliases go in one cell, split by a bar: "Mount Cook | Aoraki"
+export const ALIAS_SEPARATOR = "|";
+
+// Spreadsheet programs put this at the start of UTF-8 files so macrons and curly quotes survive
+const BYTE_ORDER_MARK = "\uFEFF";
+
+// Tabs in the first line mean TSV, as does a .tsv file name - everything else is CSV
+export const detectDelimiter = (text, fileName = "") => {
+  if (/\.tsv$/i.test(fileName)) {
+    return DELIMITERS.TSV;
+  }
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes("\t") ? DELIMITERS.TSV : DELIMITERS.CSV;
+};
+
+// Split CSV or TSV text into rows of cells
+// Cells in double quotes can hold the delimiter, line breaks and "" for a quote mark
+// Returns { rows, errors } - each row is { line, cells } with the line it starts on
+export const parseDelimited = (text, delimiter = DELIMITERS.CSV) => {
+  const rows = [];
+  const errors = [];
+  const input = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    rows.push({ line: rowLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line += 1;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      // \r\n is one line break
+      if (char === "\r" && input[i + 1] === "\n") {
+        i += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    errors.push({ row: rowLine, message: `Row ${rowLine}: a quoted cell is never closed` });
+  }
+  // The last row, unless the text ended with a line break
+  if (cell !== "" || cells.length > 0) {
+    endRow();
+  }
+  return { rows, errors };
+};
+
+// Which column holds each field, from the header row - { question: 0, answer: 1, ... }
+const mapColumns = (header) => {
+  const columns = {};
+  header.forEach((name, index) => {
+    const key = name.trim().toLowerCase();
+    const field = Object.keys(COLUMNS).find((column) => COLUMNS[column].includes(key));
+    if (field && !(field in columns)) {
+      columns[field] = index;
+    }
+  });
+  return columns;
+};
+
+const isBlankRow = (cells) => cells.every((cell) => cell.trim() === "");
+
+// Turn one row into a question - returns { question } or { error }
+const rowToQuestion = (cells, columns, row, ids) => {
+  const cellFor = (field) => (field in columns ? (cells[columns[field]] || "").trim() : "");
+  const problems = [];
+  const question = { id: cellFor("id"), Q: cellFor("question"), A: cellFor("answer") };
+  if (!question.Q) {
+    problems.push("needs a question");
+  }
+  if (!question.A) {
+    problems.push("needs an answer");
+  }
+  const aliases = cellFor("aliases")
+    .split(ALIAS_SEPARATOR)
+    .map((alias) => alias.trim())
+    .filter(Boolean);
+  if (aliases.length > 0) {
+    question.aliases = aliases;
+  }
+  if (cellFor("category")) {
+    question.category = cellFor("category");
+  }
+  const difficulty = cellFor("difficulty");
+  if (difficulty) {
+    if (isDifficulty(Number(difficulty))) {
+      question.difficulty = Number(difficulty);
+    } else {
+      problems.push(`difficulty "${difficulty}" must be a whole number from 1 to 5`);
+    }
+  }
+  if (problems.length > 0) {
+    return { error: { row, message: `Row ${row}: ${problems.join(", ")}` } };
+  }
+  if (!question.id) {
+    question.id = newQuestionId(ids.map((id) => ({ id })));
+  }
+  return { question };
+};
+
+// A row with the id of a question already in the pack changes the columns the sheet has and
+// keeps everything else - the type, tags and explanation stay as they were
+const updateFromRow = (question, row, columns) => {
+  const updated = { ...question };
+  Object.keys(FIELDS)
+    .filter((column) => column in columns)
+    .forEach((column) => {
+      const field = FIELDS[column];
+      if (field in row) {
+        updated[field] = row[field];
+      } else {
+        delete updated[field];
+      }
+    });
+  return updated;
+};
+
+// Read questions from a spreadsheet. existing are questions already in the pack: a row with one of
+// their ids updates that question, the other rows are new questions. Rows with problems are left out
+// and reported by row number
+// Returns { questions, errors } - each error is { row, message }. Put the questions in the pack with mergeImported
+export const importQuestions = (text, { delimiter, fileName, existing = [] } = {}) => {
+  const { rows, errors } = parseDelimited(text, delimiter || detectDelimiter(text, fileName));
+  const filled = rows.filter((row) => !isBlankRow(row.cells));
+  if (filled.length === 0) {
+    return { questions: [], errors: [...errors, { row: 1, message: "The spreadsheet is empty" }] };
+  }
+
+  const [header, ...body] = filled;
+  const columns = mapColumns(header.cells);
+  if (!("question" in columns) || !("answer" in columns)) {
+    const message = `Row ${header.line}: the first row must name the columns - it needs "question" and "answer"`;
+    return { questions: [], errors: [...errors, { row: header.line, message }] };
+  }
+
+  const ids = existing.map((question) => question.id);
+  const rowOfId = new Map();
+  const accepted = [];
+  body.forEach(({ line, cells }) => {
+    const { question, error } = rowToQuestion(cells, columns, line, ids);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    if (rowOfId.has(question.id)) {
+      errors.push({
+        row: line,
+        message: `Row ${line}: the same id "${question.id}" as row ${rowOfId.get(question.id)}`,
+      });
+      return;
+    }
+    const index = ids.indexOf(question.id);
+    const imported =
+      index >= 0 && index < existing.length ? updateFromRow(existing[index], question, columns) : question;
+    // Catch what the pack validator would, worded by row
+    const problems = [];
+    validateQuestion(imported, 0, problems, `Row ${line}`);
+    if (problems.length > 0) {
+      errors.push({ row: line, message: problems[0].message });
+      return;
+    }
+    ids.push(question.id);
+    rowOfId.set(question.id, line);
+    accepted.push({ line, question: imported, index });
+  });
+
+  // The same question twice - in two rows, or in a row and a pack question the sheet does not update
+  const updated = new Set(accepted.map(({ index }) => index));
+  const packQuestions = new Map();
+  existing.forEach((question, index) => {
+    if (!updated.has(index) && typeof question.Q === "string") {
+      packQuestions.set(questionKey(question.Q), index);
+    }
+  });
+  const rowOfQuestion = new Map();
+  const questions = accepted
+    .filter(({ line, question }) => {
+      const key = questionKey(question.Q);
+      if (rowOfQuestion.has(key)) {
+        const message = `Row ${line}: the same question as row ${rowOfQuestion.get(key)}: "${question.Q}"`;
+        errors.push({ row: line, message });
+        return false;
+      }
+      if (packQuestions.has(key)) {
+        const message = `Row ${line}: the pack already has this question (question ${packQuestions.get(key) + 1}): "${question.Q}"`;
+        errors.push({ row: line, message });
+        return false;
+      }
+      rowOfQuestion.set(key, line);
+      return true;
+    })
+    .map(({ question }) => question);
+
+  return { questions, errors: errors.sort((a, b) => a.row - b.row) };
+};
+
+// Put imported questions into the pack - one with the id of a pack question takes its place, the rest go on the end
+// Returns { questions, added, updated } with the counts for the report
+export const mergeImported = (existing, imported) => {
+  const byId = new Map(imported.map((question) => [question.id, question]));
+  const ids = new Set(existing.map((question) => question.id));
+  const added = imported.filter((question) => !ids.has(question.id));
+  return {
+    questions: [...existing.map((question) => byId.get(question.id) || question), ...added],
+    added: added.length,
+    updated: imported.length - added.length,
+  };
+};
+
+// Quote a cell when it holds anything that would otherwise split it up
+const quoteCell = (value, delimiter) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+};
+
+// The cells for one question, in EXPORT_COLUMNS order
+const questionToCells = (question) => [
+  question.Q,
+  question.A,
+  (question.aliases || []).join(` ${ALIAS_SEPARATOR} `),
+  question.category,
+  question.difficulty,
+  question.id,
+];
+
+// Questions the spreadsheet cannot hold in full, reported by the row they are written on
+// Imported back into the same pack they keep what was left out - anywhere else they come back as dropdown questions
+export const exportWarnings = (questions) =>
+  questions.flatMap((question, index) => {
+    const missing = UNEXPORTED_FIELDS.filter(
+      (field) => field in question && !(field === "type" && question.type === QUESTION_TYPES.CHOICE)
+    );
+    if (missing.length === 0) {
+      return [];
+    }
+    const row = index + 2;
+    return [
+      {
+        row,
+        message: `Row ${row} ("${question.id}"): the spreadsheet has no column for ${missing.join(", ")} - only this pack can take it back in full`,
+      },
+    ];
+  });
+
+// Write questions out as CSV or TSV, with a header row - only the spreadsheet columns are kept
+export const exportQuestions = (questions, delimiter = DELIMITERS.CSV) => {
+  const lines = [EXPORT_COLUMNS, ...questions.map(questionToCells)].map((cells) =>
+    cells.map((cell) => quoteCell(cell, delimiter)).join(delimiter)
+  );
+  return BYTE_ORDER_MARK + lines.join("\r\n") + "\r\n";
+};
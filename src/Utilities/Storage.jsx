@@ -0,0 +1,52 @@
+// Everything the game saves goes through here so it can be swapped out
+// (in tests, or when localStorage is not available - e.g. private browsing)
+
+// Keys are prefixed so the game does not clash with anything else on the same site
+export const STORAGE_PREFIX = "kiwiQuiz:";
+
+// A stand-in for localStorage that only lasts until the page is closed
+export const createMemoryBackend = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+};
+
+// Use localStorage when the browser lets us, otherwise keep things in memory
+const defaultBackend = () => {
+  try {
+    const test = STORAGE_PREFIX + "test";
+    window.localStorage.setItem(test, test);
+    window.localStorage.removeItem(test);
+    return window.localStorage;
+  } catch {
+    return createMemoryBackend();
+  }
+};
+
+// Save and load JSON values under a key
+// A value that cannot be read back (e.g. edited by hand) is treated as missing
+export const createStorage = (backend = defaultBackend(), prefix = STORAGE_PREFIX) => ({
+  get: (key, fallback = null) => {
+    try {
+      const text = backend.getItem(prefix + key);
+      return text === null ? fallback : JSON.parse(text);
+    } catch {
+      return fallback;
+    }
+  },
+  set: (key, value) => {
+    try {
+      backend.setItem(prefix + key, JSON.stringify(value));
+    } catch (err) {
+      // Storage can be full - the game keeps working without saving
+      console.warn("Could not save " + key, err);
+    }
+  },
+  remove: (key) => backend.removeItem(prefix + key),
+});
+
+// The storage the game uses
+export const storage = createStorage();
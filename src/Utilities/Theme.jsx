@@ -0,0 +1,112 @@
+import { createContext, useContext } from "react";
+import { storage } from "./Storage";
+
+// The looks the game comes in - the value is also set on <html data-theme>
+export const THEMES = {
+  LIGHT: "light",
+  DARK: "dark",
+  HIGH_CONTRAST: "high-contrast",
+};
+
+export const DEFAULT_THEME = THEMES.LIGHT;
+
+// Where the chosen theme is saved
+export const THEME_KEY = "theme";
+
+// Design tokens - every colour and size the styles use comes from here, in each theme
+// The CSS reads them as custom properties (see tokenVar) so the same names work in every theme
+export const THEME_TOKENS = {
+  [THEMES.LIGHT]: {
+    background: "#f4f5f7",
+    surface: "#ffffff",
+    text: "#1f2933",
+    mutedText: "#52606d",
+    border: "#cbd2d9",
+    primary: "#1d4ed8",
+    onPrimary: "#ffffff",
+    secondary: "#52606d",
+    onSecondary: "#ffffff",
+    success: "#15803d",
+    danger: "#b91c1c",
+    focus: "#2563eb",
+    highlight: "#dbeafe",
+    borderWidth: "1px",
+    radius: "8px",
+    shadow: "0 0.5rem 1rem rgba(0, 0, 0, 0.15)",
+  },
+  [THEMES.DARK]: {
+    background: "#18181b",
+    surface: "#242428",
+    text: "#f4f4f5",
+    mutedText: "#a1a1aa",
+    border: "#52525b",
+    primary: "#8ea2ff",
+    onPrimary: "#0b0b0f",
+    secondary: "#a1a1aa",
+    onSecondary: "#0b0b0f",
+    success: "#4ade80",
+    danger: "#f87171",
+    focus: "#93c5fd",
+    highlight: "#33334a",
+    borderWidth: "1px",
+    radius: "8px",
+    shadow: "0 0.5rem 1rem rgba(0, 0, 0, 0.6)",
+  },
+  [THEMES.HIGH_CONTRAST]: {
+    background: "#000000",
+    surface: "#000000",
+    text: "#ffffff",
+    mutedText: "#ffffff",
+    border: "#ffffff",
+    primary: "#ffff00",
+    onPrimary: "#000000",
+    secondary: "#ffffff",
+    onSecondary: "#000000",
+    success: "#00ff66",
+    danger: "#ff8080",
+    focus: "#00ffff",
+    highlight: "#333300",
+    borderWidth: "2px",
+    radius: "4px",
+    shadow: "none",
+  },
+};
+
+export const isTheme = (theme) => Object.values(THEMES).includes(theme);
+
+// The CSS custom property for a token, e.g. "primary" is --theme-primary
+const propertyName = (token) => "--theme-" + token.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase());
+
+// A token for use in a style, e.g. tokenVar("primary") is "var(--theme-primary)"
+export const tokenVar = (token) => `var(${propertyName(token)})`;
+
+// Every token of a theme as CSS custom properties, ready to set on the page
+export const themeProperties = (theme) =>
+  Object.fromEntries(Object.entries(THEME_TOKENS[theme]).map(([token, value]) => [propertyName(token), value]));
+
+// Does the browser ask for this look? (matchMedia is missing in some test environments)
+const prefers = (query) =>
+  typeof window !== "undefined" && Boolean(window.matchMedia && window.matchMedia(query).matches);
+
+// The saved theme, or the one the system asks for when nothing has been chosen yet
+export const loadTheme = (store = storage) => {
+  const saved = store.get(THEME_KEY);
+  if (isTheme(saved)) {
+    return saved;
+  }
+  if (prefers("(prefers-contrast: more)")) {
+    return THEMES.HIGH_CONTRAST;
+  }
+  return prefers("(prefers-color-scheme: dark)") ? THEMES.DARK : DEFAULT_THEME;
+};
+
+export const saveTheme = (theme, store = storage) => {
+  store.set(THEME_KEY, theme);
+  return theme;
+};
+
+// The chosen theme and how to change it - see ThemeProvider
+// Without a provider the game uses the default theme
+export const ThemeContext = createContext({ theme: DEFAULT_THEME, setTheme: () => {} });
+
+export const useTheme = () => useContext(ThemeContext);
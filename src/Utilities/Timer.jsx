@@ -0,0 +1,55 @@
+import { useEffect, useRef, useState } from "react";
+
+// How often the countdown updates, in milliseconds
+const TICK_MS = 200;
+
+// Seconds allowed for a question - 0 means no limit
+// Timing is switched on for the session, a question's own timeLimit changes how long it gets
+export const getTimeLimit = (item, settings) => {
+  if (!settings.timeLimit) {
+    return 0;
+  }
+  return typeof item.timeLimit === "number" ? item.timeLimit : settings.timeLimit;
+};
+
+// Extra points for answering quickly: up to the same again as the points scored,
+// shrinking to nothing as the time runs out
+export const speedBonus = (points, secondsLeft, timeLimit) => {
+  if (points <= 0 || !timeLimit) {
+    return 0;
+  }
+  const fractionLeft = Math.min(1, Math.max(0, secondsLeft / timeLimit));
+  return Math.round(points * fractionLeft);
+};
+
+// Count down from timeLimit seconds since startedAt (milliseconds) while running is true
+// Calls onExpire once when the time runs out and returns the seconds left (null when there is no limit)
+export const useCountdown = (timeLimit, startedAt, running, onExpire) => {
+  const [now, setNow] = useState(() => Date.now());
+  //always call the latest onExpire without restarting the countdown
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  });
+
+  useEffect(() => {
+    if (!running || !timeLimit) {
+      return undefined;
+    }
+    const interval = setInterval(() => {
+      const time = Date.now();
+      setNow(time);
+      if (time - startedAt >= timeLimit * 1000) {
+        clearInterval(interval);
+        onExpireRef.current();
+      }
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [timeLimit, startedAt, running]);
+
+  if (!timeLimit) {
+    return null;
+  }
+  return Math.min(timeLimit, Math.max(0, timeLimit - (now - startedAt) / 1000));
+};
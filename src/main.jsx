@@ -2,9 +2,19 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AudienceView from './Components/AudienceView.jsx'
+import LanguageProvider from './Components/LanguageProvider.jsx'
+import ThemeProvider from './Components/ThemeProvider.jsx'
+import { isAudienceWindow } from './Utilities/AudienceSync.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {/* The chosen theme and language are shared by the game and its audience window */}
+    <ThemeProvider>
+      <LanguageProvider>
+        {/* A quiz-night audience window shows the host's game instead of its own */}
+        {isAudienceWindow() ? <AudienceView /> : <App />}
+      </LanguageProvider>
+    </ThemeProvider>
   </StrictMode>,
 )